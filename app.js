@@ -4,42 +4,63 @@ import mongoose from 'mongoose';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { initializeFirebase } from './firebase-config.js';
-import { JWT_SECRET } from './config/authConfig.js';
 import User from './models/User.js';
 import Seller from './models/Seller.js';
+import { authenticate, requireRole, requireVerifiedPhone } from './middleware/auth.js';
+import { requestOtp, requestRecoveryOtp, verifyOtp } from './services/otpService.js';
+import { isValidMpinFormat, verifyMpin, setMpin, confirmCurrentCredential } from './services/mpinService.js';
+import { recordAudit } from './services/auditService.js';
+import { startAccountDeletionScheduler } from './services/privacyService.js';
+import { startOrderSlaScheduler } from './services/orderSlaService.js';
+import { startMediaCleanupScheduler } from './services/mediaCleanupService.js';
+import { initializeOrderWebSocket } from './websocket/orderWebSocket.js';
+import {
+  isValidSellerAuthCode,
+  isValidDeviceId,
+  findDevice,
+  verifySellerAuthCode,
+  setSellerAuthCode,
+  bindDevice,
+  issueSellerToken,
+  serializeDevice,
+} from './services/sellerAuthService.js';
+import requestId from './middleware/requestId.js';
+import { normalizePhoneNumber } from './utils/phone.js';
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} from './services/tokenService.js';
 import orderRoutes from './routes/orderRoutes.js';
+import checkoutRoutes from './routes/checkouts.js';
+import refundRoutes from './routes/refunds.js';
+import returnRoutes from './routes/returns.js';
+import chatRoutes from './routes/chat.js';
+import deliveryRoutes from './routes/delivery.js';
+import voucherRoutes from './routes/vouchers.js';
 import fcmRoutes from './fcmRoutes.js';
 import paymentRoutes from './paymentRoutes.js';
 import psgcRoutes from './psgcRoutes.js';
 import userRoutes from './userRoutes.js';
 import productRoutes from './productRoutes.js';
+import productManagementRoutes from './routes/products.js';
+import cartRoutes from './routes/cart.js';
+import addOnRoutes from './routes/addons.js';
+import receiptRoutes from './routes/receipts.js';
+import driverRoutes from './routes/drivers.js';
+import analyticsRoutes from './routes/analytics.js';
+import abTestRoutes from './routes/abtest.js';
+import adminRoutes from './routes/admin.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const MPIN_MAX_ATTEMPTS = parseInt(process.env.MPIN_MAX_ATTEMPTS || '5', 10);
-const MPIN_LOCK_MINUTES = parseInt(process.env.MPIN_LOCK_MINUTES || '15', 10);
-
-const normalizePhoneNumber = (input = '') => {
-  if (!input) return '';
-  // Strip non-digits, keep last 11 digits for PH format
-  const digitsOnly = input.replace(/\D/g, '');
-  if (!digitsOnly) return '';
-  if (digitsOnly.startsWith('63') && digitsOnly.length === 12) {
-    return `0${digitsOnly.slice(2)}`;
-  }
-  if (digitsOnly.startsWith('9') && digitsOnly.length === 10) {
-    return `0${digitsOnly}`;
-  }
-  return digitsOnly.length === 11 && digitsOnly.startsWith('0')
-    ? digitsOnly
-    : input.trim();
-};
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
 
 const buildUserPayload = (user) => ({
   _id: user._id,
@@ -54,27 +75,18 @@ const buildUserPayload = (user) => ({
   biometricEnabled: user.biometricEnabled,
   mpinFailedAttempts: user.mpinFailedAttempts,
   mpinLockedUntil: user.mpinLockedUntil,
+  credentialPolicy: user.getCredentialPolicy(),
+  hasPassword: Boolean(user.passwordHash),
+  isAdmin: Boolean(user.isAdmin),
+  deletionScheduledFor: user.deletionScheduledFor || null,
   addresses: user.addresses,
 });
 
-const issueTokens = (user) => {
-  const accessToken = jwt.sign(
-    { userId: user._id, email: user.email, phone: user.phone, userType: user.userType },
-    JWT_SECRET,
-    { expiresIn: '8h' }
-  );
-
-  const refreshToken = jwt.sign(
-    { userId: user._id, email: user.email, phone: user.phone },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-
-  return {
-    accessToken,
-    refreshToken,
-    expiresIn: 8 * 3600,
-  };
+// Returned after valid credentials on a suspended account
+const SUSPENDED_RESPONSE = {
+  success: false,
+  message: 'This account has been suspended. Please contact support.',
+  code: 'ACCOUNT_SUSPENDED',
 };
 
 // Initialize Firebase Admin SDK
@@ -87,6 +99,7 @@ if (firebaseInitialized) {
 
 app.use(cors());
 app.use(bodyParser.json());
+app.use(requestId);
 
 // Health check endpoint (works even if DB is down)
 app.get('/health', (req, res) => {
@@ -102,7 +115,12 @@ mongoose.connect(process.env.MONGO_URI, {
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
 })
-.then(() => console.log('✅ MongoDB connected'))
+.then(() => {
+  console.log('✅ MongoDB connected');
+  startAccountDeletionScheduler();
+  startOrderSlaScheduler();
+  startMediaCleanupScheduler();
+})
 .catch(err => {
   console.error('❌ MongoDB connection error:', err.message);
   console.error('Details:', err);
@@ -122,19 +140,21 @@ app.post('/auth/login', async (req, res) => {
 
     // Find user by email
     const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
+    // Accounts that never set a password (MPIN-only) cannot sign in by email
+    if (!user || !user.allowsPasswordLogin()) {
       return res.status(401).json({ success: false, message: 'Invalid email or password' });
     }
 
-    const passwordIsValid = user.passwordHash
-      ? await bcrypt.compare(password, user.passwordHash)
-      : true;
-
+    const passwordIsValid = await bcrypt.compare(password, user.passwordHash);
     if (!passwordIsValid) {
       return res.status(401).json({ success: false, message: 'Invalid email or password' });
     }
 
-    const tokens = issueTokens(user);
+    if (user.isSuspended()) {
+      return res.status(403).json(SUSPENDED_RESPONSE);
+    }
+
+    const tokens = await issueTokens(user);
 
     console.log(`✅ User ${email} logged in successfully`);
 
@@ -166,60 +186,37 @@ app.post('/auth/login-mpin', async (req, res) => {
       return res.status(401).json({ success: false, message: 'Invalid phone or MPIN' });
     }
 
-    if (user.mpinLockedUntil && user.mpinLockedUntil > new Date()) {
-      return res.status(423).json({
+    if (!user.allowsMpinLogin()) {
+      return res.status(403).json({
         success: false,
-        message: 'MPIN temporarily locked. Please try again later.',
-        unlockAt: user.mpinLockedUntil,
+        message: 'MPIN login is disabled for this account. Please sign in with your email and password.',
+        code: 'MPIN_LOGIN_DISABLED',
       });
     }
 
-    const mpinHash = user.mpinHash || user.pinHash;
-    if (!mpinHash) {
-      return res.status(409).json({ success: false, message: 'MPIN not set for this account' });
-    }
-
-    const isValidMpin = await bcrypt.compare(mpin, mpinHash);
-    if (!isValidMpin) {
-      const failedAttempts = (user.mpinFailedAttempts || 0) + 1;
-      user.mpinFailedAttempts = failedAttempts;
-      user.lastFailedMpinAt = new Date();
-
-      if (failedAttempts >= MPIN_MAX_ATTEMPTS) {
-        const lockUntil = new Date(Date.now() + MPIN_LOCK_MINUTES * 60 * 1000);
-        user.mpinLockedUntil = lockUntil;
-        user.mpinFailedAttempts = 0;
-        await user.save();
-        return res.status(423).json({
-          success: false,
-          message: 'MPIN locked due to too many failed attempts',
-          unlockAt: lockUntil,
-        });
-      }
-
-      await user.save();
-      const remainingAttempts = Math.max(MPIN_MAX_ATTEMPTS - failedAttempts, 0);
-      return res.status(401).json({
+    try {
+      await verifyMpin(user, mpin, req);
+    } catch (mpinErr) {
+      if (mpinErr.name !== 'MpinError') throw mpinErr;
+      return res.status(mpinErr.status).json({
         success: false,
-        message: 'Invalid phone or MPIN',
-        remainingAttempts,
+        message: mpinErr.code === 'MPIN_INVALID' ? 'Invalid phone or MPIN' : mpinErr.message,
+        ...mpinErr.details,
       });
     }
 
-    if (!user.mpinHash && user.pinHash) {
-      user.mpinHash = mpinHash;
-      user.mpinSetAt = new Date();
+    if (user.isSuspended()) {
+      await user.save();
+      return res.status(403).json(SUSPENDED_RESPONSE);
     }
 
-    user.mpinFailedAttempts = 0;
-    user.mpinLockedUntil = null;
     user.lastMpinLoginAt = new Date();
     if (user.securityMethod !== 'biometric') {
       user.securityMethod = 'mpin';
     }
     await user.save();
 
-    const tokens = issueTokens(user);
+    const tokens = await issueTokens(user);
 
     res.json({
       success: true,
@@ -262,6 +259,10 @@ app.post('/auth/register', async (req, res) => {
       return res.status(400).json({ success: false, message: '4-digit MPIN is required' });
     }
 
+    if (password && password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
     const existingPhone = await User.findOne({ phone: normalizedPhone });
     if (existingPhone) {
       return res.status(409).json({ success: false, message: 'Phone number already registered' });
@@ -300,6 +301,8 @@ app.post('/auth/register', async (req, res) => {
       lastName,
       phone: normalizedPhone,
       passwordHash: hashedPassword,
+      passwordSetAt: hashedPassword ? new Date() : undefined,
+      credentialPolicy: hashedPassword ? 'both' : 'mpin',
       dateOfBirth,
       userType,
       fcmToken,
@@ -314,7 +317,7 @@ app.post('/auth/register', async (req, res) => {
 
     await newUser.save();
 
-    const tokens = issueTokens(newUser);
+    const tokens = await issueTokens(newUser);
 
     console.log(`✅ User ${normalizedPhone} registered successfully`);
 
@@ -340,7 +343,7 @@ app.post('/auth/register', async (req, res) => {
 });
 
 // Register as Seller endpoint - The Sooki Promise: "We got you, promise." 🤝
-app.post('/auth/register-seller', async (req, res) => {
+app.post('/auth/register-seller', authenticate, requireVerifiedPhone('seller_registration'), async (req, res) => {
   try {
     const {
       userId,
@@ -359,17 +362,23 @@ app.post('/auth/register-seller', async (req, res) => {
       paymentMethods,
       sellerAuthCode,
       deviceId,
+      deviceName,
       fcmToken
     } = req.body;
 
     // Validate required fields
-    if (!userId || !email || !firstName || !lastName || !phoneNumber) {
+    if (!email || !firstName || !lastName || !phoneNumber) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: userId, email, firstName, lastName, phoneNumber'
+        message: 'Missing required fields: email, firstName, lastName, phoneNumber'
       });
     }
 
+    // Sellers register their own account only
+    if (userId && String(userId) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'userId does not match the authenticated user' });
+    }
+
     // Validate Philippine phone number format
     if (!/^09\d{9}$/.test(phoneNumber)) {
       return res.status(400).json({
@@ -378,14 +387,10 @@ app.post('/auth/register-seller', async (req, res) => {
       });
     }
 
-    // Check if user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
+    const user = req.user;
 
     // Check if user is already a seller
-    if (user.isSeller) {
+    if (user.isSeller || req.principal.sellerId) {
       return res.status(409).json({ success: false, message: 'User is already registered as a seller' });
     }
 
@@ -435,6 +440,7 @@ app.post('/auth/register-seller', async (req, res) => {
       sellerAuthCodeHash: hashedAuthCode,
       deviceBindings: deviceId ? [{
         deviceId,
+        name: deviceName,
         boundAt: new Date(),
         lastAuthAt: new Date()
       }] : [],
@@ -453,10 +459,17 @@ app.post('/auth/register-seller', async (req, res) => {
 
     // Update user to mark as seller
     user.isSeller = true;
+    user.sellerInfo = { sellerId: newSeller._id };
     await user.save();
 
+    await recordAudit(req, {
+      action: 'seller.register',
+      target: { type: 'Seller', id: newSeller._id },
+      after: { userId: user._id, businessName: newSeller.businessName, shopName: newSeller.shopName },
+    });
+
     // Issue new tokens with updated user status
-    const tokens = issueTokens(user);
+    const tokens = await issueTokens(user);
 
     console.log(`✅ Seller ${phoneNumber} (${businessName || shopName}) registered successfully`);
 
@@ -498,94 +511,563 @@ app.post('/auth/register-seller', async (req, res) => {
   }
 });
 
-// Get current user profile (protected)
-app.get('/auth/me', async (req, res) => {
+// Send a phone verification OTP to the account's phone number
+app.post('/auth/phone/request-otp', authenticate, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ success: false, message: 'No token provided' });
+    const user = req.user;
+    const normalizedPhone = normalizePhoneNumber(req.body.phone || user.phone);
+    if (normalizedPhone !== user.phone) {
+      return res.status(400).json({ success: false, message: 'Phone number does not match your account' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-passwordHash -mpinHash -pinHash -refreshTokens');
-    
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    if (user.phoneVerified) {
+      return res.json({ success: true, message: 'Phone number already verified', data: { phoneVerified: true } });
     }
 
+    const otp = await requestOtp(normalizedPhone, 'phone_verification', { userId: user._id });
+
     res.json({
       success: true,
+      message: 'Verification code sent',
+      data: otp,
+    });
+  } catch (err) {
+    if (err.name === 'OtpError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ Phone OTP request error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Verify the OTP and mark the account's phone number as verified
+app.post('/auth/phone/verify-otp', authenticate, async (req, res) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (user.phoneVerified) {
+      return res.json({ success: true, message: 'Phone number already verified', data: { user: buildUserPayload(user) } });
+    }
+
+    await verifyOtp(user.phone, 'phone_verification', code);
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+
+    console.log(`✅ Phone ${user.phone} verified`);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
       data: {
-        user: buildUserPayload(user)
-      }
+        user: buildUserPayload(user),
+      },
     });
   } catch (err) {
-    console.error('❌ Auth/me error:', err.message);
-    res.status(401).json({ success: false, message: 'Unauthorized', error: err.message });
+    if (err.name === 'OtpError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ Phone OTP verify error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
   }
 });
 
-// Alias for /api/users/me (Flutter app expects this path)
-app.get('/api/users/me', async (req, res) => {
+// Change MPIN (authenticated, requires the current MPIN)
+app.post('/auth/mpin/change', authenticate, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ success: false, message: 'No token provided' });
+    const user = req.user;
+    const { currentMpin, newMpin } = req.body;
+
+    if (!currentMpin || !isValidMpinFormat(newMpin)) {
+      return res.status(400).json({ success: false, message: 'Current MPIN and a new 4-digit MPIN are required' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-passwordHash -mpinHash -pinHash -refreshTokens');
-    
+    if (currentMpin === newMpin) {
+      return res.status(400).json({ success: false, message: 'New MPIN must be different from the current MPIN' });
+    }
+
+    await verifyMpin(user, currentMpin, req);
+    await setMpin(user, newMpin);
+    await user.save();
+
+    // Sign out every other device, then hand this device a fresh session
+    user.tokenVersion = await revokeAllSessions(user._id);
+    const tokens = await issueTokens(user);
+
+    console.log(`🔑 MPIN changed for user ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'MPIN changed successfully',
+      data: {
+        user: buildUserPayload(user),
+      },
+      tokens,
+    });
+  } catch (err) {
+    if (err.name === 'MpinError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ MPIN change error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Forgot MPIN step 1: send a reset code to the registered phone
+app.post('/auth/mpin/forgot', async (req, res) => {
+  try {
+    const normalizedPhone = normalizePhoneNumber(req.body.phone);
+    if (!normalizedPhone) {
+      return res.status(400).json({ success: false, message: 'Phone is required' });
+    }
+
+    const user = await User.findOne({ phone: normalizedPhone });
+
+    // Same response and throttling whether or not the number is registered, to avoid account enumeration
+    await requestRecoveryOtp(normalizedPhone, 'mpin_reset', { userId: user?._id, exists: Boolean(user) });
+
+    res.json({
+      success: true,
+      message: 'If this number is registered, a reset code has been sent',
+    });
+  } catch (err) {
+    if (err.name === 'OtpError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ Forgot MPIN error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Forgot MPIN step 2: verify the reset code and set a new MPIN
+app.post('/auth/mpin/reset', async (req, res) => {
+  try {
+    const { phone, code, newMpin } = req.body;
+
+    const normalizedPhone = normalizePhoneNumber(phone);
+    if (!normalizedPhone || !code || !isValidMpinFormat(newMpin)) {
+      return res.status(400).json({ success: false, message: 'Phone, code and a new 4-digit MPIN are required' });
+    }
+
+    const user = await User.findOne({ phone: normalizedPhone });
     if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+      return res.status(400).json({ success: false, message: 'Code expired or not found. Please request a new one.' });
     }
 
+    await verifyOtp(normalizedPhone, 'mpin_reset', code);
+
+    // Refuse before changing anything: a suspended account could not sign in afterwards
+    if (user.isSuspended()) {
+      return res.status(403).json(SUSPENDED_RESPONSE);
+    }
+
+    await setMpin(user, newMpin);
+    // Receiving the code proves the user holds this number
+    if (!user.phoneVerified) {
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+    }
+    await user.save();
+
+    user.tokenVersion = await revokeAllSessions(user._id);
+    const tokens = await issueTokens(user);
+
+    console.log(`🔑 MPIN reset via OTP for user ${user._id}`);
+
     res.json({
       success: true,
+      message: 'MPIN reset successfully',
       data: {
-        user: {
-          ...buildUserPayload(user),
-          isSeller: user.isSeller || user.userType === 'seller',
-          isDriver: user.isDriver || user.userType === 'driver'
-        }
+        user: buildUserPayload(user),
+      },
+      tokens,
+    });
+  } catch (err) {
+    if (err.name === 'OtpError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    if (err.name === 'TokenError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
+    console.error('❌ MPIN reset error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Set or change the account password, enabling email/password login
+app.post('/auth/password', authenticate, async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, currentPassword, mpin } = req.body;
+
+    if (!password || password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    if (!user.email) {
+      return res.status(409).json({ success: false, message: 'Add an email address before setting a password' });
+    }
+
+    const failure = await confirmCurrentCredential(req, user, {
+      // Once a password exists it must be used to change it
+      currentPassword: user.passwordHash ? currentPassword || '' : undefined,
+      mpin: user.passwordHash ? undefined : mpin,
+    });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const isFirstPassword = !user.passwordHash;
+    user.passwordHash = await bcrypt.hash(password, 10);
+    user.passwordSetAt = new Date();
+    if (user.getCredentialPolicy() === 'mpin') {
+      user.credentialPolicy = 'both';
+    }
+    await user.save();
+
+    console.log(`🔑 Password ${isFirstPassword ? 'set' : 'changed'} for user ${user._id}`);
+
+    res.json({
+      success: true,
+      message: isFirstPassword ? 'Password set. You can now sign in with your email.' : 'Password changed successfully',
+      data: {
+        user: buildUserPayload(user),
+      },
+    });
+  } catch (err) {
+    console.error('❌ Set password error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Choose which login methods the account accepts: password, mpin or both
+app.put('/auth/credential-policy', authenticate, async (req, res) => {
+  try {
+    const user = req.user;
+    const { credentialPolicy, currentPassword, mpin } = req.body;
+
+    if (!['password', 'mpin', 'both'].includes(credentialPolicy)) {
+      return res.status(400).json({ success: false, message: "credentialPolicy must be 'password', 'mpin' or 'both'" });
+    }
+
+    if (credentialPolicy !== 'mpin' && !user.passwordHash) {
+      return res.status(409).json({ success: false, message: 'Set a password before enabling password login' });
+    }
+
+    if (credentialPolicy !== 'password' && !(user.mpinHash || user.pinHash)) {
+      return res.status(409).json({ success: false, message: 'Set an MPIN before enabling MPIN login' });
+    }
+
+    const failure = await confirmCurrentCredential(req, user, { currentPassword, mpin });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    user.credentialPolicy = credentialPolicy;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Credential policy updated',
+      data: {
+        user: buildUserPayload(user),
+      },
+    });
+  } catch (err) {
+    console.error('❌ Credential policy error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// ==================== SELLER STEP-UP & DEVICES ====================
+
+const sendSellerAuthError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details,
+});
+
+// Exchange the seller auth code + device ID for a seller-scoped token.
+// Unknown devices are bound on success and the seller is alerted.
+app.post('/auth/seller/step-up', authenticate, async (req, res) => {
+  try {
+    const { authCode, deviceId, deviceName } = req.body;
+
+    if (!req.principal.sellerId) {
+      return res.status(403).json({ success: false, message: 'This account is not registered as a seller', code: 'NOT_A_SELLER' });
+    }
+    if (!authCode || !isValidDeviceId(deviceId)) {
+      return res.status(400).json({ success: false, message: 'authCode and a valid deviceId are required' });
+    }
+
+    const seller = await Seller.findById(req.principal.sellerId);
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Seller not found' });
+    }
+
+    await verifySellerAuthCode(seller, authCode, req);
+    const { device, isNew } = await bindDevice(seller, req.user, { deviceId, deviceName }, req);
+    await seller.save({ validateModifiedOnly: true });
+
+    const { sellerToken, expiresIn } = issueSellerToken(req.user, seller, deviceId);
+
+    res.json({
+      success: true,
+      message: isNew ? 'Device verified and bound to your seller account' : 'Seller verification successful',
+      data: {
+        device: serializeDevice(device, deviceId),
+        newDevice: isNew,
+      },
+      sellerToken,
+      expiresIn,
+    });
+  } catch (err) {
+    if (err.name === 'SellerAuthError') {
+      return sendSellerAuthError(res, err);
+    }
+    console.error('❌ Seller step-up error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Set or change the seller auth code. Changing requires the current code;
+// shops that never had one confirm with the account password or MPIN instead.
+app.put('/auth/seller/auth-code', authenticate, async (req, res) => {
+  try {
+    const { currentAuthCode, currentPassword, mpin, newAuthCode } = req.body;
+
+    if (!req.principal.sellerId) {
+      return res.status(403).json({ success: false, message: 'This account is not registered as a seller', code: 'NOT_A_SELLER' });
+    }
+    if (!isValidSellerAuthCode(newAuthCode)) {
+      return res.status(400).json({ success: false, message: 'New seller auth code must be 6 digits' });
+    }
+
+    const seller = await Seller.findById(req.principal.sellerId);
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Seller not found' });
+    }
+
+    const hadAuthCode = Boolean(seller.sellerAuthCodeHash);
+    if (hadAuthCode) {
+      if (!currentAuthCode) {
+        return res.status(400).json({ success: false, message: 'Current seller auth code is required' });
       }
+      await verifySellerAuthCode(seller, currentAuthCode, req);
+    } else {
+      const failure = await confirmCurrentCredential(req, req.user, { currentPassword, mpin });
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+    }
+
+    await setSellerAuthCode(seller, newAuthCode);
+    await seller.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: hadAuthCode ? 'seller.auth_code_change' : 'seller.auth_code_set',
+      target: { type: 'Seller', id: seller._id },
     });
+
+    res.json({ success: true, message: hadAuthCode ? 'Seller auth code changed' : 'Seller auth code set' });
   } catch (err) {
-    console.error('❌ API/users/me error:', err.message);
-    res.status(401).json({ success: false, message: 'Unauthorized', error: err.message });
+    if (err.name === 'SellerAuthError') {
+      return sendSellerAuthError(res, err);
+    }
+    console.error('❌ Seller auth code error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
   }
 });
 
-// Placeholder for routes - we will add them back as we remember them
+// List devices bound to the seller account
+app.get('/auth/seller/devices', authenticate, requireRole('seller'), async (req, res) => {
+  try {
+    const seller = await Seller.findById(req.sellerId).select('deviceBindings lastDeviceAuthAt');
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Seller not found' });
+    }
 
-// Debug/Verification Endpoint (reconstructed)
-app.get('/api/debug-info', async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        devices: seller.deviceBindings.map(binding => serializeDevice(binding, req.principal.sellerDeviceId)),
+        lastDeviceAuthAt: seller.lastDeviceAuthAt || null,
+      },
+    });
+  } catch (err) {
+    console.error('❌ List seller devices error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Rename a bound device
+app.patch('/auth/seller/devices/:deviceId', authenticate, requireRole('seller'), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 60) {
+      return res.status(400).json({ success: false, message: 'Device name must be 1-60 characters' });
+    }
+
+    const seller = await Seller.findOneAndUpdate(
+      { _id: req.sellerId, 'deviceBindings.deviceId': req.params.deviceId },
+      { $set: { 'deviceBindings.$.name': name } },
+      { new: true, projection: { deviceBindings: 1 } }
+    );
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    const device = findDevice(seller, req.params.deviceId);
+    res.json({ success: true, message: 'Device renamed', data: { device: serializeDevice(device, req.principal.sellerDeviceId) } });
+  } catch (err) {
+    console.error('❌ Rename seller device error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Revoke a bound device. Seller tokens issued to it stop working immediately.
+app.delete('/auth/seller/devices/:deviceId', authenticate, requireRole('seller'), async (req, res) => {
   try {
-    const users = await User.find({});
+    const { deviceId } = req.params;
+    const seller = await Seller.findOneAndUpdate(
+      { _id: req.sellerId, 'deviceBindings.deviceId': deviceId },
+      { $pull: { deviceBindings: { deviceId } } },
+      { projection: { deviceBindings: 1 } }
+    );
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    const revoked = findDevice(seller, deviceId);
+    await recordAudit(req, {
+      action: 'seller.device_revoke',
+      target: { type: 'Seller', id: seller._id },
+      before: { deviceId, name: revoked?.name },
+      after: { deviceId: null, name: null },
+    });
+
     res.json({
-      database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
-      connectionState: mongoose.connection.readyState,
-      totalUsers: users.length,
-      users: users.map(user => ({
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt,
-      })),
+      success: true,
+      message: 'Device revoked',
+      data: { revokedCurrentDevice: deviceId === req.principal.sellerDeviceId },
     });
-  } catch (error) {
-    console.error('Error fetching debug info:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+  } catch (err) {
+    console.error('❌ Revoke seller device error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotation with reuse detection)
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'refreshToken is required' });
+    }
+
+    const { user, tokens } = await rotateRefreshToken(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        user: buildUserPayload(user),
+      },
+      tokens,
+    });
+  } catch (err) {
+    if (err.name === 'TokenError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
+    console.error('❌ Token refresh error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
   }
 });
 
+// Logout this device: revoke the presented refresh token
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'refreshToken is required' });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (err) {
+    if (err.name === 'TokenError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
+    console.error('❌ Logout error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Logout all devices: revoke every refresh token and outstanding access token
+app.post('/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    console.log(`🔒 All sessions revoked for user ${req.user._id}`);
+
+    res.json({ success: true, message: 'Logged out from all devices' });
+  } catch (err) {
+    console.error('❌ Logout-all error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Get current user profile (protected)
+app.get('/auth/me', authenticate, async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: buildUserPayload(req.user)
+    }
+  });
+});
+
+// Alias for /api/users/me (Flutter app expects this path)
+app.get('/api/users/me', authenticate, async (req, res) => {
+  const user = req.user;
+  res.json({
+    success: true,
+    data: {
+      user: {
+        ...buildUserPayload(user),
+        isSeller: user.isSeller || user.userType === 'seller',
+        isDriver: user.isDriver || user.userType === 'driver'
+      }
+    }
+  });
+});
+
+// Placeholder for routes - we will add them back as we remember them
+
 app.use('/api/orders', orderRoutes);
+app.use('/api/checkouts', checkoutRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/vouchers', voucherRoutes);
 app.use('/api/fcm', fcmRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/psgc', psgcRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/products', productManagementRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/addons', addOnRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/drivers', driverRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/abtest', abTestRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 Not Found Middleware
 app.use((req, res) => {
@@ -608,8 +1090,11 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📍 Local: http://localhost:${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+});
+
+// Order notifications and chat are pushed through this server (see websocket/orderWebSocket.js)
+global.io = initializeOrderWebSocket(server);
\ No newline at end of file
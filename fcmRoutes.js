@@ -1,18 +1,27 @@
 import express from 'express';
 import User from './models/User.js';
 import { sendPushNotification, sendMulticastNotification } from './services/fcmService.js';
+import { authenticate, requireRole, sameId } from './middleware/auth.js';
 
 const router = express.Router();
 
-// Update FCM token for a user
-router.post('/update-token', async (req, res) => {
+// Update FCM token for the authenticated user
+router.post('/update-token', authenticate, async (req, res) => {
   try {
-    const { userId, fcmToken } = req.body;
+    const { fcmToken } = req.body;
+    const userId = req.userId;
     
-    if (!userId || !fcmToken) {
+    if (!fcmToken) {
       return res.status(400).json({ 
         success: false, 
-        error: 'userId and fcmToken are required' 
+        error: 'fcmToken is required' 
+      });
+    }
+
+    if (req.body.userId && !sameId(req.body.userId, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot update the token of another user'
       });
     }
 
@@ -44,8 +53,8 @@ router.post('/update-token', async (req, res) => {
   }
 });
 
-// Send push notification to specific user
-router.post('/send-notification', async (req, res) => {
+// Send push notification to specific user (admin only)
+router.post('/send-notification', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { userId, title, body, data } = req.body;
     
@@ -95,7 +104,7 @@ router.post('/send-notification', async (req, res) => {
   }
 });
 
-router.post('/send-multicast', async (req, res) => {
+router.post('/send-multicast', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { userIds, title, body, data } = req.body;
     
@@ -0,0 +1,278 @@
+/**
+ * Shared authentication and authorization middleware
+ * `authenticate` resolves the principal behind a bearer token (buyer, seller,
+ * shop owner, driver or admin); the guards below declare who may use a route.
+ *
+ * Usage:
+ *   router.put('/:id', authenticate, requireRole('seller'),
+ *     requireOwnership(loadProduct, { seller: (product, p) => sameId(product.sellerId, p.sellerId) }),
+ *     handler);
+ */
+
+import User from '../models/User.js';
+import Seller from '../models/Seller.js';
+import Driver from '../models/Driver.js';
+import { LaundryShop } from '../models/LaundryModels.js';
+import { verifyAccessToken } from '../services/tokenService.js';
+
+class AuthError extends Error {
+  constructor(message, status = 401, code = 'UNAUTHORIZED') {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Compare two IDs (ObjectId, string or null) by value
+ * @returns {boolean}
+ */
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+const extractBearerToken = (req) => {
+  const authHeader = req.headers.authorization || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+};
+
+/**
+ * Resolve the principal for an access token
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} Principal
+ *   { kind, id, roles, userId, sellerId, sellerDeviceId, shopIds, driverId, user, driver }
+ */
+const resolvePrincipal = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    throw new AuthError(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  // Driver tokens carry driverId; everything else is a user account
+  if (decoded.driverId) {
+    const driver = await Driver.findById(decoded.driverId);
+    if (!driver) {
+      throw new AuthError('Driver not found');
+    }
+    if ((decoded.tokenVersion || 0) !== (driver.tokenVersion || 0)) {
+      throw new AuthError('Session has been revoked', 401, 'SESSION_REVOKED');
+    }
+    if (driver.status !== 'active') {
+      throw new AuthError('Driver account is inactive', 403, 'ACCOUNT_INACTIVE');
+    }
+    return {
+      kind: 'driver',
+      id: String(driver._id),
+      roles: ['driver'],
+      driverId: driver._id,
+      driver,
+    };
+  }
+
+  const userId = decoded.userId || decoded.id || decoded._id;
+  const user = userId ? await User.findById(userId) : null;
+  if (!user) {
+    throw new AuthError('User not found');
+  }
+
+  if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    throw new AuthError('Session has been revoked', 401, 'SESSION_REVOKED');
+  }
+
+  if (user.isSuspended()) {
+    throw new AuthError('This account has been suspended', 403, 'ACCOUNT_SUSPENDED');
+  }
+
+  const isSellerToken = decoded.tokenType === 'seller';
+  const sellerFields = isSellerToken ? '_id deviceBindings.deviceId' : '_id';
+  const [seller, shops] = await Promise.all([
+    user.sellerInfo?.sellerId
+      ? Seller.findById(user.sellerInfo.sellerId).select(sellerFields)
+      : Seller.findOne({ userId: user._id }).select(sellerFields),
+    LaundryShop.find({ ownerId: user._id }).select('_id'),
+  ]);
+
+  // Seller tokens come from step-up (auth code + bound device) and die with the device binding
+  if (isSellerToken) {
+    if (!seller || !sameId(seller._id, decoded.sellerId)) {
+      throw new AuthError('Invalid seller session', 401, 'INVALID_SELLER_SESSION');
+    }
+    if (!seller.deviceBindings.some(binding => binding.deviceId === decoded.deviceId)) {
+      throw new AuthError('This device is no longer authorized for seller access', 401, 'DEVICE_REVOKED');
+    }
+  }
+
+  const roles = ['buyer'];
+  // The seller role is only granted to step-up (seller-scoped) tokens
+  if (seller && isSellerToken) roles.push('seller');
+  if (shops.length > 0) roles.push('shop_owner');
+  // Admin needs both the token claim and the stored flag, so demotion takes effect immediately
+  if (decoded.isAdmin && user.isAdmin) roles.push('admin');
+
+  return {
+    kind: 'user',
+    id: String(user._id),
+    roles,
+    userId: user._id,
+    sellerId: seller?._id,
+    sellerDeviceId: isSellerToken ? decoded.deviceId : undefined,
+    shopIds: shops.map(shop => shop._id),
+    user,
+  };
+};
+
+const sendAuthError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+});
+
+/**
+ * Require a valid bearer token. Sets req.principal plus the legacy
+ * req.user / req.userId / req.sellerId / req.driverId fields used by handlers.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const token = extractBearerToken(req);
+    if (!token) {
+      return sendAuthError(res, new AuthError('No token provided'));
+    }
+
+    const principal = await resolvePrincipal(token);
+    req.principal = principal;
+    req.user = principal.user;
+    req.userId = principal.userId;
+    req.sellerId = principal.sellerId;
+    req.driverId = principal.driverId;
+    next();
+  } catch (err) {
+    if (err.name === 'AuthError') {
+      return sendAuthError(res, err);
+    }
+    console.error('❌ Authentication error:', err);
+    return res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+};
+
+/**
+ * Allow the request when the principal holds at least one of the roles
+ * @param {...string} roles - buyer, seller, shop_owner, driver, admin
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  const principal = req.principal;
+  if (!principal) {
+    return sendAuthError(res, new AuthError('Authentication required'));
+  }
+  if (!roles.some(role => principal.roles.includes(role))) {
+    // Sellers holding a regular session get a specific code so the app can prompt for step-up
+    if (roles.includes('seller') && principal.sellerId) {
+      return sendAuthError(res, new AuthError('Seller verification required', 403, 'SELLER_STEP_UP_REQUIRED'));
+    }
+    return sendAuthError(res, new AuthError(`This action requires a ${roles.join(' or ')} account`, 403, 'FORBIDDEN'));
+  }
+  next();
+};
+
+/**
+ * Allow the request when a route parameter names the principal itself,
+ * e.g. requireSelf('sellerId') for /orders/seller/:sellerId
+ * @param {string} param - Route parameter name
+ * @param {string} field - Principal field to compare against (defaults to the param name)
+ */
+const requireSelf = (param, field = param) => (req, res, next) => {
+  const principal = req.principal;
+  if (!principal) {
+    return sendAuthError(res, new AuthError('Authentication required'));
+  }
+  const value = field === 'shopIds'
+    ? principal.shopIds?.find(id => sameId(id, req.params[param]))
+    : principal[field];
+  if (!sameId(value, req.params[param])) {
+    return sendAuthError(res, new AuthError('Access denied', 403, 'FORBIDDEN'));
+  }
+  next();
+};
+
+/**
+ * Load a resource and allow the request when one of the principal's roles owns it.
+ * The resource is exposed on req.resource for the handler. Mount it before any
+ * upload middleware so unauthorised requests never reach Cloudinary.
+ * @param {Function} load - async (req) => document | null
+ * @param {Object} rules - { [role]: (resource, principal) => boolean }
+ */
+const requireOwnership = (load, rules) => async (req, res, next) => {
+  try {
+    const principal = req.principal;
+    if (!principal) {
+      return sendAuthError(res, new AuthError('Authentication required'));
+    }
+
+    const resource = await load(req);
+    if (!resource) {
+      return res.status(404).json({ success: false, message: 'Resource not found' });
+    }
+
+    const allowed = Object.entries(rules).some(([role, owns]) =>
+      principal.roles.includes(role) && owns(resource, principal)
+    );
+    if (!allowed) {
+      return sendAuthError(res, new AuthError('Access denied', 403, 'FORBIDDEN'));
+    }
+
+    req.resource = resource;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid id format' });
+    }
+    console.error('❌ Ownership check error:', err);
+    return res.status(500).json({ success: false, message: 'Authorization failed' });
+  }
+};
+
+/**
+ * Dangerous maintenance endpoints only exist in development. Elsewhere they
+ * answer 404 so production does not advertise them.
+ */
+const requireDevelopment = (req, res, next) => {
+  if (process.env.NODE_ENV !== 'development') {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+  next();
+};
+
+/**
+ * Require a verified phone number for a flow, when the matching policy flag is on.
+ * The flag is REQUIRE_VERIFIED_PHONE_FOR_<CONTEXT>, e.g. REQUIRE_VERIFIED_PHONE_FOR_CHECKOUT=true.
+ * Must run after `authenticate`.
+ * @param {string} context - Flow name (checkout, seller_registration)
+ */
+const requireVerifiedPhone = (context) => (req, res, next) => {
+  const flag = `REQUIRE_VERIFIED_PHONE_FOR_${context.toUpperCase()}`;
+  if (process.env[flag] !== 'true') {
+    return next();
+  }
+
+  if (!req.principal?.user?.phoneVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your phone number to continue',
+      code: 'PHONE_NOT_VERIFIED',
+    });
+  }
+
+  next();
+};
+
+export {
+  AuthError,
+  sameId,
+  resolvePrincipal,
+  authenticate,
+  requireRole,
+  requireSelf,
+  requireOwnership,
+  requireDevelopment,
+  requireVerifiedPhone,
+};
@@ -1,8 +0,0 @@
-const authenticateUser = (req, res, next) => {
-  // Placeholder for authentication logic
-  // In a real application, this would verify tokens, sessions, etc.
-  console.log('Authenticating user...');
-  next(); // Proceed to the next middleware/route handler
-};
-
-export { authenticateUser };
\ No newline at end of file
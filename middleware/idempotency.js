@@ -0,0 +1,137 @@
+/**
+ * Idempotency middleware
+ * Honours an Idempotency-Key header on endpoints that create things, so that a
+ * client retrying after a dropped connection gets the original response instead
+ * of a duplicate. The first request with a key is recorded; repeats with the same
+ * body replay the stored response, and a different body with the same key is
+ * rejected. Only JSON success and client-error responses are stored: a 5xx or
+ * any other response frees the key so the retry runs again. A key whose request
+ * never answered (crash, hung handler) is only held for a short lease, after
+ * which a retry takes it over. Must run after authenticate.
+ */
+
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || '120', 10);
+
+const KEY_PATTERN = /^[\w-]{8,128}$/;
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? {})}`)
+  .digest('hex');
+
+const leaseExpiry = () => new Date(Date.now() + IDEMPOTENCY_LEASE_SECONDS * 1000);
+
+const replay = (res, record) => {
+  res.setHeader('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+};
+
+/**
+ * @param {string} name - Endpoint name, part of the key scope (e.g. 'orders.create')
+ * @returns {Function} Express middleware
+ */
+const idempotent = (name) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be 8-128 letters, digits, dashes or underscores',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const principalId = req.userId || req.sellerId || req.driverId;
+  const scope = `${name}:${principalId}`;
+  const fingerprint = fingerprintRequest(req);
+  // Also identifies this request as the key's holder, so a request that lost the
+  // key to a takeover cannot settle it
+  let lease = leaseExpiry();
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      scope,
+      fingerprint,
+      leaseExpiresAt: lease,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (err) {
+    if (err.code !== 11000) return next(err);
+
+    const existing = await IdempotencyKey.findOne({ scope, key }).lean();
+    if (!existing) {
+      // Expired between the insert and the lookup; let the client retry
+      return res.status(409).json({ success: false, error: 'Please retry the request', code: 'IDEMPOTENCY_KEY_EXPIRED' });
+    }
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(409).json({
+        success: false,
+        error: 'This Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+    if (existing.status === 'completed') {
+      console.log(`🔁 Idempotent replay of ${scope} (${key})`);
+      return replay(res, existing);
+    }
+
+    // Still in progress: wait for the lease unless the original request is gone
+    lease = leaseExpiry();
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+      { scope, key, status: 'in_progress', leaseExpiresAt: { $not: { $gt: new Date() } } },
+      { $set: { leaseExpiresAt: lease } }
+    );
+    if (!takenOver) {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+      });
+    }
+    console.log(`♻️ Idempotency-Key lease expired, retrying ${scope} (${key})`);
+  }
+
+  // Settle the key once the response is known: store a JSON response so it can
+  // be replayed, free the key for anything else
+  let body;
+  let hasBody = false;
+  let clientGone = false;
+  let settled = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    const held = { scope, key, status: 'in_progress', leaseExpiresAt: lease };
+    const update = hasBody && res.statusCode < 500
+      ? IdempotencyKey.updateOne(
+        held,
+        { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) } }
+      )
+      : IdempotencyKey.deleteOne(held);
+    update.catch(err => console.error('❌ Failed to store idempotent response:', err.message));
+  };
+
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    hasBody = true;
+    const result = json(payload);
+    // The client hung up before the handler finished; keep its outcome for the retry
+    if (clientGone) settle();
+    return result;
+  };
+  res.on('finish', settle);
+  res.on('close', () => {
+    if (hasBody) settle();
+    else clientGone = true;
+  });
+
+  next();
+};
+
+export { idempotent };
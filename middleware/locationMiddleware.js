@@ -3,37 +3,20 @@
  * Restricts access to users in Compostela, Davao de Oro only
  */
 
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import { JWT_SECRET } from '../config/authConfig.js';
 
 /**
  * Middleware to verify user location for laundry services
- * Only allows access to users with addresses in Compostela, Davao de Oro
+ * Only allows access to users with addresses in Compostela, Davao de Oro.
+ * Must run after `authenticate` (middleware/auth.js), which loads req.user.
  */
 const verifyCompostelaLocation = async (req, res, next) => {
   try {
-    // First verify JWT token
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
-
-    // Verify and decode JWT token
-  const decoded = jwt.verify(token, JWT_SECRET);
-    const userId = decoded.userId || decoded.id;
-
-    // Fetch user from database
-    const user = await User.findById(userId);
+    const user = req.user;
     
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token. User not found.'
+        message: 'Access denied. Authentication required.'
       });
     }
 
@@ -53,28 +36,13 @@ const verifyCompostelaLocation = async (req, res, next) => {
       });
     }
 
-    // Add user info to request for downstream use
-    req.user = user;
+    // Add location info to request for downstream use
     req.userLocation = getCompostelaAddress(user);
     
     next();
   } catch (error) {
     console.error('Location middleware error:', error);
     
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token.'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expired.'
-      });
-    }
-    
     return res.status(500).json({
       success: false,
       message: 'Internal server error during location verification.'
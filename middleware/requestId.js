@@ -0,0 +1,19 @@
+/**
+ * Request ID middleware
+ * Tags every request with req.requestId (reusing an incoming X-Request-Id when
+ * present) and echoes it back so client reports can be matched to server logs
+ * and audit entries.
+ */
+
+import crypto from 'crypto';
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+};
+
+export default requestId;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Append-only record of security and money-moving actions.
+// Entries are written through services/auditService.js and never modified.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    kind: { type: String, enum: ['user', 'driver', 'system', 'anonymous'], required: true },
+    id: { type: mongoose.Schema.Types.ObjectId },
+    roles: { type: [String], default: undefined },
+  },
+  // Dotted verb, e.g. 'receipt.confirm', 'auth.mpin_lockout'
+  action: { type: String, required: true },
+  target: {
+    type: { type: String, required: true }, // Model name: Receipt, Order, User, Seller...
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+  // Only the fields that changed
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+}, { timestamps: { createdAt: true, updatedAt: false }, versionKey: false });
+
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: block every update and delete path Mongoose offers
+const rejectMutation = function() {
+  throw new Error('Audit log entries are append-only');
+};
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit log entries are append-only'));
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectMutation
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { nextReference } from '../services/counterService.js';
+
+// One cart checkout. Items are split into one child Order per seller; the
+// buyer pays once for the whole checkout and each seller verifies their order.
+const checkoutSchema = new mongoose.Schema({
+    // Human-facing reference, e.g. "#CHK-2026-000042"
+    checkoutNumber: { type: String, unique: true, sparse: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+    // Sum of the child order summaries
+    summary: {
+        subtotal: { type: Number, default: 0 },
+        shippingFee: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 },
+        discount: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+    payment: {
+        method: { type: String },
+        receiptUrl: { type: String },
+        uploadedAt: { type: Date }
+    },
+    buyerName: { type: String },
+    shippingAddress: {
+        name: String,
+        phone: String,
+        address: String,
+        city: String,
+        province: String,
+        postalCode: String,
+        country: String,
+        lat: Number,
+        lng: Number
+    },
+    notes: { type: String }
+}, { timestamps: true });
+
+checkoutSchema.pre('validate', async function() {
+    if (!this.checkoutNumber) {
+        this.checkoutNumber = await nextReference('CHK', { lead: '#' });
+    }
+});
+
+const Checkout = mongoose.model('Checkout', checkoutSchema);
+
+export default Checkout;
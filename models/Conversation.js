@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Buyer–seller chat thread for one order (product or laundry). The seller side
+// is the Seller for product orders and the LaundryShop for laundry orders.
+// Messages live in the Message collection; see services/orderChatService.js.
+const conversationSchema = new mongoose.Schema({
+  orderType: { type: String, enum: ['product', 'laundry'], required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  orderNumber: { type: String },
+  buyerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+  shopId: { type: mongoose.Schema.Types.ObjectId, ref: 'LaundryShop' },
+  lastMessage: {
+    text: String,
+    senderRole: { type: String, enum: ['buyer', 'seller'] },
+    attachmentCount: Number,
+    sentAt: Date
+  },
+  lastMessageAt: { type: Date },
+  // Messages each side has not read yet
+  unreadCount: {
+    buyer: { type: Number, default: 0 },
+    seller: { type: Number, default: 0 }
+  },
+  lastReadAt: {
+    buyer: Date,
+    seller: Date
+  }
+}, { timestamps: true });
+
+conversationSchema.index({ orderType: 1, orderId: 1 }, { unique: true });
+conversationSchema.index({ buyerId: 1, lastMessageAt: -1 });
+conversationSchema.index({ sellerId: 1, lastMessageAt: -1 }, { sparse: true });
+conversationSchema.index({ shopId: 1, lastMessageAt: -1 }, { sparse: true });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// Named sequence, incremented atomically by services/counterService.js.
+// _id is the sequence key: prefix, year and optional scope, e.g. 'ORD:2026' or
+// 'INV:2026:<sellerId>'.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, required: true, default: 0 }
+}, { timestamps: true, versionKey: false });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -1,18 +1,33 @@
 import mongoose from 'mongoose';
 
 const driverSchema = new mongoose.Schema({
-  email: { type: String, required: true },
+  email: { type: String, required: true, trim: true, lowercase: true },
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
   phone: { type: String },
-  password: { type: String }, // NOTE: plain for now to match existing user auth pattern
+  // bcrypt hash; see services/driverAuthService.js
+  passwordHash: { type: String },
+  passwordSetAt: { type: Date },
+  // Legacy plain-text password, hashed by scripts/migrate_driver_passwords.js or on next login
+  password: { type: String, select: false },
   vehicleType: { type: String, enum: ['motorcycle', 'car', 'van', 'bicycle'], default: 'motorcycle' },
   plateNumber: { type: String },
   licenseNumber: { type: String },
   status: { type: String, enum: ['active', 'inactive'], default: 'active', index: true },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  lastLoginAt: { type: Date },
+  // Refresh token store (SHA-256 of each active refresh token, one per session)
+  refreshTokens: { type: [String], default: [] },
+  // Sessions pushed out by MAX_ACTIVE_SESSIONS; refreshing one is not treated as reuse
+  evictedRefreshTokens: { type: [String], default: [] },
+  // Sessions ended by logout on their device; refreshing one is not treated as reuse either
+  signedOutRefreshTokens: { type: [String], default: [] },
+  // Bumped on password change/reset and "log out all devices"
+  tokenVersion: { type: Number, default: 0 },
 }, { timestamps: true });
 
 driverSchema.index({ email: 1, status: 1 });
 
 const Driver = mongoose.model('Driver', driverSchema);
-export default Driver;
\ No newline at end of file
+export default Driver;
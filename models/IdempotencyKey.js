@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Stored outcome of a request sent with an Idempotency-Key header, replayed on retries
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  // Who sent the key and which endpoint it was used on; keys are unique per scope
+  scope: { type: String, required: true },
+  // Hash of method, path and body, to spot a key reused for a different request
+  fingerprint: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // An in-progress key is only held this long; a retry after it takes the key over
+  leaseExpiresAt: { type: Date },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -4,6 +4,7 @@
  */
 
 import mongoose from 'mongoose';
+import { nextReference } from '../services/counterService.js';
 
 // Laundry Shop Schema
 const laundryShopSchema = new mongoose.Schema({
@@ -110,7 +111,7 @@ laundryBranchSchema.index({ "location.city": 1, "location.province": 1 });
 
 // Laundry Order Schema
 const laundryOrderSchema = new mongoose.Schema({
-  orderNumber: { type: String }, // "LND-2024-001"
+  orderNumber: { type: String }, // "LND-2024-001", from the LND counter
   
   // Customer Information
   customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -133,6 +134,11 @@ const laundryOrderSchema = new mongoose.Schema({
   // Pickup & Delivery
   pickup: {
     address: { type: String, required: true },
+    // Used to price the pickup leg (services/deliveryFeeService.js)
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
     scheduledDate: { type: Date, required: true },
     scheduledTime: String, // "9:00 AM - 11:00 AM"
     actualPickupTime: Date,
@@ -142,6 +148,11 @@ const laundryOrderSchema = new mongoose.Schema({
   
   delivery: {
     address: { type: String, required: true },
+    // Defaults to the pickup point when omitted
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
     scheduledDate: Date,
     scheduledTime: String,
     actualDeliveryTime: Date,
@@ -167,6 +178,17 @@ const laundryOrderSchema = new mongoose.Schema({
     discount: { type: Number, default: 0 },
     total: { type: Number, required: true }
   },
+  // Vouchers behind pricing.discount (services/voucherService.js)
+  vouchers: {
+    type: [{
+      _id: false,
+      voucherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' },
+      code: String,
+      fundedBy: { type: String, enum: ['platform', 'seller'] },
+      amount: Number
+    }],
+    default: undefined
+  },
   
   // Status Tracking
   status: {
@@ -236,18 +258,10 @@ laundryOrderSchema.index({ status: 1, "pickup.scheduledDate": 1 });
 laundryOrderSchema.index({ orderNumber: 1 }, { unique: true });
 
 // Pre-save middleware to generate order number
-laundryOrderSchema.pre('save', async function(next) {
+laundryOrderSchema.pre('save', async function() {
   if (this.isNew && !this.orderNumber) {
-    const year = new Date().getFullYear();
-    const count = await mongoose.model('LaundryOrder').countDocuments({
-      createdAt: {
-        $gte: new Date(year, 0, 1),
-        $lt: new Date(year + 1, 0, 1)
-      }
-    });
-    this.orderNumber = `LND-${year}-${String(count + 1).padStart(3, '0')}`;
+    this.orderNumber = await nextReference('LND', { pad: 3 });
   }
-  next();
 });
 
 // Laundry Notification Schema
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One chat message in an order Conversation
+const messageSchema = new mongoose.Schema({
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  senderRole: { type: String, enum: ['buyer', 'seller'], required: true },
+  // The user account that sent it (the seller's or shop owner's user on the seller side)
+  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, trim: true, maxlength: 2000 },
+  attachments: {
+    type: [{
+      _id: false,
+      url: { type: String, required: true },
+      publicId: String
+    }],
+    default: undefined
+  },
+  // Read receipt: when the other side read it
+  readAt: { type: Date }
+}, { timestamps: true });
+
+messageSchema.index({ conversationId: 1, _id: -1 });
+messageSchema.index({ senderId: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
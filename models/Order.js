@@ -1,19 +1,76 @@
 import mongoose from 'mongoose';
+import { nextReference } from '../services/counterService.js';
+
+// Canonical product order. Legacy documents (orderId, products[], flat payment
+// fields) are converted by scripts/migrate_orders.js. Status changes go through
+// services/orderStateMachine.js, which also stamps the fulfillment timestamps.
+
+const ORDER_STATUSES = [
+    'pending',
+    'payment_uploaded',
+    'payment_verified',
+    'payment_rejected',
+    'processing',
+    'ready_to_ship',
+    'out_for_delivery',
+    'delivered',
+    'cancelled'
+];
+
+const PAYMENT_STATUSES = ['unpaid', 'pending_verification', 'verified', 'rejected', 'refunded'];
+
+const orderItemAddOnSchema = new mongoose.Schema({
+    addOnId: { type: mongoose.Schema.Types.ObjectId, ref: 'AddOn', required: true },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    totalPrice: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const orderItemSchema = new mongoose.Schema({
+    // Snapshot of the product at checkout
+    product: {
+        _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        name: { type: String, required: true },
+        imageUrl: { type: String }
+    },
+    quantity: { type: Number, required: true, min: 1 },
+    // Set when stock was short and the buyer accepted a partial order
+    requestedQuantity: { type: Number },
+    unitPrice: { type: Number, required: true, min: 0 },
+    addOns: { type: [orderItemAddOnSchema], default: undefined },
+    // unitPrice × quantity plus add-ons
+    totalPrice: { type: Number, required: true, min: 0 },
+    // This line's share of summary.discount (vouchers); returns refund totalPrice minus it
+    discount: { type: Number, min: 0 }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
-    orderId: { type: String, required: true, unique: true, index: true },
+    // Human-facing reference, e.g. "#ORD-2026-000042" (legacy orders: "#ORD1A2B3C")
+    orderNumber: { type: String, unique: true, sparse: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, index: true },
-    products: [{
-        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
-        name: { type: String, required: true },
-        price: { type: Number, required: true },
-        quantity: { type: Number, required: true },
-        imageUrl: { type: String }
-    }],
+    // Parent checkout when the order came from a multi-seller cart checkout
+    checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Checkout', index: true },
+    items: {
+        type: [orderItemSchema],
+        validate: {
+            validator: (items) => Array.isArray(items) && items.length > 0,
+            message: 'An order needs at least one item'
+        }
+    },
+    summary: {
+        subtotal: { type: Number, default: 0 },
+        shippingFee: { type: Number, default: 0 },
+        tax: { type: Number, default: 0, min: 0 },
+        discount: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+    // Mirror of summary.total for older clients
+    totalAmount: { type: Number },
     status: {
         type: String,
-        enum: ['pending', 'processing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'],
+        enum: ORDER_STATUSES,
         default: 'pending',
         index: true
     },
@@ -23,6 +80,103 @@ const orderSchema = new mongoose.Schema({
         notes: String,
         updatedAt: { type: Date, default: Date.now }
     }],
+    payment: {
+        method: { type: String },
+        status: { type: String, enum: PAYMENT_STATUSES, default: 'unpaid' },
+        receiptUrl: { type: String },
+        receiptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Receipt' },
+        verifiedAt: { type: Date },
+        verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+        rejectedAt: { type: Date },
+        rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+        declineReason: { type: String }
+    },
+    buyerName: { type: String },
+    shippingAddress: {
+        name: String,
+        phone: String,
+        address: String,
+        city: String,
+        province: String,
+        postalCode: String,
+        country: String,
+        // Drop-off point, used to price delivery (services/deliveryFeeService.js)
+        lat: Number,
+        lng: Number
+    },
+    // Vouchers behind summary.discount; fundedBy tells who bears each amount
+    vouchers: {
+        type: [{
+            _id: false,
+            voucherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' },
+            code: String,
+            fundedBy: { type: String, enum: ['platform', 'seller'] },
+            amount: Number
+        }],
+        default: undefined
+    },
+    // How summary.shippingFee was priced; estimated when coordinates were missing
+    deliveryQuote: {
+        distanceKm: Number,
+        surgeMultiplier: Number,
+        estimated: Boolean,
+        quotedAt: Date
+    },
+    notes: { type: String },
+    // Lines that could not be fully reserved at checkout
+    stockShortages: {
+        type: [{
+            _id: false,
+            productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+            name: String,
+            requested: Number,
+            available: Number
+        }],
+        default: undefined
+    },
+    // Seller fulfillment
+    processingDeadline: { type: Date },
+    processingExtensions: [{
+        requestedAt: { type: Date, default: Date.now },
+        additionalHours: { type: Number, required: true },
+        reason: String
+    }],
+    // Processing-deadline tracking (services/orderSlaService.js)
+    sla: {
+        warnedAt: Date,
+        breachedAt: Date,
+        escalatedAt: Date,
+        resolution: { type: String, enum: ['escalated', 'cancelled'] }
+    },
+    readyPhoto: {
+        url: String,
+        publicId: String,
+        uploadedAt: Date,
+        scheduledForDeletion: Date
+    },
+    // Issued on first request, numbered per seller (services/orderDocumentService.js)
+    invoice: {
+        number: String,
+        issuedAt: Date
+    },
+    // Sum of completed refunds (cancellation or returns)
+    refundedAmount: { type: Number, default: 0 },
+    // Return requests filed (services/returnService.js writes it to serialize them)
+    returnRequestCount: { type: Number, default: 0 },
+    // Set when the order is cancelled (see services/orderCancellationService.js)
+    cancellation: {
+        by: { type: String, enum: ['buyer', 'seller', 'admin', 'system'] },
+        reasonCode: String,
+        reason: String
+    },
+    fulfillment: {
+        paymentVerifiedAt: Date,
+        processingAt: Date,
+        readyToShipAt: Date,
+        outForDeliveryAt: Date,
+        deliveredAt: Date,
+        cancelledAt: Date
+    },
     driverAssignment: {
         driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', index: true },
         assignedAt: { type: Date },
@@ -33,18 +187,39 @@ const orderSchema = new mongoose.Schema({
             accuracy: { type: Number },
             updatedAt: { type: Date }
         }
-    },
-    buyerName: { type: String },
-    productName: { type: String },
-    productImageUrl: { type: String },
-    quantity: { type: Number },
-    totalAmount: { type: Number }
+    }
 }, { timestamps: true });
 
 orderSchema.index({ userId: 1, createdAt: -1 });
-orderSchema.index({ sellerId: 1, status: 1 });
+// Seller inbox: newest first, optionally by status (see services/sellerInboxService.js)
+orderSchema.index({ sellerId: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
 orderSchema.index({ 'driverAssignment.driverId': 1, status: 1 });
+orderSchema.index({ status: 1, processingDeadline: 1 });
+orderSchema.index({ sellerId: 1, 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } });
+
+// Flat payment fields kept as virtuals so existing clients keep reading them
+orderSchema.virtual('paymentStatus').get(function() {
+    return this.payment?.status;
+});
+orderSchema.virtual('paymentMethod').get(function() {
+    return this.payment?.method;
+});
+
+orderSchema.pre('validate', async function() {
+    // Drawn outside any transaction: a number lost to an aborted checkout is
+    // cheaper than every checkout queueing on one counter document
+    if (!this.orderNumber) {
+        this.orderNumber = await nextReference('ORD', { lead: '#' });
+    }
+    if (this.isModified('summary') || this.isModified('items') || this.totalAmount == null) {
+        this.totalAmount = this.summary?.total;
+    }
+});
+
+orderSchema.set('toJSON', { virtuals: true });
+orderSchema.set('toObject', { virtuals: true });
 
 const Order = mongoose.model('Order', orderSchema);
 
-export default Order;
\ No newline at end of file
+export default Order;
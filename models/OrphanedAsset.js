@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Cloudinary asset that no document references. Held in quarantine by
+// services/mediaCleanupService.js and destroyed once it has stayed orphaned
+// for the whole quarantine period; released if something references it again.
+const orphanedAssetSchema = new mongoose.Schema({
+  publicId: { type: String, required: true, unique: true },
+  resourceType: { type: String, default: 'image' },
+  url: { type: String },
+  bytes: { type: Number },
+  assetCreatedAt: { type: Date },
+  firstSeenAt: { type: Date, required: true, default: Date.now },
+  lastSeenAt: { type: Date, required: true, default: Date.now }
+}, { timestamps: true });
+
+orphanedAssetSchema.index({ firstSeenAt: 1 });
+
+const OrphanedAsset = mongoose.model('OrphanedAsset', orphanedAssetSchema);
+
+export default OrphanedAsset;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// One-time passcodes sent by SMS (phone verification, MPIN reset, driver password reset, ...)
+const otpChallengeSchema = new mongoose.Schema({
+  phone: { type: String, required: true, trim: true },
+  purpose: {
+    type: String,
+    enum: ['phone_verification', 'mpin_reset', 'driver_password_reset'],
+    required: true
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  codeHash: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'locked', 'superseded'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  verifiedAt: { type: Date }
+}, { timestamps: true });
+
+otpChallengeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep challenges for a day so send throttling can count them, then let Mongo purge them
+otpChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+export default OtpChallenge;
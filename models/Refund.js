@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Money owed back to a buyer, opened when a paid order is cancelled or returned
+// lines are received. The seller pays it out (e.g. GCash transfer) and records
+// the reference here.
+const refundSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  // Set when the refund is for returned lines rather than a cancelled order
+  returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+  checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Checkout' },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, index: true },
+  amount: { type: Number, required: true, min: 0 },
+  method: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  reason: { type: String },
+  openedBy: { type: String },
+  // Payout reference (GCash/bank transaction number) recorded by the seller
+  reference: { type: String },
+  notes: { type: String },
+  processedAt: { type: Date },
+  processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }
+}, { timestamps: true });
+
+refundSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
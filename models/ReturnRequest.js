@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { nextReference } from '../services/counterService.js';
+
+const RETURN_STATUSES = [
+  'requested',
+  'approved',
+  'rejected',
+  'pickup_assigned',
+  'picked_up',
+  'received',
+  'refunded',
+  'cancelled'
+];
+
+const returnLineSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  name: { type: String, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  // Per-unit price paid for the line, add-ons included
+  unitPrice: { type: Number, required: true, min: 0 },
+  refundAmount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Buyer request to return lines of a delivered product order (RMA)
+const returnRequestSchema = new mongoose.Schema({
+  // Human-facing reference, e.g. "#RET-2026-000042"
+  returnNumber: { type: String, unique: true, sparse: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, index: true },
+  lines: {
+    type: [returnLineSchema],
+    validate: {
+      validator: (lines) => Array.isArray(lines) && lines.length > 0,
+      message: 'A return needs at least one line'
+    }
+  },
+  reasonCode: { type: String, required: true },
+  description: { type: String },
+  photos: [{
+    _id: false,
+    url: String,
+    publicId: String
+  }],
+  refundAmount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: RETURN_STATUSES, default: 'requested', index: true },
+  statusHistory: [{
+    status: String,
+    updatedBy: String,
+    notes: String,
+    updatedAt: { type: Date, default: Date.now }
+  }],
+  rejectionReason: { type: String },
+  pickup: {
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', index: true },
+    assignedAt: Date,
+    pickedUpAt: Date
+  },
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' }
+}, { timestamps: true });
+
+returnRequestSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+
+returnRequestSchema.pre('validate', async function() {
+  if (!this.returnNumber) {
+    this.returnNumber = await nextReference('RET', { lead: '#' });
+  }
+});
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
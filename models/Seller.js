@@ -47,12 +47,15 @@ const sellerSchema = new mongoose.Schema({
     coordinates: { type: [Number] } // [lng, lat]
   },
 
-  // Seller auth code (hashed)
+  // Seller auth code (hashed), required for seller step-up
   sellerAuthCodeHash: { type: String, default: null },
+  authCodeFailedAttempts: { type: Number, default: 0 },
+  authCodeLockedUntil: { type: Date },
 
-  // Device binding for seller security
+  // Device binding for seller security; seller tokens are only valid for bound devices
   deviceBindings: [{
     deviceId: { type: String },
+    name: { type: String, trim: true, maxlength: 60 },
     boundAt: { type: Date, default: Date.now },
     lastAuthAt: { type: Date }
   }],
@@ -66,6 +69,14 @@ const sellerSchema = new mongoose.Schema({
     bankName: { type: String } // only required if type === 'bank'
   }],
 
+  // Order handling preferences (see services/orderSlaService.js)
+  orderSettings: {
+    // Hours to prepare an order once it enters processing; falls back to ORDER_PROCESSING_HOURS
+    processingHours: { type: Number, min: 1, max: 336 },
+    // What happens when the processing deadline passes
+    overdueAction: { type: String, enum: ['escalate', 'cancel'], default: 'escalate' }
+  },
+
   // Add-ons (optional quick access array for small sellers)
   addOns: [{
     name: String,
@@ -78,6 +89,8 @@ const sellerSchema = new mongoose.Schema({
   // System info
   registrationDate: { type: Date, default: Date.now },
   isVerified: { type: Boolean, default: false },
+  verifiedAt: { type: Date },
+  verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   fcmToken: { type: String }      // for push notifications
 }, { timestamps: true });
 
@@ -11,12 +11,16 @@ const userSchema = new mongoose.Schema({
   },
   // Secure password storage
   passwordHash: { type: String },
+  // Which login methods this account accepts (see getCredentialPolicy for legacy accounts)
+  credentialPolicy: { type: String, enum: ['password', 'mpin', 'both'] },
+  passwordSetAt: { type: Date },
   dateOfBirth: { type: Date },
   age: { type: Number, required: false }, // Optional: can be calculated from dateOfBirth
   gender: { type: String, enum: ['male', 'female', 'other'], required: false },
   userType: { type: String, enum: ['buyer', 'seller'], default: 'buyer' },
   isVerified: { type: Boolean, default: false },
   phoneVerified: { type: Boolean, default: false },
+  phoneVerifiedAt: { type: Date },
   fcmToken: { type: String }, // For push notifications
   addresses: [{
     type: { type: String, enum: ['home', 'work', 'other'], default: 'home' },
@@ -28,6 +32,9 @@ const userSchema = new mongoose.Schema({
     province: String,
     postalCode: String,
     country: String,
+    // Pinned location, used to price delivery
+    lat: Number,
+    lng: Number,
     isDefault: { type: Boolean, default: false }
   }],
   // Seller-specific fields
@@ -52,8 +59,23 @@ const userSchema = new mongoose.Schema({
   mpinLockedUntil: { type: Date },
   lastMpinLoginAt: { type: Date },
   lastFailedMpinAt: { type: Date },
-  // Refresh token store (hashed)
-  refreshTokens: { type: [String], default: [] }
+  // Refresh token store (SHA-256 of each active refresh token, one per session)
+  refreshTokens: { type: [String], default: [] },
+  // Sessions pushed out by MAX_ACTIVE_SESSIONS; refreshing one is not treated as reuse
+  evictedRefreshTokens: { type: [String], default: [] },
+  // Sessions ended by logout on their device; refreshing one is not treated as reuse either
+  signedOutRefreshTokens: { type: [String], default: [] },
+  // Bumped on "log out all devices" to invalidate outstanding access tokens
+  tokenVersion: { type: Number, default: 0 },
+  // Back-office access; granted only via scripts/promote_admin.js
+  isAdmin: { type: Boolean, default: false },
+  // Set by an admin; suspended accounts cannot sign in or use existing sessions
+  suspendedAt: { type: Date },
+  suspensionReason: { type: String },
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Self-service account deletion; erased when deletionScheduledFor passes unless cancelled
+  deletionRequestedAt: { type: Date },
+  deletionScheduledFor: { type: Date, index: { sparse: true } }
 }, { timestamps: true });
 
 
@@ -73,6 +95,33 @@ userSchema.virtual('calculatedAge').get(function() {
   return age;
 });
 
+// Resolve the account's credential policy. Accounts created before the policy
+// existed fall back to whichever credentials they actually have.
+userSchema.methods.getCredentialPolicy = function() {
+  if (this.credentialPolicy) return this.credentialPolicy;
+  const hasPassword = Boolean(this.passwordHash);
+  const hasMpin = Boolean(this.mpinHash || this.pinHash);
+  if (hasPassword && hasMpin) return 'both';
+  return hasPassword ? 'password' : 'mpin';
+};
+
+// Email/password login needs both a stored password and a policy that allows it
+userSchema.methods.allowsPasswordLogin = function() {
+  return Boolean(this.passwordHash) && ['password', 'both'].includes(this.getCredentialPolicy());
+};
+
+userSchema.methods.allowsMpinLogin = function() {
+  return Boolean(this.mpinHash || this.pinHash) && ['mpin', 'both'].includes(this.getCredentialPolicy());
+};
+
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.suspendedAt);
+};
+
+userSchema.methods.isPendingDeletion = function() {
+  return Boolean(this.deletionScheduledFor);
+};
+
 // Include virtuals in JSON responses
 userSchema.set('toJSON', { virtuals: true });
 userSchema.set('toObject', { virtuals: true });
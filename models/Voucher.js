@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Promo code. Platform vouchers are funded by the marketplace and may be
+// limited to some sellers; seller vouchers are funded by that seller and only
+// discount their own products. Rules are applied by services/voucherService.js.
+const voucherSchema = new mongoose.Schema({
+  // Stored upper-case; buyers may type it in any case
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  fundedBy: { type: String, enum: ['platform', 'seller'], required: true },
+  // Owner of a seller-funded voucher
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', index: true },
+  type: { type: String, enum: ['percentage', 'fixed', 'free_delivery'], required: true },
+  // Percent off (1–100) or pesos off; unused for free_delivery
+  value: { type: Number, min: 0, default: 0 },
+  // Cap on percentage and free-delivery discounts
+  maxDiscount: { type: Number, min: 0 },
+  // Measured on the eligible items only
+  minSpend: { type: Number, min: 0, default: 0 },
+  orderTypes: { type: [{ type: String, enum: ['product', 'laundry'] }], default: ['product'] },
+  // Restrictions; empty means no restriction. Categories match the product's
+  // category _id, slug or name.
+  categories: { type: [String], default: undefined },
+  sellerIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }], default: undefined },
+  // Total redemptions allowed; unset means unlimited
+  usageLimit: { type: Number, min: 1 },
+  perUserLimit: { type: Number, min: 1, default: 1 },
+  // Active (not reversed) redemptions
+  usedCount: { type: Number, min: 0, default: 0 },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  isActive: { type: Boolean, default: true },
+  createdBy: {
+    kind: { type: String, enum: ['admin', 'seller'] },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  }
+}, { timestamps: true });
+
+voucherSchema.index({ fundedBy: 1, isActive: 1, createdAt: -1 });
+
+const Voucher = mongoose.model('Voucher', voucherSchema);
+
+export default Voucher;
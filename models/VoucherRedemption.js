@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// One use of a voucher by a buyer. A cart checkout spreads the discount over
+// the seller orders it applies to; each share is an allocation. Cancelling an
+// order reverses its allocation, and once every allocation is reversed the
+// redemption no longer counts towards the voucher's usage caps.
+const voucherRedemptionSchema = new mongoose.Schema({
+  voucherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher', required: true },
+  code: { type: String, required: true },
+  fundedBy: { type: String, enum: ['platform', 'seller'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  orderType: { type: String, enum: ['product', 'laundry'], required: true },
+  checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Checkout' },
+  allocations: [{
+    _id: false,
+    orderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+    shopId: { type: mongoose.Schema.Types.ObjectId, ref: 'LaundryShop' },
+    amount: { type: Number, required: true, min: 0 },
+    reversedAt: { type: Date }
+  }],
+  amount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: ['applied', 'reversed'], default: 'applied' },
+  reversedAt: { type: Date }
+}, { timestamps: true });
+
+voucherRedemptionSchema.index({ voucherId: 1, userId: 1, status: 1 });
+voucherRedemptionSchema.index({ 'allocations.orderId': 1 });
+
+const VoucherRedemption = mongoose.model('VoucherRedemption', voucherRedemptionSchema);
+
+export default VoucherRedemption;
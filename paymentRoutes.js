@@ -1,11 +1,11 @@
 import express from 'express';
-import mongoose from 'mongoose';
-import User from './models/User.js';
 import Order from './models/Order.js';
-import Notification from './models/Notification.js';
 import Receipts from './models/Receipt.js'; // Assuming Receipts model is needed
-import { sendPushNotification } from './services/fcmService.js';
-import { authenticateUser } from './middleware/authenticateUser.js';
+import { authenticate, requireRole, requireOwnership, requireVerifiedPhone, sameId } from './middleware/auth.js';
+import { idempotent } from './middleware/idempotency.js';
+import { notifySellerOfOrder } from './services/orderNotificationService.js';
+import { placeOrder, toShippingAddress } from './services/orderService.js';
+import { transitionOrder, allowedTransitions, initialStatusHistory } from './services/orderStateMachine.js';
 import multer from 'multer';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import { v2 as cloudinary } from 'cloudinary';
@@ -29,81 +29,69 @@ const uploadPaymentReceipt = multer({ storage: storagePaymentReceipt });
 
 const router = express.Router();
 
+// The multipart body is only parsed after the ownership check, so the receipt's
+// order travels in the query string (?orderId=)
+const loadReceiptOrder = (req) => Order.findById(req.query.orderId);
+const buyerOwnsOrder = { buyer: (order, principal) => sameId(order.userId, principal.userId) };
+
+const discardUpload = (file) => file && cloudinary.uploader.destroy(file.filename).catch(() => null);
+
 // Create payment verification request (temporary order)
-router.post('/payment-verification-request', async (req, res) => {
+router.post('/payment-verification-request', authenticate, requireRole('buyer'), requireVerifiedPhone('checkout'), idempotent('payment.verification_request'), async (req, res) => {
   try {
     console.log('💳 Received payment verification request:', JSON.stringify(req.body, null, 2));
     
     const { 
-      userId, 
       sellerId, 
       items, 
       paymentReceiptUrl, 
       deliveryAddress,
       customerName,
-      paymentMethod,
-      summary 
+      paymentMethod
     } = req.body;
     
+    // The buyer is always the authenticated user
+    if (req.body.userId && !sameId(req.body.userId, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot create a payment request for another user'
+      });
+    }
+    const userId = req.userId;
+
     // Validate required fields
-    if (!userId || !sellerId || !items || !paymentReceiptUrl) {
+    if (!sellerId || !items || !paymentReceiptUrl) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: userId, sellerId, items, paymentReceiptUrl'
+        error: 'Missing required fields: sellerId, items, paymentReceiptUrl'
       });
     }
     
-    // Create temporary order with payment_uploaded status
-    // Generate order number first
-    const tempOrderId = new mongoose.Types.ObjectId();
-    const orderNumber = `#ORD${tempOrderId.toString().slice(-6).toUpperCase()}`;
-    
-    const tempOrderData = {
-      _id: tempOrderId,
+    // Create the order in payment_uploaded status; the seller verifies the receipt next
+    const newOrder = await placeOrder({
       userId,
       sellerId,
-      items: items.map(item => ({
-        product: {
-          _id: item.productId || item.product?._id,
-          name: item.name || item.product?.name || 'Unknown Product'
-        },
-        quantity: item.quantity,
-        unitPrice: item.price || item.unitPrice,
-        totalPrice: (item.price || item.unitPrice) * item.quantity
-      })),
-      orderNumber,
-      paymentReceiptUrl,
-      deliveryAddress,
-      customerName,
-      paymentMethod,
-      summary,
-      status: 'payment_uploaded', // Initial status
-      orderDate: new Date(),
-      paymentDetails: {
+      buyerName: customerName,
+      shippingAddress: toShippingAddress(deliveryAddress),
+      status: 'payment_uploaded',
+      statusHistory: initialStatusHistory('payment_uploaded', 'buyer', userId),
+      payment: {
         method: paymentMethod,
         status: 'pending_verification',
         receiptUrl: paymentReceiptUrl
       }
-    };
-
-    const newOrder = await Order.create(tempOrderData);
+    }, {
+      items,
+      voucherCodes: req.body.voucherCodes || req.body.voucherCode,
+      allowPartial: req.body.allowPartial === true
+    });
+    const { orderNumber } = newOrder;
 
     // Notify seller about new payment verification request
-    const seller = await User.findById(sellerId);
-    if (seller && seller.fcmToken) {
-      const notificationTitle = 'New Payment Verification Request';
-      const notificationBody = `Order ${orderNumber} from ${customerName} requires your verification.`;
-      await sendPushNotification(seller.fcmToken, notificationTitle, notificationBody, { orderId: newOrder._id.toString(), type: 'payment_verification' });
-    }
-
-    // Create a notification record
-    await Notification.create({
-      userId: sellerId,
-      type: 'payment_verification',
-      message: `Order ${orderNumber} from ${customerName} requires your verification.`, 
-      link: `/seller/orders/${newOrder._id}`,
-      isRead: false,
-      date: new Date()
+    await notifySellerOfOrder(newOrder, {
+      title: 'New Payment Verification Request',
+      message: `Order ${orderNumber} from ${customerName || 'a customer'} requires your verification.`,
+      type: 'payment_verification'
     });
 
     console.log(`✅ [Payment] Payment verification request created for order ${orderNumber}`);
@@ -114,6 +102,12 @@ router.post('/payment-verification-request', async (req, res) => {
     });
 
   } catch (error) {
+    if (['OrderInputError', 'DeliveryFeeError', 'VoucherError'].includes(error.name)) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code, ...error.details });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('❌ [Payment] Error creating payment verification request:', error);
     res.status(500).json({
       success: false,
@@ -122,19 +116,18 @@ router.post('/payment-verification-request', async (req, res) => {
   }
 });
 
-router.get('/verification/pending', async (req, res) => {
+router.get('/verification/pending', authenticate, requireRole('seller'), async (req, res) => {
   try {
     console.log('🔍 Fetching pending receipts for payment verification...');
     
-    // Find all pending receipts and populate order details
-    const receipts = await Receipts.find({ status: 'pending' })
+    // Only receipts for this seller's orders
+    const sellerOrderIds = await Order.find({ sellerId: req.sellerId }).distinct('_id');
+
+    // Find pending receipts and populate order details
+    const receipts = await Receipts.find({ status: 'pending', orderId: { $in: sellerOrderIds } })
       .populate({
         path: 'orderId',
-        select: 'items totalAmount paymentStatus status orderNumber customerId sellerId',
-        populate: {
-          path: 'items.productId',
-          select: 'name price productImage'
-        }
+        select: 'items totalAmount payment status orderNumber userId sellerId'
       })
       .populate({
         path: 'customerId',
@@ -163,7 +156,7 @@ router.get('/verification/pending', async (req, res) => {
         orderNumber: receipt.orderId.orderNumber,
         items: receipt.orderId.items,
         totalAmount: receipt.orderId.totalAmount,
-        paymentStatus: receipt.orderId.paymentStatus,
+        paymentStatus: receipt.orderId.payment?.status,
         status: receipt.orderId.status,
         sellerId: receipt.orderId.sellerId
       } : null
@@ -184,19 +177,16 @@ router.get('/verification/pending', async (req, res) => {
   }
 });
 
-router.get('/pending', async (req, res) => {
+router.get('/pending', authenticate, requireRole('seller'), async (req, res) => {
   try {
     console.log('🔍 Fetching pending receipts...');
     
-    // Fetch all receipts where status = "pending"
-    const pendingReceipts = await Receipts.find({ status: 'pending' })
+    // Fetch pending receipts for this seller's orders
+    const sellerOrderIds = await Order.find({ sellerId: req.sellerId }).distinct('_id');
+    const pendingReceipts = await Receipts.find({ status: 'pending', orderId: { $in: sellerOrderIds } })
       .populate({
         path: 'orderId',
-        select: 'items totalAmount paymentStatus',
-        populate: {
-          path: 'items.productId',
-          select: 'name price'
-        }
+        select: 'items totalAmount payment'
       })
       .populate({
         path: 'customerId',
@@ -220,11 +210,11 @@ router.get('/pending', async (req, res) => {
         customerName: receipt.customerId.name,
         customerEmail: receipt.customerId.email,
         orderTotalAmount: receipt.orderId.totalAmount,
-        orderPaymentStatus: receipt.orderId.paymentStatus,
+        orderPaymentStatus: receipt.orderId.payment?.status,
         orderItems: receipt.orderId.items.map(item => ({
-          productId: item.productId._id,
-          productName: item.productId.name,
-          price: item.productId.price,
+          productId: item.product._id,
+          productName: item.product.name,
+          price: item.unitPrice,
           quantity: item.quantity
         }))
       }));
@@ -236,9 +226,10 @@ router.get('/pending', async (req, res) => {
   }
 });
 
-router.post('/uploadReceipt', uploadPaymentReceipt.single('file'), async (req, res) => {
+router.post('/uploadReceipt', authenticate, requireRole('buyer'), requireOwnership(loadReceiptOrder, buyerOwnsOrder), uploadPaymentReceipt.single('file'), async (req, res) => {
   const startTime = Date.now();
   const requestId = Math.random().toString(36).substring(7);
+  let receipt;
   
   try {
     console.log(`🚀 [${requestId}] UPLOAD RECEIPT REQUEST - ${new Date().toISOString()}`);
@@ -250,28 +241,16 @@ router.post('/uploadReceipt', uploadPaymentReceipt.single('file'), async (req, r
       });
     }
 
-    // Extract required fields from request body
-    const { orderId, customerId, totalAmount } = req.body;
-    
-    // Validate required fields
-    if (!orderId || !customerId || !totalAmount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: orderId, customerId, totalAmount'
-      });
-    }
-    
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(customerId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid orderId or customerId format'
-      });
-    }
-    
+    // The customer is the authenticated buyer, who owns the order (checked before the upload)
+    const order = req.resource;
+    const orderId = order._id;
+    const customerId = req.userId;
+    const { totalAmount } = req.body;
+
     // Validate totalAmount
     const amount = parseFloat(totalAmount);
     if (isNaN(amount) || amount <= 0) {
+      await discardUpload(req.file);
       return res.status(400).json({
         success: false,
         error: 'Invalid totalAmount - must be a positive number'
@@ -284,9 +263,9 @@ router.post('/uploadReceipt', uploadPaymentReceipt.single('file'), async (req, r
     console.log(`✅ [${requestId}] Image uploaded to Cloudinary:`, receiptUrl);
     
     // Save new document in receipts collection
-    const receipt = await Receipts.create({
-      orderId: new mongoose.Types.ObjectId(orderId),
-      customerId: new mongoose.Types.ObjectId(customerId),
+    receipt = await Receipts.create({
+      orderId,
+      customerId,
       receiptUrl: receiptUrl,
       totalAmount: amount,
       status: 'pending',
@@ -295,6 +274,16 @@ router.post('/uploadReceipt', uploadPaymentReceipt.single('file'), async (req, r
     });
     
     console.log(`✅ [${requestId}] Receipt saved to database:`, receipt._id);
+
+    // A receipt on an unpaid (or previously rejected) order puts it back in the seller's verification queue
+    if (allowedTransitions(order, 'buyer').includes('payment_uploaded')) {
+      await transitionOrder(order, 'payment_uploaded', {
+        actor: 'buyer',
+        actorId: customerId,
+        receiptUrl,
+        receiptId: receipt._id
+      });
+    }
     
     // Return success + receipt data
     res.json({
@@ -312,6 +301,7 @@ router.post('/uploadReceipt', uploadPaymentReceipt.single('file'), async (req, r
     });
     
   } catch (error) {
+    if (!receipt) await discardUpload(req.file);
     console.error('Error uploading receipt:', error);
     res.status(500).json({
       success: false,
@@ -1,10 +1,14 @@
 import express from 'express';
 import abTestingService, { ABTest, UserTestAssignment } from '../services/abTestingService.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Test management is back-office only; variant lookup and conversion tracking stay public
+const requireAdmin = [authenticate, requireRole('admin')];
+
 // ===== CREATE A/B TEST =====
-router.post('/create', async (req, res) => {
+router.post('/create', requireAdmin, async (req, res) => {
   try {
     const testConfig = req.body;
 
@@ -33,7 +37,7 @@ router.post('/create', async (req, res) => {
 });
 
 // ===== START A/B TEST =====
-router.post('/:testId/start', async (req, res) => {
+router.post('/:testId/start', requireAdmin, async (req, res) => {
   try {
     const { testId } = req.params;
 
@@ -62,7 +66,7 @@ router.post('/:testId/start', async (req, res) => {
 });
 
 // ===== COMPLETE A/B TEST =====
-router.post('/:testId/complete', async (req, res) => {
+router.post('/:testId/complete', requireAdmin, async (req, res) => {
   try {
     const { testId } = req.params;
 
@@ -91,7 +95,7 @@ router.post('/:testId/complete', async (req, res) => {
 });
 
 // ===== GET ALL TESTS =====
-router.get('/', async (req, res) => {
+router.get('/', requireAdmin, async (req, res) => {
   try {
     const { status, testType, limit = 20, page = 1 } = req.query;
 
@@ -136,7 +140,7 @@ router.get('/', async (req, res) => {
 });
 
 // ===== GET SINGLE TEST =====
-router.get('/:testId', async (req, res) => {
+router.get('/:testId', requireAdmin, async (req, res) => {
   try {
     const { testId } = req.params;
 
@@ -179,7 +183,7 @@ router.get('/:testId', async (req, res) => {
 });
 
 // ===== UPDATE TEST =====
-router.put('/:testId', async (req, res) => {
+router.put('/:testId', requireAdmin, async (req, res) => {
   try {
     const { testId } = req.params;
     const updates = req.body;
@@ -226,7 +230,7 @@ router.put('/:testId', async (req, res) => {
 });
 
 // ===== DELETE TEST =====
-router.delete('/:testId', async (req, res) => {
+router.delete('/:testId', requireAdmin, async (req, res) => {
   try {
     const { testId } = req.params;
 
@@ -360,7 +364,7 @@ router.post('/track/conversion', async (req, res) => {
 });
 
 // ===== PREDEFINED TEST TEMPLATES =====
-router.get('/templates/displayaddons', async (req, res) => {
+router.get('/templates/displayaddons', requireAdmin, async (req, res) => {
   try {
     const template = {
       name: 'displayaddons_optimization',
@@ -1,37 +1,15 @@
 import express from 'express';
 import multer from 'multer';
-import jwt from 'jsonwebtoken';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import cloudinary from '../config/cloudinary.js';
 import AddOn from '../models/AddOn.js';
-import User from '../models/User.js';
-import { JWT_SECRET } from '../config/authConfig.js';
+import { authenticate, requireRole, requireOwnership, sameId } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Simple JWT auth middleware (aligns with existing token structure)
-async function authenticate(req, res, next) {
-  const authHeader = req.headers['authorization'] || req.headers['Authorization'];
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, error: 'Missing Authorization header' });
-  }
-  const token = authHeader.replace('Bearer ', '').trim();
-  try {
-  const payload = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(payload.userId || payload.id || payload._id);
-    if (!user) {
-      return res.status(401).json({ success: false, error: 'User not found' });
-    }
-    req.user = user;
-    req.userId = user._id;
-    if (user.sellerInfo && user.sellerInfo.sellerId) {
-      req.sellerId = user.sellerInfo.sellerId;
-    }
-    next();
-  } catch (e) {
-    return res.status(401).json({ success: false, error: 'Invalid token' });
-  }
-}
+// Add-ons belong to a seller; only that seller may change them
+const loadAddOn = (req) => AddOn.findById(req.params.id);
+const sellerOwnsAddOn = { seller: (addOn, principal) => sameId(addOn.sellerId, principal.sellerId) };
 
 // Cloudinary storage for add-on images
 const addOnImageStorage = new CloudinaryStorage({
@@ -46,7 +24,7 @@ const addOnImageStorage = new CloudinaryStorage({
 const uploadAddOnImage = multer({ storage: addOnImageStorage });
 
 // List add-ons for the authenticated seller
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireRole('seller'), async (req, res) => {
   try {
     const addOns = await AddOn.find({ sellerId: req.sellerId }).sort({ createdAt: -1 });
     res.status(200).json({ success: true, addOns });
@@ -56,7 +34,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Create add-on (supports image file or URL)
-router.post('/', authenticate, uploadAddOnImage.single('image'), async (req, res) => {
+router.post('/', authenticate, requireRole('seller'), uploadAddOnImage.single('image'), async (req, res) => {
   try {
     const { name, description, price, category, maxQuantity, isActive, image: imageUrlFromBody } = req.body;
     if (!name || price == null) {
@@ -82,15 +60,9 @@ router.post('/', authenticate, uploadAddOnImage.single('image'), async (req, res
 });
 
 // Update add-on
-router.put('/:id', authenticate, uploadAddOnImage.single('image'), async (req, res) => {
+router.put('/:id', authenticate, requireRole('seller'), requireOwnership(loadAddOn, sellerOwnsAddOn), uploadAddOnImage.single('image'), async (req, res) => {
   try {
     const { id } = req.params;
-    const existing = await AddOn.findById(id);
-    if (!existing) return res.status(404).json({ success: false, error: 'Add-on not found' });
-    if (existing.sellerId.toString() !== req.userId.toString()) {
-      return res.status(403).json({ success: false, error: 'Not authorized to update this add-on' });
-    }
-
     const { name, description, price, category, maxQuantity, isActive, image: imageUrlFromBody } = req.body;
     const update = {};
     if (name) update.name = name.trim();
@@ -109,14 +81,9 @@ router.put('/:id', authenticate, uploadAddOnImage.single('image'), async (req, r
 });
 
 // Delete add-on
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, requireRole('seller'), requireOwnership(loadAddOn, sellerOwnsAddOn), async (req, res) => {
   try {
     const { id } = req.params;
-    const existing = await AddOn.findById(id);
-    if (!existing) return res.status(404).json({ success: false, error: 'Add-on not found' });
-    if (existing.sellerId.toString() !== req.userId.toString()) {
-      return res.status(403).json({ success: false, error: 'Not authorized to delete this add-on' });
-    }
     await AddOn.findByIdAndDelete(id);
     res.status(200).json({ success: true, message: 'Add-on deleted' });
   } catch (error) {
@@ -125,14 +92,9 @@ router.delete('/:id', authenticate, async (req, res) => {
 });
 
 // Toggle active state
-router.patch('/:id/toggle', authenticate, async (req, res) => {
+router.patch('/:id/toggle', authenticate, requireRole('seller'), requireOwnership(loadAddOn, sellerOwnsAddOn), async (req, res) => {
   try {
-    const { id } = req.params;
-    const existing = await AddOn.findById(id);
-    if (!existing) return res.status(404).json({ success: false, error: 'Add-on not found' });
-    if (existing.sellerId.toString() !== req.userId.toString()) {
-      return res.status(403).json({ success: false, error: 'Not authorized to update this add-on' });
-    }
+    const existing = req.resource;
     existing.isActive = !existing.isActive;
     await existing.save();
     res.status(200).json({ success: true, addOn: existing });
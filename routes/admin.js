@@ -0,0 +1,611 @@
+/**
+ * Admin (back-office) API
+ * Every route requires an admin principal. Data-maintenance actions are
+ * additionally limited to development builds.
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Seller from '../models/Seller.js';
+import Order from '../models/Order.js';
+import AuditLog from '../models/AuditLog.js';
+import Voucher from '../models/Voucher.js';
+import VoucherRedemption from '../models/VoucherRedemption.js';
+import { authenticate, requireRole, requireDevelopment, sameId } from '../middleware/auth.js';
+import { revokeAllSessions } from '../services/tokenService.js';
+import { recordAudit } from '../services/auditService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { cancelOrder } from '../services/orderCancellationService.js';
+import { getSellerSlaMetrics } from '../services/orderSlaService.js';
+import { MEDIA_ORPHAN_QUARANTINE_DAYS, runMediaCleanup } from '../services/mediaCleanupService.js';
+import { createVoucher, updateVoucher } from '../services/voucherService.js';
+
+const router = express.Router();
+
+router.use(authenticate, requireRole('admin'));
+
+// Credential material is never returned, even to admins
+const SAFE_USER_FIELDS = '-passwordHash -mpinHash -pinHash -refreshTokens -evictedRefreshTokens -signedOutRefreshTokens';
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationInfo = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+// Reject malformed :id params before they reach a query
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid id format' });
+  }
+  next();
+});
+
+// ==================== USERS ====================
+
+// GET /api/admin/users?q=&suspended=&page=&limit=
+router.get('/users', async (req, res) => {
+  try {
+    const { q, suspended } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ email: pattern }, { phone: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+    if (suspended === 'true') filter.suspendedAt = { $ne: null };
+    if (suspended === 'false') filter.suspendedAt = null;
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(SAFE_USER_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, users, pagination: paginationInfo(page, limit, total) });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error listing users:', err);
+    res.status(500).json({ success: false, message: 'Failed to list users', error: err.message });
+  }
+});
+
+// GET /api/admin/users/:id
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(SAFE_USER_FIELDS).lean();
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const [seller, orderCount] = await Promise.all([
+      Seller.findOne({ userId: user._id }).select('businessName shopName isVerified verifiedAt').lean(),
+      Order.countDocuments({ userId: user._id }),
+    ]);
+
+    res.json({ success: true, user, seller, orderCount });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error fetching user:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch user', error: err.message });
+  }
+});
+
+// POST /api/admin/users/:id/suspend { reason }
+router.post('/users/:id/suspend', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A suspension reason is required' });
+    }
+    if (sameId(req.params.id, req.userId)) {
+      return res.status(400).json({ success: false, message: 'You cannot suspend your own account' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.isSuspended()) {
+      return res.status(409).json({ success: false, message: 'User is already suspended' });
+    }
+
+    user.suspendedAt = new Date();
+    user.suspensionReason = String(reason).trim();
+    user.suspendedBy = req.userId;
+    await user.save();
+
+    // End every session so the suspension takes effect immediately
+    await revokeAllSessions(user._id);
+
+    await recordAudit(req, {
+      action: 'admin.user_suspend',
+      target: { type: 'User', id: user._id },
+      before: { suspendedAt: null },
+      after: { suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason },
+    });
+
+    console.log(`🚫 [ADMIN] User ${user._id} suspended by ${req.userId}`);
+    res.json({
+      success: true,
+      message: 'User suspended',
+      user: { _id: user._id, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason },
+    });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error suspending user:', err);
+    res.status(500).json({ success: false, message: 'Failed to suspend user', error: err.message });
+  }
+});
+
+// POST /api/admin/users/:id/unsuspend
+router.post('/users/:id/unsuspend', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.isSuspended()) {
+      return res.status(409).json({ success: false, message: 'User is not suspended' });
+    }
+
+    const before = { suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'admin.user_unsuspend',
+      target: { type: 'User', id: user._id },
+      before,
+      after: { suspendedAt: null, suspensionReason: null },
+    });
+
+    console.log(`✅ [ADMIN] User ${user._id} reinstated by ${req.userId}`);
+    res.json({ success: true, message: 'User reinstated', user: { _id: user._id } });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error reinstating user:', err);
+    res.status(500).json({ success: false, message: 'Failed to reinstate user', error: err.message });
+  }
+});
+
+// ==================== SELLERS ====================
+
+// GET /api/admin/sellers?verified=&q=&page=&limit=
+router.get('/sellers', async (req, res) => {
+  try {
+    const { verified, q } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (verified === 'true') filter.isVerified = true;
+    if (verified === 'false') filter.isVerified = { $ne: true };
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ businessName: pattern }, { shopName: pattern }, { email: pattern }, { phoneNumber: pattern }];
+    }
+
+    const [sellers, total] = await Promise.all([
+      Seller.find(filter)
+        .select('userId email firstName lastName phoneNumber businessName shopName isVerified verifiedAt registrationDate')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Seller.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, sellers, pagination: paginationInfo(page, limit, total) });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error listing sellers:', err);
+    res.status(500).json({ success: false, message: 'Failed to list sellers', error: err.message });
+  }
+});
+
+const setSellerVerification = (isVerified) => async (req, res) => {
+  try {
+    const seller = await Seller.findById(req.params.id);
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Seller not found' });
+    }
+
+    const before = { isVerified: Boolean(seller.isVerified) };
+    seller.isVerified = isVerified;
+    seller.verifiedAt = isVerified ? new Date() : undefined;
+    seller.verifiedBy = isVerified ? req.userId : undefined;
+    // Only touch the verification fields; older seller records may not pass full validation
+    await seller.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: isVerified ? 'admin.seller_verify' : 'admin.seller_unverify',
+      target: { type: 'Seller', id: seller._id },
+      before,
+      after: { isVerified },
+    });
+
+    console.log(`🏪 [ADMIN] Seller ${seller._id} ${isVerified ? 'verified' : 'unverified'} by ${req.userId}`);
+    res.json({
+      success: true,
+      message: isVerified ? 'Seller verified' : 'Seller verification removed',
+      seller: {
+        _id: seller._id,
+        businessName: seller.businessName,
+        shopName: seller.shopName,
+        isVerified: seller.isVerified,
+        verifiedAt: seller.verifiedAt,
+      },
+    });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error updating seller verification:', err);
+    res.status(500).json({ success: false, message: 'Failed to update seller verification', error: err.message });
+  }
+};
+
+// POST /api/admin/sellers/:id/verify
+router.post('/sellers/:id/verify', setSellerVerification(true));
+
+// POST /api/admin/sellers/:id/unverify
+router.post('/sellers/:id/unverify', setSellerVerification(false));
+
+// GET /api/admin/sellers/:id/sla?days=30
+router.get('/sellers/:id/sla', async (req, res) => {
+  try {
+    if (!(await Seller.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, message: 'Seller not found' });
+    }
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const metrics = await getSellerSlaMetrics(req.params.id, days);
+    res.json({ success: true, metrics });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error fetching seller SLA metrics:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch seller SLA metrics', error: err.message });
+  }
+});
+
+// ==================== ORDERS ====================
+
+// GET /api/admin/orders?status=&sellerId=&userId=&page=&limit=
+router.get('/orders', async (req, res) => {
+  try {
+    const { status, sellerId, userId } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (status) filter.status = status;
+    for (const [field, value] of Object.entries({ sellerId, userId })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: `Invalid ${field}` });
+      }
+      filter[field] = value;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Order.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, orders, pagination: paginationInfo(page, limit, total) });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error listing orders:', err);
+    res.status(500).json({ success: false, message: 'Failed to list orders', error: err.message });
+  }
+});
+
+// GET /api/admin/orders/escalated?page=&limit=
+// Orders that missed their processing deadline and are still in processing
+router.get('/orders/escalated', async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { status: 'processing', 'sla.resolution': 'escalated' };
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ processingDeadline: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('sellerId', 'businessName shopName phoneNumber')
+        .lean(),
+      Order.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, orders, pagination: paginationInfo(page, limit, total) });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error listing escalated orders:', err);
+    res.status(500).json({ success: false, message: 'Failed to list escalated orders', error: err.message });
+  }
+});
+
+// GET /api/admin/orders/:id
+router.get('/orders/:id', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('userId', 'firstName lastName email phone')
+      .populate('sellerId', 'businessName shopName phoneNumber')
+      .lean();
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    res.json({ success: true, order });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error fetching order:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch order', error: err.message });
+  }
+});
+
+// PUT /api/admin/orders/:id/status { status, reason }
+// Force a status change, bypassing the normal seller/driver flow. The reason is kept in statusHistory.
+router.put('/orders/:id/status', async (req, res) => {
+  try {
+    const { status, reason } = req.body || {};
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`,
+      });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required for forced status changes' });
+    }
+
+    const current = await Order.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const previousStatus = current.status;
+    const options = { actor: 'admin', actorId: req.userId, reason: String(reason).trim(), force: true };
+    // Cancelling returns stock and opens a refund like any other cancellation
+    const order = status === 'cancelled'
+      ? (await cancelOrder(current, { ...options, req })).order
+      : await transitionOrder(current, status, options);
+
+    await recordAudit(req, {
+      action: 'admin.order_force_status',
+      target: { type: 'Order', id: order._id },
+      before: { status: previousStatus },
+      after: { status },
+      metadata: { reason: String(reason).trim() },
+    });
+
+    console.log(`⚠️ [ADMIN] Order ${order._id} forced ${previousStatus} → ${status} by ${req.userId}`);
+    res.json({ success: true, message: 'Order status updated', order: { _id: order._id, status: order.status, previousStatus } });
+  } catch (err) {
+    if (err.name === 'OrderTransitionError' || err.name === 'CancellationError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ [ADMIN] Error forcing order status:', err);
+    res.status(500).json({ success: false, message: 'Failed to update order status', error: err.message });
+  }
+});
+
+// ==================== AUDIT LOG ====================
+
+// GET /api/admin/audit-logs?targetType=&targetId=&actorId=&action=&from=&to=&page=&limit=
+// e.g. "who confirmed this receipt": ?targetType=Receipt&targetId=<receiptId>
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const { targetType, targetId, actorId, action, from, to } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    if (!targetId && !actorId) {
+      return res.status(400).json({ success: false, message: 'targetId or actorId is required' });
+    }
+    for (const [field, value] of Object.entries({ targetId, actorId })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: `Invalid ${field}` });
+      }
+    }
+
+    const filter = {};
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId) filter['target.id'] = targetId;
+    if (actorId) filter['actor.id'] = actorId;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, entries, pagination: paginationInfo(page, limit, total) });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error querying audit log:', err);
+    res.status(500).json({ success: false, message: 'Failed to query audit log', error: err.message });
+  }
+});
+
+// ==================== MEDIA ====================
+
+// GET /api/admin/media/cleanup-report?orphans=false
+// Dry run of the media cleanup job: expired ready photos and orphaned Cloudinary assets it would remove
+router.get('/media/cleanup-report', async (req, res) => {
+  try {
+    const report = await runMediaCleanup({ dryRun: true, orphans: req.query.orphans !== 'false' });
+    res.json({ success: true, quarantineDays: MEDIA_ORPHAN_QUARANTINE_DAYS, report });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error building media cleanup report:', err);
+    res.status(500).json({ success: false, message: 'Failed to build media cleanup report', error: err.message });
+  }
+});
+
+// ==================== VOUCHERS ====================
+
+const sendVoucherError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details,
+});
+
+// GET /api/admin/vouchers?fundedBy=&sellerId=&active=&q=&page=&limit=
+router.get('/vouchers', async (req, res) => {
+  try {
+    const { fundedBy, sellerId, active, q } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (['platform', 'seller'].includes(fundedBy)) filter.fundedBy = fundedBy;
+    if (sellerId && mongoose.Types.ObjectId.isValid(sellerId)) filter.sellerId = sellerId;
+    if (active === 'true') filter.isActive = true;
+    if (active === 'false') filter.isActive = false;
+    if (q) filter.code = new RegExp(escapeRegex(q.trim()), 'i');
+
+    const [vouchers, total] = await Promise.all([
+      Voucher.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Voucher.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, vouchers, pagination: paginationInfo(page, limit, total) });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error listing vouchers:', err);
+    res.status(500).json({ success: false, message: 'Failed to list vouchers', error: err.message });
+  }
+});
+
+// POST /api/admin/vouchers
+// Create a platform-funded voucher
+router.post('/vouchers', async (req, res) => {
+  try {
+    const voucher = await createVoucher(req.body, {
+      fundedBy: 'platform',
+      createdBy: { kind: 'admin', id: req.userId },
+    });
+
+    await recordAudit(req, {
+      action: 'voucher.create',
+      target: { type: 'Voucher', id: voucher._id },
+      after: voucher.toObject(),
+    });
+
+    console.log(`🎟️ [ADMIN] Voucher ${voucher.code} created by ${req.userId}`);
+    res.status(201).json({ success: true, message: 'Voucher created', voucher });
+  } catch (err) {
+    if (err.name === 'VoucherError') {
+      return sendVoucherError(res, err);
+    }
+    console.error('❌ [ADMIN] Error creating voucher:', err);
+    res.status(500).json({ success: false, message: 'Failed to create voucher', error: err.message });
+  }
+});
+
+// PATCH /api/admin/vouchers/:id
+// Edit or deactivate any voucher, including seller vouchers
+router.patch('/vouchers/:id', async (req, res) => {
+  try {
+    const voucher = await Voucher.findById(req.params.id);
+    if (!voucher) {
+      return res.status(404).json({ success: false, message: 'Voucher not found' });
+    }
+
+    const before = voucher.toObject();
+    const updated = await updateVoucher(voucher, req.body);
+
+    await recordAudit(req, {
+      action: 'voucher.update',
+      target: { type: 'Voucher', id: updated._id },
+      before,
+      after: updated.toObject(),
+    });
+
+    res.json({ success: true, message: 'Voucher updated', voucher: updated });
+  } catch (err) {
+    if (err.name === 'VoucherError') {
+      return sendVoucherError(res, err);
+    }
+    console.error('❌ [ADMIN] Error updating voucher:', err);
+    res.status(500).json({ success: false, message: 'Failed to update voucher', error: err.message });
+  }
+});
+
+// GET /api/admin/vouchers/:id/redemptions?status=&page=&limit=
+router.get('/vouchers/:id/redemptions', async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { voucherId: req.params.id };
+    if (['applied', 'reversed'].includes(req.query.status)) filter.status = req.query.status;
+
+    const [redemptions, total] = await Promise.all([
+      VoucherRedemption.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      VoucherRedemption.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, redemptions, pagination: paginationInfo(page, limit, total) });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error listing voucher redemptions:', err);
+    res.status(500).json({ success: false, message: 'Failed to list voucher redemptions', error: err.message });
+  }
+});
+
+// ==================== DATA MAINTENANCE (development only) ====================
+
+// GET /api/admin/maintenance/debug-info
+router.get('/maintenance/debug-info', requireDevelopment, async (req, res) => {
+  try {
+    const users = await User.find({}).select('email phone createdAt updatedAt').lean();
+    res.json({
+      success: true,
+      database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
+      connectionState: mongoose.connection.readyState,
+      totalUsers: users.length,
+      users: users.map(user => ({
+        id: user._id,
+        email: user.email,
+        phone: user.phone,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+      })),
+    });
+  } catch (err) {
+    console.error('❌ [ADMIN] Error fetching debug info:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// DELETE /api/admin/maintenance/orders { confirm: 'DELETE_ALL_ORDERS' }
+router.delete('/maintenance/orders', requireDevelopment, async (req, res) => {
+  try {
+    if (req.body?.confirm !== 'DELETE_ALL_ORDERS') {
+      return res.status(400).json({
+        success: false,
+        message: "Confirmation required: send { confirm: 'DELETE_ALL_ORDERS' }",
+      });
+    }
+
+    console.log(`🗑️  [DEV] Deleting all orders (requested by admin ${req.userId})...`);
+    const result = await Order.deleteMany({});
+    console.log(`🗑️  [DEV] Successfully deleted ${result.deletedCount} orders`);
+
+    await recordAudit(req, {
+      action: 'admin.orders_delete_all',
+      target: { type: 'Order' },
+      metadata: { deletedCount: result.deletedCount },
+    });
+
+    res.json({
+      success: true,
+      message: `Successfully deleted ${result.deletedCount} orders`,
+      deletedCount: result.deletedCount,
+    });
+  } catch (err) {
+    console.error('❌ [DEV] Error deleting orders:', err);
+    res.status(500).json({ success: false, message: 'Failed to delete orders', error: err.message });
+  }
+});
+
+export default router;
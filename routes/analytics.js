@@ -1,11 +1,12 @@
 import express from 'express';
 import analyticsService from '../services/analyticsService.js';
 import abTestingService from '../services/abTestingService.js';
+import { authenticate, requireRole, requireSelf } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // ===== ANALYTICS DASHBOARD FOR SELLERS =====
-router.get('/dashboard/:sellerId', async (req, res) => {
+router.get('/dashboard/:sellerId', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
   try {
     const { sellerId } = req.params;
     const { days = 30 } = req.query;
@@ -42,13 +43,12 @@ router.get('/dashboard/:sellerId', async (req, res) => {
 });
 
 // ===== ADD-ON CONVERSION ANALYTICS =====
-router.get('/conversions', async (req, res) => {
+router.get('/conversions', authenticate, requireRole('seller'), async (req, res) => {
   try {
     const { 
       startDate, 
       endDate, 
       productId, 
-      sellerId, 
       addOnId 
     } = req.query;
 
@@ -56,7 +56,7 @@ router.get('/conversions', async (req, res) => {
     if (startDate) filters.startDate = new Date(startDate);
     if (endDate) filters.endDate = new Date(endDate);
     if (productId) filters.productId = productId;
-    if (sellerId) filters.sellerId = sellerId;
+    filters.sellerId = req.sellerId;
     if (addOnId) filters.addOnId = addOnId;
 
     console.log(`📊 [ANALYTICS] Fetching conversion data with filters:`, filters);
@@ -90,20 +90,19 @@ router.get('/conversions', async (req, res) => {
 });
 
 // ===== DISPLAY ADD-ONS PERFORMANCE =====
-router.get('/displayaddons', async (req, res) => {
+router.get('/displayaddons', authenticate, requireRole('seller'), async (req, res) => {
   try {
     const { 
       startDate, 
       endDate, 
-      productId, 
-      sellerId 
+      productId 
     } = req.query;
 
     const filters = {};
     if (startDate) filters.startDate = new Date(startDate);
     if (endDate) filters.endDate = new Date(endDate);
     if (productId) filters.productId = productId;
-    if (sellerId) filters.sellerId = sellerId;
+    filters.sellerId = req.sellerId;
 
     console.log(`📊 [ANALYTICS] Fetching displayAddOns performance:`, filters);
 
@@ -139,19 +138,18 @@ router.get('/displayaddons', async (req, res) => {
 });
 
 // ===== TOP PERFORMING ADD-ONS =====
-router.get('/top-addons', async (req, res) => {
+router.get('/top-addons', authenticate, requireRole('seller'), async (req, res) => {
   try {
     const { 
       limit = 10, 
       startDate, 
-      endDate, 
-      sellerId 
+      endDate 
     } = req.query;
 
     const filters = {};
     if (startDate) filters.startDate = new Date(startDate);
     if (endDate) filters.endDate = new Date(endDate);
-    if (sellerId) filters.sellerId = sellerId;
+    filters.sellerId = req.sellerId;
 
     console.log(`📊 [ANALYTICS] Fetching top performing add-ons:`, filters);
 
@@ -250,7 +248,7 @@ router.post('/track/addon-interaction', async (req, res) => {
 });
 
 // ===== A/B TEST RESULTS =====
-router.get('/ab-tests/:testId/results', async (req, res) => {
+router.get('/ab-tests/:testId/results', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { testId } = req.params;
 
@@ -1,33 +1,12 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
 import Cart from '../models/Cart.js';
-import { JWT_SECRET } from '../config/authConfig.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Simple JWT auth middleware (customer tokens)
-function authenticate(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization || req.headers.Authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ success: false, message: 'Missing or invalid Authorization header' });
-    }
-    const token = authHeader.split(' ')[1];
-  const payload = jwt.verify(token, JWT_SECRET);
-    // Common payload shapes: userId, id, _id
-    req.userId = payload.userId || payload.id || payload._id;
-    if (!req.userId) {
-      return res.status(401).json({ success: false, message: 'Invalid token payload' });
-    }
-    next();
-  } catch (err) {
-    return res.status(401).json({ success: false, message: 'Unauthorized', error: err.message });
-  }
-}
-
 // POST /api/cart/sync
-router.post('/sync', authenticate, async (req, res) => {
+router.post('/sync', authenticate, requireRole('buyer'), async (req, res) => {
   try {
     const userId = req.userId;
     const { items } = req.body || {};
@@ -0,0 +1,148 @@
+import express from 'express';
+import multer from 'multer';
+import { CloudinaryStorage } from 'multer-storage-cloudinary';
+import { v2 as cloudinary } from 'cloudinary';
+import { authenticate, requireRole, requireOwnership, sameId } from '../middleware/auth.js';
+import {
+  CHAT_ORDER_TYPES,
+  MAX_ATTACHMENTS,
+  loadChatOrder,
+  chatSideFor,
+  getOrCreateConversation,
+  serializeConversation,
+  sendChatMessage,
+  listChatMessages,
+  markChatRead,
+  listConversations,
+} from '../services/orderChatService.js';
+
+const router = express.Router();
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const chatImageStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'sooki/chat_images',
+    format: async (req, file) => 'webp',
+    public_id: (req, file) => {
+      const originalname = file.originalname.split('.')[0];
+      return `${originalname}-${Date.now()}`;
+    },
+  },
+});
+const uploadChatImages = multer({
+  storage: chatImageStorage,
+  limits: { files: MAX_ATTACHMENTS, fileSize: 8 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/')),
+});
+
+// Buyers, the product seller or the laundry shop owner of the order
+const loadOrder = (req) => loadChatOrder(req.params.orderType, req.params.orderId);
+const partyToOrder = {
+  buyer: (order, principal) => sameId(order.userId || order.customerId, principal.userId),
+  seller: (order, principal) => sameId(order.sellerId, principal.sellerId),
+  shop_owner: (order, principal) => (principal.shopIds || []).some(id => sameId(id, order.shopId)),
+};
+
+const sendChatError = (res, err) => res.status(err.status).json({
+  success: false,
+  error: err.message,
+  code: err.code,
+  ...err.details
+});
+
+router.param('orderType', (req, res, next, orderType) => {
+  if (!CHAT_ORDER_TYPES.includes(orderType)) {
+    return res.status(400).json({ success: false, error: `orderType must be one of: ${CHAT_ORDER_TYPES.join(', ')}` });
+  }
+  next();
+});
+
+// Resolve the conversation (created on first use) and the caller's side in it
+const withConversation = async (req, res, next) => {
+  try {
+    req.chatSide = chatSideFor(req.params.orderType, req.resource, req.principal);
+    req.conversation = await getOrCreateConversation(req.params.orderType, req.resource);
+    next();
+  } catch (err) {
+    console.error('❌ Error loading conversation:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to load conversation' });
+  }
+};
+
+const orderChat = [
+  authenticate,
+  requireRole('buyer', 'seller', 'shop_owner'),
+  requireOwnership(loadOrder, partyToOrder),
+];
+
+// GET /api/chat/conversations?before=&limit=&unreadOnly=true
+router.get('/conversations', authenticate, requireRole('buyer', 'seller', 'shop_owner'), async (req, res) => {
+  try {
+    const result = await listConversations(req.principal, {
+      before: req.query.before,
+      limit: req.query.limit,
+      unreadOnly: req.query.unreadOnly === 'true'
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.name === 'ChatError') return sendChatError(res, err);
+    console.error('❌ Error listing conversations:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to list conversations' });
+  }
+});
+
+// GET /api/chat/orders/:orderType/:orderId
+router.get('/orders/:orderType/:orderId', ...orderChat, withConversation, (req, res) => {
+  res.json({ success: true, conversation: serializeConversation(req.conversation, req.chatSide) });
+});
+
+// GET /api/chat/orders/:orderType/:orderId/messages?before=<messageId>&limit=
+router.get('/orders/:orderType/:orderId/messages', ...orderChat, withConversation, async (req, res) => {
+  try {
+    const result = await listChatMessages(req.conversation, { before: req.query.before, limit: req.query.limit });
+    res.json({ success: true, conversation: serializeConversation(req.conversation, req.chatSide), ...result });
+  } catch (err) {
+    if (err.name === 'ChatError') return sendChatError(res, err);
+    console.error('❌ Error fetching chat messages:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch messages' });
+  }
+});
+
+// POST /api/chat/orders/:orderType/:orderId/messages (multipart: text, images[])
+router.post('/orders/:orderType/:orderId/messages', ...orderChat, uploadChatImages.array('images', MAX_ATTACHMENTS), withConversation, async (req, res) => {
+  const attachments = (req.files || []).map(file => ({ url: file.path, publicId: file.filename }));
+  try {
+    const message = await sendChatMessage(req.conversation, {
+      side: req.chatSide,
+      senderId: req.userId,
+      text: req.body.text,
+      attachments
+    });
+    res.status(201).json({ success: true, message });
+  } catch (err) {
+    await Promise.all(attachments.map(image => cloudinary.uploader.destroy(image.publicId).catch(() => null)));
+    if (err.name === 'ChatError') return sendChatError(res, err);
+    console.error('❌ Error sending chat message:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to send message' });
+  }
+});
+
+// POST /api/chat/orders/:orderType/:orderId/read { upTo }
+router.post('/orders/:orderType/:orderId/read', ...orderChat, withConversation, async (req, res) => {
+  try {
+    const result = await markChatRead(req.conversation, req.chatSide, { upTo: req.body?.upTo });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.name === 'ChatError') return sendChatError(res, err);
+    console.error('❌ Error marking chat read:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to mark messages read' });
+  }
+});
+
+export default router;
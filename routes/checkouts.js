@@ -0,0 +1,116 @@
+import express from 'express';
+import Checkout from '../models/Checkout.js';
+import Order from '../models/Order.js';
+import { authenticate, requireRole, requireOwnership, requireVerifiedPhone, sameId } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { toShippingAddress } from '../services/orderService.js';
+import { checkoutCart, submitCheckoutPayment } from '../services/checkoutService.js';
+import { notifySellerOfOrder } from '../services/orderNotificationService.js';
+
+const router = express.Router();
+
+const loadCheckout = (req) => Checkout.findById(req.params.id);
+const buyerOwnsCheckout = { buyer: (checkout, principal) => sameId(checkout.userId, principal.userId) };
+
+const sendCheckoutError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details
+});
+
+const isCheckoutError = (err) => ['CheckoutError', 'OrderInputError', 'OrderTransitionError', 'DeliveryFeeError', 'VoucherError'].includes(err.name);
+
+const serializeCheckout = (checkout, orders) => ({
+  _id: checkout._id,
+  checkoutNumber: checkout.checkoutNumber,
+  summary: checkout.summary,
+  payment: checkout.payment,
+  createdAt: checkout.createdAt,
+  orders: orders.map(order => ({
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    sellerId: order.sellerId,
+    status: order.status,
+    paymentStatus: order.payment?.status,
+    items: order.items,
+    summary: order.summary,
+    stockShortages: order.stockShortages
+  }))
+});
+
+// POST /api/checkouts
+// Check out the buyer's cart: one order per seller under a shared checkout
+router.post('/', authenticate, requireRole('buyer'), requireVerifiedPhone('checkout'), idempotent('checkouts.create'), async (req, res) => {
+  try {
+    const { checkout, orders } = await checkoutCart(req.user, {
+      buyerName: req.body.buyerName || `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || undefined,
+      shippingAddress: toShippingAddress(req.body.deliveryAddress || req.body.shippingAddress),
+      notes: req.body.notes,
+      paymentMethod: req.body.paymentMethod,
+      paymentReceiptUrl: req.body.paymentReceiptUrl,
+      voucherCodes: req.body.voucherCodes || req.body.voucherCode,
+      allowPartial: req.body.allowPartial === true
+    });
+
+    for (const order of orders) {
+      await notifySellerOfOrder(order, {
+        title: order.status === 'payment_uploaded' ? 'New Payment Verification Request' : 'New Order',
+        message: `New order ${order.orderNumber} from ${order.buyerName || 'a customer'}.`,
+        type: order.status === 'payment_uploaded' ? 'payment_verification' : 'new_order'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Checkout placed with ${orders.length} seller${orders.length === 1 ? '' : 's'}`,
+      checkout: serializeCheckout(checkout, orders)
+    });
+  } catch (err) {
+    if (isCheckoutError(err)) {
+      return sendCheckoutError(res, err);
+    }
+    console.error('❌ Error placing checkout:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to place checkout' });
+  }
+});
+
+// GET /api/checkouts/:id
+router.get('/:id', authenticate, requireRole('buyer'), requireOwnership(loadCheckout, buyerOwnsCheckout), async (req, res) => {
+  try {
+    const orders = await Order.find({ _id: { $in: req.resource.orders } }).sort({ createdAt: 1 });
+    res.json({ success: true, checkout: serializeCheckout(req.resource, orders) });
+  } catch (err) {
+    console.error('❌ Error fetching checkout:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch checkout' });
+  }
+});
+
+// POST /api/checkouts/:id/payment { receiptUrl, paymentMethod }
+// One receipt pays for every seller order in the checkout
+router.post('/:id/payment', authenticate, requireRole('buyer'), requireOwnership(loadCheckout, buyerOwnsCheckout), async (req, res) => {
+  try {
+    const orders = await submitCheckoutPayment(req.resource, {
+      receiptUrl: req.body.receiptUrl,
+      paymentMethod: req.body.paymentMethod
+    });
+
+    for (const order of orders.filter(order => order.status === 'payment_uploaded')) {
+      await notifySellerOfOrder(order, {
+        title: 'New Payment Verification Request',
+        message: `Order ${order.orderNumber} from ${order.buyerName || 'a customer'} requires your verification.`,
+        type: 'payment_verification'
+      });
+    }
+
+    res.json({ success: true, message: 'Payment submitted', checkout: serializeCheckout(req.resource, orders) });
+  } catch (err) {
+    if (isCheckoutError(err)) {
+      return sendCheckoutError(res, err);
+    }
+    console.error('❌ Error submitting checkout payment:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to submit payment' });
+  }
+});
+
+export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { LaundryShop } from '../models/LaundryModels.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { toShippingAddress } from '../services/orderService.js';
+import { quoteCartDelivery } from '../services/checkoutService.js';
+import { getRateCard, quoteSellerDelivery, quoteLaundryFees } from '../services/deliveryFeeService.js';
+
+const router = express.Router();
+
+const sendQuoteError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details
+});
+
+const isQuoteError = (err) => ['DeliveryFeeError', 'CheckoutError', 'OrderInputError'].includes(err.name);
+
+const readDestination = (req) => toShippingAddress(req.body.deliveryAddress || req.body.shippingAddress);
+
+// GET /api/delivery/rates
+// Current rate card and surge, so the app can explain the fee
+router.get('/rates', (req, res) => {
+  res.json({ success: true, rates: getRateCard() });
+});
+
+// POST /api/delivery/quote/cart
+// Delivery fee for each seller in the buyer's cart, as checkout will charge it
+router.post('/quote/cart', authenticate, requireRole('buyer'), async (req, res) => {
+  try {
+    const { sellers, shippingFee } = await quoteCartDelivery(req.user, readDestination(req));
+    res.json({ success: true, shippingFee, sellers });
+  } catch (err) {
+    if (isQuoteError(err)) {
+      return sendQuoteError(res, err);
+    }
+    console.error('❌ Error quoting cart delivery:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to quote delivery' });
+  }
+});
+
+// POST /api/delivery/quote/seller/:sellerId
+// Delivery fee for a single-seller order
+router.post('/quote/seller/:sellerId', authenticate, requireRole('buyer'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sellerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid seller id' });
+    }
+    const quote = await quoteSellerDelivery(req.params.sellerId, readDestination(req));
+    res.json({ success: true, shippingFee: quote.fee, quote });
+  } catch (err) {
+    if (isQuoteError(err)) {
+      return sendQuoteError(res, err);
+    }
+    console.error('❌ Error quoting seller delivery:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to quote delivery' });
+  }
+});
+
+// POST /api/delivery/quote/laundry/:shopId
+// Pickup and return delivery fees for a laundry order; body: { pickup, delivery }
+router.post('/quote/laundry/:shopId', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.shopId)) {
+      return res.status(400).json({ success: false, message: 'Invalid shop id' });
+    }
+    const shop = await LaundryShop.findById(req.params.shopId).select('location isActive isVerified');
+    if (!shop || !shop.isActive || !shop.isVerified) {
+      return res.status(404).json({ success: false, message: 'Laundry shop not found or not available' });
+    }
+    const { pickup, delivery } = req.body;
+    if (!pickup) {
+      return res.status(400).json({ success: false, message: 'pickup is required' });
+    }
+    const quote = quoteLaundryFees(shop, { pickup, delivery });
+    res.json({ success: true, ...quote });
+  } catch (err) {
+    if (isQuoteError(err)) {
+      return sendQuoteError(res, err);
+    }
+    console.error('❌ Error quoting laundry delivery:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to quote delivery' });
+  }
+});
+
+export default router;
@@ -1,9 +1,27 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
 import Driver from '../models/Driver.js';
 import { LaundryOrder } from '../models/LaundryModels.js';
-import { JWT_SECRET } from '../config/authConfig.js';
+import { authenticate, requireRole, requireOwnership, sameId } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { moveReturn } from '../services/returnService.js';
+import {
+  issueDriverTokens,
+  rotateDriverRefreshToken,
+  revokeDriverRefreshToken,
+  revokeAllDriverSessions,
+} from '../services/tokenService.js';
+import {
+  PASSWORD_MIN_LENGTH,
+  isValidDriverPassword,
+  verifyDriverPassword,
+  setDriverPassword,
+  serializeDriver,
+} from '../services/driverAuthService.js';
+import { requestRecoveryOtp, verifyOtp } from '../services/otpService.js';
+import { normalizePhoneNumber, isValidPhMobile } from '../utils/phone.js';
 // Defer resolving the Order model until runtime to avoid import-time MissingSchemaError
 function getOrderModel() {
   return mongoose.models.Order || mongoose.model('Order');
@@ -11,35 +29,48 @@ function getOrderModel() {
 
 const router = express.Router();
 
-// Simple auth middleware for drivers
-function authenticateDriver(req, res, next) {
-  try {
-    const authHeader = req.headers['authorization'] || req.headers['Authorization'];
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
-    }
-    const token = authHeader.replace('Bearer ', '').trim();
-  const decoded = jwt.verify(token, JWT_SECRET);
-    req.driverId = decoded.driverId;
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: 'Invalid or expired token.' });
-  }
-}
+// Driver routes accept driver tokens only; order updates require the assignment
+const authenticateDriver = [authenticate, requireRole('driver')];
+const driverOwnsOrder = { driver: (order, principal) => sameId(order.driverAssignment?.driverId, principal.driverId) };
+const loadLaundryOrder = (req) => LaundryOrder.findById(req.params.id);
+const loadProductOrder = (req) => getOrderModel().findById(req.params.id);
+const loadReturn = (req) => ReturnRequest.findById(req.params.id);
+const driverOwnsPickup = { driver: (ret, principal) => sameId(ret.pickup?.driverId, principal.driverId) };
+
+const sendDriverAuthError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details,
+});
 
 // Register driver
 router.post('/register', async (req, res) => {
   try {
-    const { email, firstName, lastName, phone, password, vehicleType, plateNumber, licenseNumber } = req.body;
+    const { firstName, lastName, password, vehicleType, plateNumber, licenseNumber } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const phone = req.body.phone ? normalizePhoneNumber(req.body.phone) : undefined;
+
+    if (!email || !firstName || !lastName) {
+      return res.status(400).json({ success: false, message: 'Email, first name and last name are required' });
+    }
+    if (!isValidDriverPassword(password)) {
+      return res.status(400).json({ success: false, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+    if (phone && !isValidPhMobile(phone)) {
+      return res.status(400).json({ success: false, message: 'Phone must be a valid mobile number (09XXXXXXXXX)' });
+    }
+
     const existing = await Driver.findOne({ email });
-    if (existing) return res.status(400).json({ message: 'Driver already exists' });
+    if (existing) return res.status(400).json({ success: false, message: 'Driver already exists' });
 
-    const driver = new Driver({ email, firstName, lastName, phone, password, vehicleType, plateNumber, licenseNumber });
+    const driver = new Driver({ email, firstName, lastName, phone, vehicleType, plateNumber, licenseNumber });
+    await setDriverPassword(driver, password);
     const saved = await driver.save();
     res.status(201).json({
       success: true,
       message: 'Driver registered successfully',
-      data: { driver: { _id: saved._id, email: saved.email, firstName: saved.firstName, lastName: saved.lastName, status: saved.status } }
+      data: { driver: serializeDriver(saved) }
     });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
@@ -49,56 +80,230 @@ router.post('/register', async (req, res) => {
 // Login driver
 router.post('/login', async (req, res) => {
   try {
-    let email, password;
-    if (req.body && typeof req.body === 'object') {
-      ({ email, password } = req.body);
-    } else if (req.is('application/json')) {
-      try {
-        const buffers = [];
-        for await (const chunk of req) buffers.push(chunk);
-        const raw = Buffer.concat(buffers).toString('utf8');
-        const parsed = JSON.parse(raw || '{}');
-        email = parsed.email;
-        password = parsed.password;
-      } catch (e) {
-        // fallthrough
-      }
-    }
+    const { password } = req.body || {};
+    const email = String(req.body?.email || '').trim().toLowerCase();
     if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password are required' });
+      return res.status(400).json({ success: false, message: 'Email and password are required' });
     }
-    const driver = await Driver.findOne({ email });
-    if (!driver) return res.status(401).json({ message: 'Invalid email or password' });
-    // NOTE: Following existing user login pattern (no hash verification for now)
-    const accessToken = jwt.sign(
-      { driverId: driver._id, email: driver.email, role: 'driver' },
-      JWT_SECRET,
-      { expiresIn: '8h' }
-    );
-    const refreshToken = jwt.sign(
-      { driverId: driver._id, email: driver.email, role: 'driver' },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+
+    const driver = await Driver.findOne({ email }).select('+password');
+    if (!driver) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    await verifyDriverPassword(driver, password, req);
+    driver.lastLoginAt = new Date();
+    await driver.save();
+
+    const tokens = await issueDriverTokens(driver);
+
+    console.log(`🚚 Driver logged in: ${driver._id}`);
+
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        driver: { _id: driver._id, email: driver.email, firstName: driver.firstName, lastName: driver.lastName, status: driver.status }
-      },
-      tokens: { accessToken, refreshToken, expiresIn: 8 * 3600 }
+      data: { driver: serializeDriver(driver) },
+      tokens,
     });
   } catch (err) {
+    if (err.name === 'DriverAuthError') {
+      return sendDriverAuthError(res, err);
+    }
+    if (err.name === 'TokenError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
+// Exchange a driver refresh token for a new pair (rotation with reuse detection)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'refreshToken is required' });
+    }
+
+    const { driver, tokens } = await rotateDriverRefreshToken(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: { driver: serializeDriver(driver) },
+      tokens,
+    });
+  } catch (err) {
+    if (err.name === 'TokenError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
+    console.error('❌ Driver token refresh error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Logout this device
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'refreshToken is required' });
+    }
+
+    await revokeDriverRefreshToken(refreshToken);
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (err) {
+    if (err.name === 'TokenError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
+    console.error('❌ Driver logout error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Logout all devices
+router.post('/logout-all', authenticateDriver, async (req, res) => {
+  try {
+    await revokeAllDriverSessions(req.driverId);
+
+    console.log(`🔒 All sessions revoked for driver ${req.driverId}`);
+
+    res.json({ success: true, message: 'Logged out from all devices' });
+  } catch (err) {
+    console.error('❌ Driver logout-all error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Change password (requires the current password); signs out every other device
+router.post('/password', authenticateDriver, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !isValidDriverPassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `Current password and a new password of at least ${PASSWORD_MIN_LENGTH} characters are required`,
+      });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ success: false, message: 'New password must be different from the current password' });
+    }
+
+    const driver = await Driver.findById(req.driverId).select('+password');
+    await verifyDriverPassword(driver, currentPassword, req);
+    await setDriverPassword(driver, newPassword);
+    await driver.save();
+
+    driver.tokenVersion = await revokeAllDriverSessions(driver._id);
+    const tokens = await issueDriverTokens(driver);
+
+    await recordAudit(req, {
+      action: 'driver.password_change',
+      target: { type: 'Driver', id: driver._id },
+    });
+
+    console.log(`🔑 Password changed for driver ${driver._id}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { driver: serializeDriver(driver) },
+      tokens,
+    });
+  } catch (err) {
+    if (err.name === 'DriverAuthError') {
+      return sendDriverAuthError(res, err);
+    }
+    console.error('❌ Driver password change error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Forgot password step 1: send a reset code to the driver's registered phone
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    const driver = await Driver.findOne({ email });
+    const phone = driver?.phone ? normalizePhoneNumber(driver.phone) : null;
+
+    // Same response and throttling whether or not the account exists, to avoid account enumeration
+    await requestRecoveryOtp(phone || `email:${email}`, 'driver_password_reset', { exists: Boolean(phone) });
+
+    res.json({
+      success: true,
+      message: 'If this account exists, a reset code has been sent to its registered phone',
+    });
+  } catch (err) {
+    if (err.name === 'OtpError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ Driver forgot password error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Forgot password step 2: verify the reset code and set a new password
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { code, newPassword } = req.body;
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!email || !code || !isValidDriverPassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `Email, code and a new password of at least ${PASSWORD_MIN_LENGTH} characters are required`,
+      });
+    }
+
+    const driver = await Driver.findOne({ email });
+    const phone = driver?.phone ? normalizePhoneNumber(driver.phone) : null;
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'Code expired or not found. Please request a new one.' });
+    }
+
+    await verifyOtp(phone, 'driver_password_reset', code);
+
+    await setDriverPassword(driver, newPassword);
+    await driver.save();
+
+    driver.tokenVersion = await revokeAllDriverSessions(driver._id);
+    const tokens = await issueDriverTokens(driver);
+
+    await recordAudit(req, {
+      action: 'driver.password_reset',
+      target: { type: 'Driver', id: driver._id },
+      actor: { kind: 'driver', id: driver._id, roles: ['driver'] },
+    });
+
+    console.log(`🔑 Password reset via OTP for driver ${driver._id}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      data: { driver: serializeDriver(driver) },
+      tokens,
+    });
+  } catch (err) {
+    if (err.name === 'OtpError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code, ...err.details });
+    }
+    if (err.name === 'TokenError') {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
+    console.error('❌ Driver password reset error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
 // Get current driver profile
 router.get('/me', authenticateDriver, async (req, res) => {
   try {
     const driver = await Driver.findById(req.driverId);
     if (!driver) return res.status(404).json({ message: 'Driver not found' });
-    res.json({ success: true, data: { driver } });
+    res.json({ success: true, data: { driver: serializeDriver(driver) } });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -122,6 +327,9 @@ router.post('/orders/:id/assign', authenticateDriver, async (req, res) => {
     const { id } = req.params;
     const order = await LaundryOrder.findById(id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (order.driverAssignment?.driverId && !sameId(order.driverAssignment.driverId, req.driverId)) {
+      return res.status(409).json({ message: 'Order is already assigned to another driver' });
+    }
     order.driverAssignment = { driverId: req.driverId, assignedAt: new Date(), notes: req.body?.notes };
     order.statusHistory.push({ status: 'pickup_scheduled', updatedBy: 'driver:' + req.driverId, notes: 'Assigned to driver' });
     await order.save();
@@ -132,7 +340,7 @@ router.post('/orders/:id/assign', authenticateDriver, async (req, res) => {
 });
 
 // Update order status by driver
-router.patch('/orders/:id/status', authenticateDriver, async (req, res) => {
+router.patch('/orders/:id/status', authenticateDriver, requireOwnership(loadLaundryOrder, driverOwnsOrder), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
@@ -140,14 +348,18 @@ router.patch('/orders/:id/status', authenticateDriver, async (req, res) => {
     if (!allowed.includes(status)) {
       return res.status(400).json({ message: 'Invalid status update' });
     }
-    const order = await LaundryOrder.findById(id);
-    if (!order) return res.status(404).json({ message: 'Order not found' });
-    if (!order.driverAssignment?.driverId || String(order.driverAssignment.driverId) !== String(req.driverId)) {
-      return res.status(403).json({ message: 'Order not assigned to this driver' });
-    }
+    const order = req.resource;
+    const previousStatus = order.status;
     order.status = status;
     order.statusHistory.push({ status, updatedBy: 'driver:' + req.driverId, notes });
     await order.save();
+    await recordAudit(req, {
+      action: 'driver.order_status',
+      target: { type: 'LaundryOrder', id: order._id },
+      before: { status: previousStatus },
+      after: { status },
+      metadata: notes ? { notes } : undefined,
+    });
     res.json({ success: true, message: 'Status updated', order });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
@@ -178,10 +390,13 @@ router.post('/product-orders/:id/assign', authenticateDriver, async (req, res) =
     const Order = getOrderModel();
     const order = await Order.findById(id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (order.driverAssignment?.driverId && !sameId(order.driverAssignment.driverId, req.driverId)) {
+      return res.status(409).json({ message: 'Order is already assigned to another driver' });
+    }
 
     order.driverAssignment = { driverId: req.driverId, assignedAt: new Date(), notes: req.body?.notes };
     order.statusHistory = order.statusHistory || [];
-    order.statusHistory.push({ status: 'processing', updatedBy: 'driver:' + req.driverId, notes: 'Assigned to driver' });
+    order.statusHistory.push({ status: order.status, updatedBy: 'driver:' + req.driverId, notes: 'Assigned to driver' });
     await order.save();
 
     res.json({ success: true, message: 'Order assigned', order });
@@ -191,47 +406,43 @@ router.post('/product-orders/:id/assign', authenticateDriver, async (req, res) =
 });
 
 // Update product order status by driver
-router.patch('/product-orders/:id/status', authenticateDriver, async (req, res) => {
+router.patch('/product-orders/:id/status', authenticateDriver, requireOwnership(loadProductOrder, driverOwnsOrder), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
-    const allowed = ['processing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'];
-    if (!allowed.includes(status)) {
+    if (!status) {
       return res.status(400).json({ message: 'Invalid status update' });
     }
 
-    const Order = getOrderModel();
-    const order = await Order.findById(id);
-    if (!order) return res.status(404).json({ message: 'Order not found' });
-    if (!order.driverAssignment?.driverId || String(order.driverAssignment.driverId) !== String(req.driverId)) {
-      return res.status(403).json({ message: 'Order not assigned to this driver' });
-    }
+    const previousStatus = req.resource.status;
+    const order = await transitionOrder(req.resource, status, {
+      actor: 'driver',
+      actorId: req.driverId,
+      notes
+    });
 
-    order.status = status;
-    order.statusHistory = order.statusHistory || [];
-    order.statusHistory.push({ status, updatedBy: 'driver:' + req.driverId, notes });
-    await order.save();
+    await recordAudit(req, {
+      action: 'driver.order_status',
+      target: { type: 'Order', id: order._id },
+      before: { status: previousStatus },
+      after: { status },
+      metadata: notes ? { notes } : undefined,
+    });
 
     res.json({ success: true, message: 'Status updated', order });
   } catch (err) {
+    if (err.name === 'OrderTransitionError') {
+      return res.status(err.status).json({ message: err.message, code: err.code, ...err.details });
+    }
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
-// Update product order GPS location (beta, optional auth)
-router.post('/product-orders/:id/location', async (req, res) => {
+// Update product order GPS location (assigned driver only)
+router.post('/product-orders/:id/location', authenticateDriver, requireOwnership(loadProductOrder, driverOwnsOrder), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { driverId, lat, lng, accuracy } = req.body || {};
-    const Order = getOrderModel();
-    const order = await Order.findById(id);
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    if (!order.driverAssignment?.driverId) {
-      return res.status(400).json({ success: false, message: 'Order has no assigned driver' });
-    }
-    if (driverId && String(order.driverAssignment.driverId) !== String(driverId)) {
-      return res.status(403).json({ success: false, message: 'Driver does not match assignment' });
-    }
+    const { lat, lng, accuracy } = req.body || {};
+    const order = req.resource;
     order.driverAssignment.lastKnownLocation = {
       lat: Number(lat),
       lng: Number(lng),
@@ -259,4 +470,57 @@ router.post('/product-orders/:id/location', async (req, res) => {
     console.error('❌ Error updating driver location:', err);
     res.status(500).json({ success: false, message: 'Failed to update location', error: err.message });
   }
-});
\ No newline at end of file
+});
+
+// ================= Return Pickup Endpoints =================
+// List approved returns waiting for pickup, plus the driver's own pickups
+router.get('/returns', authenticateDriver, async (req, res) => {
+  try {
+    const [available, assigned] = await Promise.all([
+      ReturnRequest.find({ status: 'approved' }).sort({ updatedAt: 1 }).limit(50).lean(),
+      ReturnRequest.find({ 'pickup.driverId': req.driverId, status: 'pickup_assigned' }).sort({ updatedAt: -1 }).lean(),
+    ]);
+    res.json({ success: true, available, assigned });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Take an approved return for pickup
+router.post('/returns/:id/assign', authenticateDriver, async (req, res) => {
+  try {
+    const ret = await ReturnRequest.findById(req.params.id);
+    if (!ret) return res.status(404).json({ message: 'Return not found' });
+
+    const updated = await moveReturn(ret, 'pickup_assigned', {
+      actor: 'driver',
+      actorId: req.driverId,
+      notes: req.body?.notes,
+      set: { 'pickup.driverId': req.driverId, 'pickup.assignedAt': new Date() },
+    });
+    res.json({ success: true, message: 'Return pickup assigned', returnRequest: updated });
+  } catch (err) {
+    if (err.name === 'ReturnError') {
+      return res.status(err.status).json({ message: err.message, code: err.code, ...err.details });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Mark a return as picked up from the buyer (assigned driver only)
+router.patch('/returns/:id/picked-up', authenticateDriver, requireOwnership(loadReturn, driverOwnsPickup), async (req, res) => {
+  try {
+    const updated = await moveReturn(req.resource, 'picked_up', {
+      actor: 'driver',
+      actorId: req.driverId,
+      notes: req.body?.notes,
+      set: { 'pickup.pickedUpAt': new Date() },
+    });
+    res.json({ success: true, message: 'Return picked up', returnRequest: updated });
+  } catch (err) {
+    if (err.name === 'ReturnError') {
+      return res.status(err.status).json({ message: err.message, code: err.code, ...err.details });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
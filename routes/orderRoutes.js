@@ -5,8 +5,43 @@ import { v2 as cloudinary } from 'cloudinary';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import User from '../models/User.js';
+import Seller from '../models/Seller.js';
 import AnalyticsEvent from '../models/Analytics.js'; // Assuming AnalyticsEvent is defined in Analytics.js
 import { verifyCompostelaLocation } from '../middleware/locationMiddleware.js';
+import { LaundryShop, LaundryOrder } from '../models/LaundryModels.js';
+import { sendLaundryStatusNotification } from '../services/laundryNotificationService.js';
+import {
+  authenticate,
+  requireRole,
+  requireSelf,
+  requireOwnership,
+  requireVerifiedPhone,
+  sameId,
+} from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { notifySellerOfOrder } from '../services/orderNotificationService.js';
+import { cancelOrder } from '../services/orderCancellationService.js';
+import { placeOrder, toShippingAddress, formatShippingAddress } from '../services/orderService.js';
+import { getSellerInbox, loadOrderRelations } from '../services/sellerInboxService.js';
+import { quoteLaundryFees } from '../services/deliveryFeeService.js';
+import { saveLaundryOrderWithVouchers, saveLaundryOrderStatus } from '../services/voucherService.js';
+import {
+  ensureInvoiceNumber,
+  assertPackingSlipAvailable,
+  buildDocumentData,
+  renderInvoiceHtml,
+  renderPackingSlipHtml,
+  renderInvoicePdf,
+  renderPackingSlipPdf,
+} from '../services/orderDocumentService.js';
+import { transitionOrder, allowedTransitions, initialStatusHistory, processingHoursFor } from '../services/orderStateMachine.js';
+import {
+  MAX_PROCESSING_EXTENSIONS,
+  MAX_EXTENSION_HOURS,
+  extendProcessingDeadline,
+  getSellerSlaMetrics,
+} from '../services/orderSlaService.js';
 
 const router = express.Router();
 
@@ -35,8 +70,24 @@ const createCloudinaryStorage = (folderName) => {
 const readyPhotoStorage = createCloudinaryStorage('ready_photos');
 const uploadReadyPhoto = multer({ storage: readyPhotoStorage });
 
+// Ownership rules shared by the order routes below
+const loadOrder = (param) => (req) => Order.findById(req.params[param]);
+const sellerOwnsOrder = { seller: (order, principal) => sameId(order.sellerId, principal.sellerId) };
+const driverOwnsOrder = { driver: (order, principal) => sameId(order.driverAssignment?.driverId, principal.driverId) };
+const buyerOrSellerOwnsOrder = {
+  buyer: (order, principal) => sameId(order.userId, principal.userId),
+  ...sellerOwnsOrder
+};
+
+const sendTransitionError = (res, err) => res.status(err.status).json({
+  success: false,
+  error: err.message,
+  code: err.code,
+  ...err.details
+});
+
 // Upload ready photo for order
-router.post('/orders/:orderId/ready-photo', uploadReadyPhoto.single('readyPhoto'), async (req, res) => {
+router.post('/orders/:orderId/ready-photo', authenticate, requireRole('seller'), requireOwnership(loadOrder('orderId'), sellerOwnsOrder), uploadReadyPhoto.single('readyPhoto'), async (req, res) => {
   try {
     const { orderId } = req.params;
     
@@ -47,14 +98,7 @@ router.post('/orders/:orderId/ready-photo', uploadReadyPhoto.single('readyPhoto'
       });
     }
     
-    // Find the order
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found'
-      });
-    }
+    const order = req.resource;
     
     // Check if order is in ready_to_ship status
     if (order.status !== 'ready_to_ship') {
@@ -114,19 +158,11 @@ router.post('/orders/:orderId/ready-photo', uploadReadyPhoto.single('readyPhoto'
 });
 
 
-// Driver GPS: update product order location (no auth for beta; validates assigned driver)
-router.post('/:id/location', async (req, res) => {
+// Driver GPS: update product order location (assigned driver only)
+router.post('/:id/location', authenticate, requireRole('driver'), requireOwnership(loadOrder('id'), driverOwnsOrder), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { driverId, lat, lng, accuracy } = req.body || {};
-    const order = await Order.findById(id);
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    if (!order.driverAssignment?.driverId) {
-      return res.status(400).json({ success: false, message: 'Order has no assigned driver' });
-    }
-    if (driverId && String(order.driverAssignment.driverId) !== String(driverId)) {
-      return res.status(403).json({ success: false, message: 'Driver does not match assignment' });
-    }
+    const { lat, lng, accuracy } = req.body || {};
+    const order = req.resource;
     order.driverAssignment.lastKnownLocation = {
       lat: Number(lat),
       lng: Number(lng),
@@ -159,105 +195,44 @@ router.post('/:id/location', async (req, res) => {
 
 
 // Create a new order
-router.post('/', async (req, res) => {
+router.post('/', authenticate, requireRole('buyer'), requireVerifiedPhone('checkout'), idempotent('orders.create'), async (req, res) => {
   try {
     console.log('📦 Received order data:', JSON.stringify(req.body, null, 2));
     
-    const { userId, sellerId, items, status } = req.body;
-    
-    // Validate required fields
-    if (!userId || userId.trim() === '') {
-      return res.status(400).json({ error: 'userId is required' });
-    }
-    
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'items array is required and must not be empty' });
-    }
+    const { sellerId, items } = req.body;
     
-    // Validate items structure
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      if (!item.productId && !item.product) {
-        return res.status(400).json({ error: `Item ${i + 1}: productId or product is required` });
-      }
-      if (!item.quantity || item.quantity <= 0) {
-        return res.status(400).json({ error: `Item ${i + 1}: quantity must be greater than 0` });
-      }
-      if (!item.price && !item.unitPrice) {
-        return res.status(400).json({ error: `Item ${i + 1}: price or unitPrice is required` });
-      }
+    // Orders are always placed for the authenticated buyer
+    if (req.body.userId && !sameId(req.body.userId, req.userId)) {
+      return res.status(403).json({ error: 'Cannot place an order for another user' });
     }
+    const userId = req.userId;
     
-    // Calculate total on backend
-    const calculatedTotal = req.body.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-    
-    // Transform items to match schema structure
-    const transformedItems = items.map(item => ({
-      product: {
-        _id: item.productId || item.product?._id,
-        name: item.name || item.product?.name || 'Unknown Product'
-      },
-      quantity: item.quantity,
-      unitPrice: item.price || item.unitPrice,
-      totalPrice: (item.price || item.unitPrice) * item.quantity
-    }));
-
-  // Create order with calculated total and default status
-  const orderData = {
-    userId,
-    sellerId,
-    items: transformedItems,
-    status: status || 'pending',
-    totalAmount: calculatedTotal, // Add totalAmount field for frontend compatibility
-    paymentMethod: req.body.paymentMethod,
-    paymentReceiptUrl: req.body.paymentReceiptUrl,
-    deliveryAddress: req.body.deliveryAddress,
-    summary: {
-      subtotal: calculatedTotal,
-      shippingFee: 0,
-      tax: 0,
-      discount: 0,
-      total: calculatedTotal
-    }
-  };
-
-  // Backward compatibility: populate legacy required fields if schema still enforces them
-  const primaryItem = transformedItems[0] || {};
-  orderData.buyerName = req.body.buyerName || 'Test Buyer';
-  orderData.productName = primaryItem.product?.name || req.body.productName || 'Unknown Product';
-  orderData.productImageUrl = primaryItem.product?.productImage || req.body.productImageUrl || 'https://via.placeholder.com/300x300.png?text=Product';
-    
-    const order = new Order(orderData);
-    const savedOrder = await order.save();
-    
-    // Automatic stock decrement after order confirmation
-    for (const item of transformedItems) {
-      try {
-        const productId = item.product._id;
-        const quantity = item.quantity;
-        
-        // Update product stock atomically
-        const updatedProduct = await Product.findByIdAndUpdate(
-          productId,
-          { $inc: { stock: -quantity } },
-          { new: true }
-        );
-        
-        if (updatedProduct) {
-          console.log(`📦 [INVENTORY UPDATE] Stock decremented for product ${productId}: ${updatedProduct.stock} remaining`);
-          
-          // Log analytics event for inventory change
-          // await logAnalyticsEvent('order_placed', userId, {
-          //   productId,
-          //   quantityOrdered: quantity,
-          //   remainingStock: updatedProduct.stock,
-          //   orderValue: item.totalPrice
-          // });
-        }
-      } catch (stockError) {
-        console.error(`❌ [INVENTORY ERROR] Failed to update stock for product ${item.product._id}:`, stockError.message);
+    // New orders always start at the beginning of the lifecycle
+    const initialStatus = req.body.paymentReceiptUrl ? 'payment_uploaded' : 'pending';
+
+    // Prices come from the database and stock is reserved in the same transaction as the order
+    const savedOrder = await placeOrder({
+      userId,
+      sellerId,
+      status: initialStatus,
+      statusHistory: initialStatusHistory(initialStatus, 'buyer', userId),
+      buyerName: req.body.buyerName || `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || undefined,
+      shippingAddress: toShippingAddress(req.body.deliveryAddress || req.body.shippingAddress),
+      notes: req.body.notes,
+      payment: {
+        method: req.body.paymentMethod,
+        receiptUrl: req.body.paymentReceiptUrl,
+        status: req.body.paymentReceiptUrl ? 'pending_verification' : 'unpaid'
       }
-    }
+    }, {
+      items,
+      voucherCodes: req.body.voucherCodes || req.body.voucherCode,
+      allowPartial: req.body.allowPartial === true
+    });
+
+    savedOrder.items.forEach(item => {
+      console.log(`📦 [INVENTORY UPDATE] Reserved ${item.quantity} of product ${item.product._id}`);
+    });
     
     // Enhanced real-time monitoring log for order creation
     console.log('🛒 [ORDER TRANSACTION] New order created:', {
@@ -280,136 +255,112 @@ router.post('/', async (req, res) => {
     
     console.log('✅ Order saved successfully to sookiDB.orders');
     
-    // Send real-time notification to sellers
-    try {
-      // Get unique sellers from the order items
-      const sellers = new Set();
-      savedOrder.items.forEach(item => {
-        if (item.product.seller && item.product.seller._id) {
-          sellers.add(item.product.seller._id.toString());
-        }
-      });
-
-      // Send notification to each seller
-      for (const sellerId of sellers) {
-        const sellerItems = savedOrder.items.filter(item => 
-          item.product.seller && item.product.seller._id.toString() === sellerId
-        );
-        
-        const sellerTotal = sellerItems.reduce((sum, item) => sum + item.totalPrice, 0);
-        
-        const notificationData = {
-          orderId: savedOrder._id.toString(),
-          customerName: savedOrder.customerInfo?.name || 'Unknown Customer',
-          totalAmount: sellerTotal,
-          itemCount: sellerItems.length,
-          items: sellerItems.map(item => ({
-            productName: item.product.name,
-            quantity: item.quantity,
-            price: item.totalPrice
-          }))
-        };
-
-        // Emit to seller's room
-        // io.to(`seller_${sellerId}`).emit('newOrderNotification', notificationData);
-        console.log(`🔔 [SELLER NOTIFICATION] Sent to seller ${sellerId}:`, notificationData);
-      }
-    } catch (notificationError) {
-      console.error('❌ [NOTIFICATION ERROR] Failed to send seller notifications:', notificationError.message);
-    }
+    await notifySellerOfOrder(savedOrder, {
+      title: 'New Order',
+      message: `New order ${savedOrder.orderNumber} from ${savedOrder.buyerName || 'a customer'}.`,
+      type: 'new_order'
+    });
     
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
       order: {
         _id: savedOrder._id,
+        orderNumber: savedOrder.orderNumber,
         userId: savedOrder.userId,
         items: savedOrder.items,
         total: savedOrder.summary?.total,
+        summary: savedOrder.summary,
+        stockShortages: savedOrder.stockShortages,
         status: savedOrder.status,
         createdAt: savedOrder.createdAt,
         updatedAt: savedOrder.updatedAt
       }
     });
   } catch (err) {
+    if (['OrderInputError', 'DeliveryFeeError', 'VoucherError'].includes(err.name)) {
+      return res.status(err.status).json({ error: err.message, code: err.code, ...err.details });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('❌ Error creating order:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-router.get('/orders/seller/:sellerId', async (req, res) => {
+// Seller order inbox: filters, search, cursor pagination and per-status tab counts
+// GET /orders/seller/:sellerId/inbox?status=processing,ready_to_ship&paymentStatus=&paymentMethod=&from=&to=&q=&cursor=&limit=
+router.get('/orders/seller/:sellerId/inbox', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
+  try {
+    const inbox = await getSellerInbox(req.params.sellerId, req.query);
+    res.json({ success: true, ...inbox });
+  } catch (err) {
+    if (err.name === 'InboxQueryError') {
+      return res.status(err.status).json({ success: false, error: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ Error fetching seller inbox:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Full unpaged order list, kept for older seller app builds; new clients use /inbox
+router.get('/orders/seller/:sellerId', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
   try {
     const { sellerId } = req.params;
     
     // Get seller's products first (needed for both approaches)
     const products = await Product.find({ 'seller._id': sellerId });
     const productIds = products.map(p => p._id);
+    const sellerProductIds = new Set(productIds.map(id => id.toString()));
     
     // First try to find orders by sellerId field (new approach)
-    let orders = await Order.find({ sellerId }).sort({ createdAt: -1 });
+    let orders = await Order.find({ sellerId }).sort({ createdAt: -1 }).lean();
     
     // If no orders found by sellerId, fall back to product-based filtering (legacy approach)
     if (orders.length === 0) {
       // Get orders containing seller's products
       orders = await Order.find({
         'items.product._id': { $in: productIds }
-      }).sort({ createdAt: -1 });
+      }).sort({ createdAt: -1 }).lean();
     }
     
-    // Transform orders to include only seller's items and populate customer details
-    const sellerOrders = await Promise.all(orders.map(async (order) => {
-      const sellerItems = order.items.filter(item => 
-        productIds.some(pid => pid.toString() === item.product._id.toString())
-      );
+    // Products and customers are loaded once for the whole list
+    const { productsById, buyersById } = await loadOrderRelations(orders);
+
+    // Transform orders to include only seller's items and customer details
+    const sellerOrders = orders.map((order) => {
+      const sellerItems = order.items.filter(item => sellerProductIds.has(item.product._id.toString()));
       
       // Enhance seller items with product details including images
-      const enhancedSellerItems = await Promise.all(sellerItems.map(async (item) => {
-        try {
-          const product = await Product.findById(item.product._id);
-          return {
-            ...item,
-            product: {
-              ...item.product,
-              image: product?.images?.[0] || product?.image || null,
-              images: product?.images || []
-            },
-            name: item.product.name || product?.name || 'Unknown Product',
-            image: product?.images?.[0] || product?.image || null,
-            price: item.unitPrice,
-            totalPrice: item.totalPrice
-          };
-        } catch (productError) {
-          console.error(`❌ Error fetching product details for ${item.product._id}:`, productError.message);
-          return {
-            ...item,
-            name: item.product.name || 'Unknown Product',
-            image: null,
-            price: item.unitPrice,
-            totalPrice: item.totalPrice
-          };
-        }
-      }));
+      const enhancedSellerItems = sellerItems.map((item) => {
+        const product = productsById.get(String(item.product._id));
+        return {
+          ...item,
+          product: {
+            ...item.product,
+            image: product?.images?.[0] || null,
+            images: product?.images || []
+          },
+          name: item.product.name || product?.name || 'Unknown Product',
+          image: product?.images?.[0] || null,
+          price: item.unitPrice,
+          totalPrice: item.totalPrice
+        };
+      });
       
       const sellerTotal = enhancedSellerItems.reduce((sum, item) => sum + item.totalPrice, 0);
       
-      // Populate customer details
-      let customerInfo = null;
-      try {
-        const customer = await User.findById(order.userId);
-        if (customer) {
-          customerInfo = {
-            _id: customer._id,
-            name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || 'Unknown Customer',
-            email: customer.email,
-            phone: customer.phone || 'N/A'
-          };
-        }
-      } catch (userError) {
-        console.error(`❌ Error fetching customer details for user ${order.userId}:`, userError.message);
-      }
+      const customer = buyersById.get(String(order.userId));
+      const customerInfo = customer && {
+        _id: customer._id,
+        name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || 'Unknown Customer',
+        email: customer.email,
+        phone: customer.phone || 'N/A'
+      };
       
       return {
-        id: `#ORD${order._id.toString().slice(-6).toUpperCase()}`,
+        id: order.orderNumber,
         _id: order._id,
         customer: order.userId,
         customerName: customerInfo?.name || 'Unknown Customer',
@@ -420,21 +371,20 @@ router.get('/orders/seller/:sellerId', async (req, res) => {
         status: order.status,
         date: order.createdAt.toISOString().split('T')[0],
         createdAt: order.createdAt,
-        deliveryAddress: order.shippingAddress ? 
-          `${order.shippingAddress.address || ''}, ${order.shippingAddress.city || ''}, ${order.shippingAddress.province || ''}`.replace(/^,\s*|,\s*$/g, '') || 'N/A' 
-          : 'N/A',
+        deliveryAddress: formatShippingAddress(order.shippingAddress),
         items: enhancedSellerItems,
-        paymentMethod: order.paymentMethod,
-        paymentStatus: order.paymentStatus,
+        paymentMethod: order.payment?.method,
+        paymentStatus: order.payment?.status,
         shippingFee: order.summary?.shippingFee || 0,
         tax: order.summary?.tax || 0,
         discount: order.summary?.discount || 0,
         notes: order.notes,
         processingDeadline: order.processingDeadline,
         processingExtensions: order.processingExtensions,
+        sla: order.sla,
         driverAssignment: order.driverAssignment,
-        readyPhotoUrl: order.readyPhotoUrl,
-        receiptPhotoUrl: order.receiptPhotoUrl,
+        readyPhotoUrl: order.readyPhoto?.url,
+        receiptPhotoUrl: order.payment?.receiptUrl,
         cancellationReason: order.cancellationReason,
         refundDetails: order.refundDetails,
         deliveryDetails: order.deliveryDetails,
@@ -452,7 +402,7 @@ router.get('/orders/seller/:sellerId', async (req, res) => {
         lastModifiedBy: order.lastModifiedBy,
         version: order.__v
       };
-    }));
+    });
     
     res.json(sellerOrders);
     
@@ -462,56 +412,36 @@ router.get('/orders/seller/:sellerId', async (req, res) => {
   }
 });
 
-// Extend processing time endpoint
-router.put('/orders/:orderId/extend-processing', async (req, res) => {
+// Extend processing time endpoint (capped per order, see services/orderSlaService.js)
+router.put('/orders/:orderId/extend-processing', authenticate, requireRole('seller'), requireOwnership(loadOrder('orderId'), sellerOwnsOrder), async (req, res) => {
   try {
-    const { orderId } = req.params;
     const { additionalHours, reason } = req.body;
-    
-    if (!additionalHours || additionalHours <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Additional hours must be a positive number'
-      });
-    }
-    
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found'
-      });
-    }
-    
-    if (order.status !== 'processing') {
-      return res.status(400).json({
-        success: false,
-        error: 'Can only extend processing time for orders in processing status'
-      });
-    }
-    
-    // Add extension record
-    order.processingExtensions.push({
-      requestedAt: new Date(),
-      additionalHours: additionalHours,
-      reason: reason || 'Additional processing time needed'
+    const before = { processingDeadline: req.resource.processingDeadline };
+
+    const order = await extendProcessingDeadline(req.resource, { additionalHours, reason });
+
+    await recordAudit(req, {
+      action: 'order.extend_processing',
+      target: { type: 'Order', id: order._id },
+      before,
+      after: { processingDeadline: order.processingDeadline },
+      metadata: { additionalHours: Number(additionalHours), reason },
     });
-    
-    // Extend the deadline
-    order.processingDeadline = new Date(order.processingDeadline.getTime() + (additionalHours * 60 * 60 * 1000));
-    
-    await order.save();
-    
+
     res.json({
       success: true,
       order: {
         _id: order._id,
         processingDeadline: order.processingDeadline,
-        processingExtensions: order.processingExtensions
+        processingExtensions: order.processingExtensions,
+        extensionsRemaining: Math.max(MAX_PROCESSING_EXTENSIONS - order.processingExtensions.length, 0)
       }
     });
     
   } catch (err) {
+    if (err.name === 'SlaError') {
+      return res.status(err.status).json({ success: false, error: err.message, code: err.code, ...err.details });
+    }
     console.error('❌ Error extending processing time:', err.message);
     res.status(500).json({
       success: false,
@@ -520,37 +450,93 @@ router.put('/orders/:orderId/extend-processing', async (req, res) => {
   }
 });
 
-
-// Delete all orders endpoint (for development/testing only)
-router.delete('/orders/all', async (req, res) => {
+// Seller order settings (processing time and what happens to overdue orders)
+router.get('/orders/seller/:sellerId/settings', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
   try {
-    console.log('🗑️  [DEV] Deleting all orders from database...');
-    
-    const result = await Order.deleteMany({});
-    
-    console.log(`🗑️  [DEV] Successfully deleted ${result.deletedCount} orders`);
-    
+    const seller = await Seller.findById(req.params.sellerId).select('orderSettings').lean();
+    if (!seller) {
+      return res.status(404).json({ success: false, error: 'Seller not found' });
+    }
+
     res.json({
       success: true,
-      message: `Successfully deleted ${result.deletedCount} orders`,
-      deletedCount: result.deletedCount
+      settings: {
+        processingHours: await processingHoursFor(seller._id),
+        overdueAction: seller.orderSettings?.overdueAction || 'escalate',
+        maxExtensions: MAX_PROCESSING_EXTENSIONS,
+        maxExtensionHours: MAX_EXTENSION_HOURS
+      }
     });
-    
-  } catch (error) {
-    console.error('❌ [DEV] Error deleting orders:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete orders: ' + error.message
+  } catch (err) {
+    console.error('❌ Error fetching seller order settings:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.put('/orders/seller/:sellerId/settings', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
+  try {
+    const { processingHours, overdueAction } = req.body;
+    const $set = {};
+
+    if (processingHours !== undefined) {
+      const hours = Number(processingHours);
+      if (!Number.isInteger(hours) || hours < 1 || hours > 336) {
+        return res.status(400).json({ success: false, error: 'processingHours must be a whole number between 1 and 336' });
+      }
+      $set['orderSettings.processingHours'] = hours;
+    }
+    if (overdueAction !== undefined) {
+      if (!['escalate', 'cancel'].includes(overdueAction)) {
+        return res.status(400).json({ success: false, error: 'overdueAction must be escalate or cancel' });
+      }
+      $set['orderSettings.overdueAction'] = overdueAction;
+    }
+    if (Object.keys($set).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    const before = await Seller.findById(req.params.sellerId).select('orderSettings').lean();
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Seller not found' });
+    }
+    const seller = await Seller.findByIdAndUpdate(req.params.sellerId, { $set }, { new: true, runValidators: true })
+      .select('orderSettings')
+      .lean();
+
+    await recordAudit(req, {
+      action: 'seller.order_settings_update',
+      target: { type: 'Seller', id: seller._id },
+      before: before.orderSettings,
+      after: seller.orderSettings,
     });
+
+    // New settings apply to orders that enter processing from now on
+    res.json({ success: true, settings: seller.orderSettings });
+  } catch (err) {
+    console.error('❌ Error updating seller order settings:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Processing-time SLA metrics for the seller's own orders
+router.get('/orders/seller/:sellerId/sla', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const metrics = await getSellerSlaMetrics(req.params.sellerId, days);
+    res.json({ success: true, metrics });
+  } catch (err) {
+    console.error('❌ Error fetching seller SLA metrics:', err.message);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
 
 // Payment verification endpoint
-router.put('/orders/:orderId/payment-verification', async (req, res) => {
+router.put('/orders/:orderId/payment-verification', authenticate, requireRole('seller'), requireOwnership(loadOrder('orderId'), sellerOwnsOrder), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { action, declineReason, sellerId } = req.body;
+    const { action, declineReason } = req.body;
+    const sellerId = req.sellerId;
     
     if (!['approve', 'reject'].includes(action)) {
       return res.status(400).json({
@@ -559,45 +545,29 @@ router.put('/orders/:orderId/payment-verification', async (req, res) => {
       });
     }
     
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found'
-      });
-    }
-    
-    // Check if order is in payment_uploaded status
-    if (order.status !== 'payment_uploaded') {
-      return res.status(400).json({
-        success: false,
-        error: 'Order must be in payment_uploaded status for verification'
-      });
-    }
-    
-    // Update order based on action
-    if (action === 'approve') {
-      order.status = 'payment_verified';
-      order.paymentStatus = 'verified';
-      order.paymentVerifiedAt = new Date();
-      order.paymentVerifiedBy = sellerId;
-    } else {
-      order.status = 'payment_rejected';
-      order.paymentStatus = 'rejected';
-      order.paymentRejectedAt = new Date();
-      order.paymentRejectedBy = sellerId;
-      order.paymentDeclineReason = declineReason;
-    }
-    
-    await order.save();
+    const before = { status: req.resource.status, paymentStatus: req.resource.payment?.status };
+
+    const order = await transitionOrder(req.resource, action === 'approve' ? 'payment_verified' : 'payment_rejected', {
+      actor: 'seller',
+      actorId: sellerId,
+      reason: action === 'reject' ? declineReason : undefined
+    });
+
+    await recordAudit(req, {
+      action: action === 'approve' ? 'order.payment_approve' : 'order.payment_reject',
+      target: { type: 'Order', id: order._id },
+      before,
+      after: { status: order.status, paymentStatus: order.payment.status },
+      metadata: action === 'reject' ? { declineReason } : undefined,
+    });
     
     // Send real-time notification to customer
     if (global.io) {
       const notificationData = {
         orderId: order._id,
         status: order.status,
-        paymentStatus: order.paymentStatus,
-        orderNumber: `#ORD${order._id.toString().slice(-6).toUpperCase()}`,
+        paymentStatus: order.payment.status,
+        orderNumber: order.orderNumber,
         message: action === 'approve' 
           ? 'Your payment has been verified and your order is confirmed!'
           : `Your payment was rejected. Reason: ${declineReason || 'No reason provided'}`
@@ -613,12 +583,15 @@ router.put('/orders/:orderId/payment-verification', async (req, res) => {
       order: {
         _id: order._id,
         status: order.status,
-        paymentStatus: order.paymentStatus,
-        orderNumber: `#ORD${order._id.toString().slice(-6).toUpperCase()}`
+        paymentStatus: order.payment.status,
+        orderNumber: order.orderNumber
       }
     });
     
   } catch (err) {
+    if (err.name === 'OrderTransitionError') {
+      return sendTransitionError(res, err);
+    }
     console.error('❌ Error processing payment verification:', err.message);
     res.status(500).json({
       success: false,
@@ -627,18 +600,177 @@ router.put('/orders/:orderId/payment-verification', async (req, res) => {
   }
 });
 
-router.post('/orders/:id/location', async (req, res) => {
+// Statuses the seller can move the order to next
+router.get('/orders/:orderId/transitions', authenticate, requireRole('seller'), requireOwnership(loadOrder('orderId'), sellerOwnsOrder), (req, res) => {
+  res.json({
+    success: true,
+    status: req.resource.status,
+    allowed: allowedTransitions(req.resource, 'seller')
+  });
+});
+
+// Seller status update (processing, ready_to_ship, out_for_delivery, delivered, cancelled)
+router.put('/orders/:orderId/status', authenticate, requireRole('seller'), requireOwnership(loadOrder('orderId'), sellerOwnsOrder), async (req, res) => {
+  try {
+    const { status, reason, reasonCode, notes } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: 'status is required'
+      });
+    }
+
+    // Cancelling also returns stock and opens a refund, so it has its own flow
+    const order = status === 'cancelled'
+      ? (await cancelOrder(req.resource, { actor: 'seller', actorId: req.sellerId, reasonCode, reason, req })).order
+      : await transitionOrder(req.resource, status, {
+        actor: 'seller',
+        actorId: req.sellerId,
+        reason,
+        notes
+      });
+
+    if (global.io && status !== 'cancelled') {
+      global.io.to(`user_${order.userId}`).emit('orderStatusUpdate', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        reason
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Order moved to ${order.status}`,
+      order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        processingDeadline: order.processingDeadline,
+        fulfillment: order.fulfillment,
+        statusHistory: order.statusHistory
+      }
+    });
+
+  } catch (err) {
+    if (err.name === 'OrderTransitionError' || err.name === 'CancellationError') {
+      return sendTransitionError(res, err);
+    }
+    console.error('❌ Error updating order status:', err.message);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Cancel an order { reasonCode, reason }
+// Buyers may cancel until the order is being processed; sellers need a reason code
+router.post('/orders/:orderId/cancel', authenticate, requireRole('buyer', 'seller'), requireOwnership(loadOrder('orderId'), buyerOrSellerOwnsOrder), async (req, res) => {
+  try {
+    const { reasonCode, reason } = req.body || {};
+    const asSeller = req.principal.roles.includes('seller') && sameId(req.resource.sellerId, req.sellerId);
+
+    const { order, refund } = await cancelOrder(req.resource, {
+      actor: asSeller ? 'seller' : 'buyer',
+      actorId: asSeller ? req.sellerId : req.userId,
+      reasonCode,
+      reason,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled',
+      order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        cancellation: order.cancellation,
+        fulfillment: order.fulfillment
+      },
+      refund: refund && {
+        _id: refund._id,
+        amount: refund.amount,
+        status: refund.status
+      }
+    });
+
+  } catch (err) {
+    if (err.name === 'OrderTransitionError' || err.name === 'CancellationError') {
+      return sendTransitionError(res, err);
+    }
+    console.error('❌ Error cancelling order:', err.message);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Send an order document as HTML (default) or PDF (?format=pdf)
+const sendOrderDocument = async (req, res, { filename, renderHtml, renderPdf, data }) => {
+  if (req.query.format === 'pdf') {
+    const pdf = await renderPdf(data);
+    res.set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}.pdf"`);
+    return res.type('application/pdf').send(pdf);
+  }
+  res.type('html').send(renderHtml(data));
+};
+
+// Invoice for the buyer or the seller; the invoice number is issued on first request
+router.get('/orders/:orderId/invoice', authenticate, requireRole('buyer', 'seller'), requireOwnership(loadOrder('orderId'), buyerOrSellerOwnsOrder), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { driverId, lat, lng, accuracy } = req.body || {};
-    const order = await Order.findById(id);
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
-    if (!order.driverAssignment?.driverId) {
-      return res.status(400).json({ success: false, message: 'Order has no assigned driver' });
+    const { order, issued } = await ensureInvoiceNumber(req.resource);
+
+    if (issued) {
+      await recordAudit(req, {
+        action: 'order.invoice_issue',
+        target: { type: 'Order', id: order._id },
+        after: { invoice: order.invoice },
+      });
     }
-    if (driverId && String(order.driverAssignment.driverId) !== String(driverId)) {
-      return res.status(403).json({ success: false, message: 'Driver does not match assignment' });
+
+    await sendOrderDocument(req, res, {
+      filename: order.invoice.number,
+      renderHtml: renderInvoiceHtml,
+      renderPdf: renderInvoicePdf,
+      data: await buildDocumentData(order),
+    });
+  } catch (err) {
+    if (err.name === 'OrderDocumentError') {
+      return res.status(err.status).json({ success: false, error: err.message, code: err.code, ...err.details });
     }
+    console.error('❌ Error rendering invoice:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Packing slip for the seller (items and shipping address, no prices)
+router.get('/orders/:orderId/packing-slip', authenticate, requireRole('seller'), requireOwnership(loadOrder('orderId'), sellerOwnsOrder), async (req, res) => {
+  try {
+    assertPackingSlipAvailable(req.resource);
+
+    await sendOrderDocument(req, res, {
+      filename: `packing-slip-${req.resource.orderNumber.replace(/^#/, '')}`,
+      renderHtml: renderPackingSlipHtml,
+      renderPdf: renderPackingSlipPdf,
+      data: await buildDocumentData(req.resource),
+    });
+  } catch (err) {
+    if (err.name === 'OrderDocumentError') {
+      return res.status(err.status).json({ success: false, error: err.message, code: err.code, ...err.details });
+    }
+    console.error('❌ Error rendering packing slip:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.post('/orders/:id/location', authenticate, requireRole('driver'), requireOwnership(loadOrder('id'), driverOwnsOrder), async (req, res) => {
+  try {
+    const { lat, lng, accuracy } = req.body || {};
+    const order = req.resource;
     order.driverAssignment.lastKnownLocation = {
       lat: Number(lat),
       lng: Number(lng),
@@ -669,7 +801,7 @@ router.post('/orders/:id/location', async (req, res) => {
   }
 });
 
-router.post('/api/laundry/orders', verifyCompostelaLocation, async (req, res) => {
+router.post('/api/laundry/orders', authenticate, verifyCompostelaLocation, async (req, res) => {
   try {
     const {
       shopId,
@@ -717,8 +849,8 @@ router.post('/api/laundry/orders', verifyCompostelaLocation, async (req, res) =>
       };
     });
 
-    const pickupFee = 20; // Fixed pickup fee
-    const deliveryFee = delivery ? 20 : 0; // Delivery fee if delivery requested
+    // Pickup and return legs are priced from the shop to the customer's pinned location
+    const { pickupFee, deliveryFee } = quoteLaundryFees(shop, { pickup, delivery });
     const total = subtotal + pickupFee + deliveryFee;
 
     // Create new order
@@ -735,16 +867,17 @@ router.post('/api/laundry/orders', verifyCompostelaLocation, async (req, res) =>
         subtotal,
         pickupFee,
         deliveryFee,
+        total,
       },
       totalAmount: total,
       specialRequirements,
       status: 'pending',
-      orderNumber: `LAUNDRY-${Date.now()}`,
       paymentStatus: 'pending',
       orderType: 'laundry'
     });
 
-    await newOrder.save();
+    // Platform vouchers marked for laundry come off pricing.discount
+    await saveLaundryOrderWithVouchers(newOrder, req.body.voucherCodes || req.body.voucherCode);
 
     res.status(201).json({
       success: true,
@@ -753,6 +886,9 @@ router.post('/api/laundry/orders', verifyCompostelaLocation, async (req, res) =>
     });
 
   } catch (error) {
+    if (error.name === 'DeliveryFeeError' || error.name === 'VoucherError') {
+      return res.status(error.status).json({ success: false, message: error.message, code: error.code, ...error.details });
+    }
     console.error('❌ Error creating laundry order:', error);
     res.status(500).json({
       success: false,
@@ -761,7 +897,7 @@ router.post('/api/laundry/orders', verifyCompostelaLocation, async (req, res) =>
   }
 });
 
-router.put('/api/laundry/orders/:orderId/status', verifyCompostelaLocation, async (req, res) => {
+router.put('/api/laundry/orders/:orderId/status', authenticate, verifyCompostelaLocation, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { status, notes, actualWeight, staffName } = req.body;
@@ -799,6 +935,7 @@ router.put('/api/laundry/orders/:orderId/status', verifyCompostelaLocation, asyn
     }
 
     // Update order status
+    const previousStatus = order.status;
     order.status = status;
     
     // Add to status history
@@ -824,7 +961,7 @@ router.put('/api/laundry/orders/:orderId/status', verifyCompostelaLocation, asyn
         });
         
         order.pricing.subtotal = newSubtotal;
-        order.pricing.total = newSubtotal + order.pricing.pickupFee + order.pricing.deliveryFee;
+        order.pricing.total = Math.max(newSubtotal + order.pricing.pickupFee + order.pricing.deliveryFee - (order.pricing.discount || 0), 0);
       }
     }
 
@@ -835,7 +972,7 @@ router.put('/api/laundry/orders/:orderId/status', verifyCompostelaLocation, asyn
       await order.shopId.save();
     }
 
-    await order.save();
+    await saveLaundryOrderStatus(order, previousStatus);
 
     // Send enhanced notification using laundry notification service
     try {
@@ -867,7 +1004,7 @@ router.put('/api/laundry/orders/:orderId/status', verifyCompostelaLocation, asyn
   }
 });
 
-router.get('/api/laundry/orders/customer/:customerId', verifyCompostelaLocation, async (req, res) => {
+router.get('/api/laundry/orders/customer/:customerId', authenticate, verifyCompostelaLocation, async (req, res) => {
   try {
     const { customerId } = req.params;
     const { page = 1, limit = 10, status } = req.query;
@@ -913,7 +1050,7 @@ router.get('/api/laundry/orders/customer/:customerId', verifyCompostelaLocation,
   }
 });
 
-router.get('/api/laundry/orders/shop/:shopId', verifyCompostelaLocation, async (req, res) => {
+router.get('/api/laundry/orders/shop/:shopId', authenticate, verifyCompostelaLocation, async (req, res) => {
   try {
     const { shopId } = req.params;
     const { page = 1, limit = 10, status, date } = req.query;
@@ -5,51 +5,18 @@ import path from 'path';
 import fs from 'fs';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import cloudinary from '../config/cloudinary.js';
-import jwt from 'jsonwebtoken';
-import { JWT_SECRET } from '../config/authConfig.js';
-import User from '../models/User.js';
 import Product from '../models/Product.js';
 import AddOn from '../models/AddOn.js';
 import cacheService from '../services/cacheService.js';
 import analyticsService from '../services/analyticsService.js';
 import abTestingService from '../services/abTestingService.js';
+import { authenticate, requireRole, requireOwnership, sameId } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Simple JWT auth middleware used by product management endpoints
-async function authenticate(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization || req.headers.Authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ success: false, message: 'Missing or invalid Authorization header' });
-    }
-    const token = authHeader.replace('Bearer ', '').trim();
-  const payload = jwt.verify(token, JWT_SECRET);
-
-    // Attach user if available
-    const userId = payload.userId || payload.id || payload._id;
-    if (!userId) return res.status(401).json({ success: false, message: 'Invalid token payload' });
-
-    req.userId = userId;
-
-    try {
-      const user = await User.findById(userId).lean();
-      if (user) {
-        req.user = user;
-        if (user.sellerInfo && user.sellerInfo.sellerId) {
-          req.sellerId = user.sellerInfo.sellerId;
-        }
-      }
-    } catch (e) {
-      // non-fatal: proceed without full user lookup
-      console.warn('products.authenticate: user lookup failed', e.message);
-    }
-
-    next();
-  } catch (err) {
-    return res.status(401).json({ success: false, message: 'Unauthorized', error: err.message });
-  }
-}
+// Product management is limited to the seller that owns the product
+const loadProduct = (req) => Product.findById(req.params.id);
+const sellerOwnsProduct = { seller: (product, principal) => sameId(product.sellerId, principal.sellerId) };
 
 // Helpers
 function isValidObjectId(id) {
@@ -330,7 +297,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // ===== CREATE PRODUCT =====
-router.post('/', authenticate, uploadProductImage.array('images', 5), async (req, res) => {
+router.post('/', authenticate, requireRole('seller'), uploadProductImage.array('images', 5), async (req, res) => {
   try {
     console.log('🛍️ [CREATE PRODUCT] Received data:', JSON.stringify(req.body, null, 2));
     console.log('📸 [CREATE PRODUCT] Received files:', req.files);
@@ -438,7 +405,7 @@ router.post('/', authenticate, uploadProductImage.array('images', 5), async (req
 });
 
 // ===== UPDATE PRODUCT =====
-router.put('/:id', uploadProductImage.array('images', 5), async (req, res) => {
+router.put('/:id', authenticate, requireRole('seller'), requireOwnership(loadProduct, sellerOwnsProduct), uploadProductImage.array('images', 5), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = { ...req.body };
@@ -503,7 +470,7 @@ router.put('/:id', uploadProductImage.array('images', 5), async (req, res) => {
 });
 
 // ===== DELETE PRODUCT (SOFT DELETE) =====
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requireRole('seller'), requireOwnership(loadProduct, sellerOwnsProduct), async (req, res) => {
   try {
     const { id } = req.params;
 
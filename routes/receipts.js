@@ -1,15 +1,23 @@
 import express from 'express';
 import mongoose from 'mongoose';
+import Receipt from '../models/Receipt.js';
+import Order from '../models/Order.js';
+import { authenticate, requireRole, requireOwnership, sameId } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { transitionOrder, allowedTransitions } from '../services/orderStateMachine.js';
 
 const router = express.Router();
 
-// Import models - we'll get them dynamically since they're defined in app.js
-const getReceipt = () => mongoose.model('Receipts');
-const getOrder = () => mongoose.model('Order');
+const getReceipt = () => Receipt;
+const getOrder = () => Order;
+
+// Receipts are reviewed by the seller of the order they pay for
+const loadReceiptWithOrder = (req) => Receipt.findById(req.params.id).populate('orderId', 'sellerId');
+const sellerOwnsReceipt = { seller: (receipt, principal) => sameId(receipt.orderId?.sellerId, principal.sellerId) };
 
 // POST /api/receipts
 // Expect body: { orderId, customerInfo, totalAmount, receiptUrl, cloudinaryId, uploadedBy }
-router.post('/', async (req, res) => {
+router.post('/', authenticate, requireRole('buyer'), async (req, res) => {
   try {
     const { orderId, customerInfo, totalAmount, receiptUrl, cloudinaryId, uploadedBy } = req.body;
 
@@ -17,6 +25,14 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Missing required fields: orderId, receiptUrl, cloudinaryId' });
     }
 
+    // Buyers can only attach receipts to their own orders
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await getOrder().findById(orderId).select('userId status payment')
+      : null;
+    if (!order || !sameId(order.userId, req.userId)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
     // Check if receipt already exists with this cloudinaryId (primary deduplication)
     const existingReceipt = await getReceipt().findOne({ cloudinaryId });
     if (existingReceipt) {
@@ -42,6 +58,7 @@ router.post('/', async (req, res) => {
     // Create new receipt
     const receipt = new (getReceipt())({
       orderId,
+      customerId: req.userId,
       customerInfo,
       totalAmount,
       receiptUrl,
@@ -53,8 +70,17 @@ router.post('/', async (req, res) => {
     await receipt.save();
     console.log('✅ Receipt saved successfully:', receipt._id);
     
-    // Optionally mark order as 'pending' paymentStatus
-    await getOrder().findByIdAndUpdate(orderId, { paymentStatus: 'pending' });
+    // Put the order in the seller's verification queue
+    if (allowedTransitions(order, 'buyer').includes('payment_uploaded')) {
+      await transitionOrder(order, 'payment_uploaded', {
+        actor: 'buyer',
+        actorId: req.userId,
+        receiptUrl,
+        receiptId: receipt._id
+      });
+    } else {
+      await getOrder().findByIdAndUpdate(orderId, { 'payment.receiptId': receipt._id });
+    }
 
     return res.status(201).json({ success: true, receipt });
   } catch (err) {
@@ -81,29 +107,29 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/receipts/pending
-router.get('/pending', async (req, res) => {
+router.get('/pending', authenticate, requireRole('seller'), async (req, res) => {
   try {
     // Parse pagination parameters
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50); // Max 50 per page
     const skip = (page - 1) * limit;
 
+    // Only receipts for this seller's orders
+    const sellerOrderIds = await getOrder().find({ sellerId: req.sellerId }).distinct('_id');
+    const filter = { status: 'pending', orderId: { $in: sellerOrderIds } };
+
     // Get total count for pagination info
-    const totalCount = await getReceipt().countDocuments({ status: 'pending' });
+    const totalCount = await getReceipt().countDocuments(filter);
     const totalPages = Math.ceil(totalCount / limit);
 
-    // Fetch receipts with minimal payload for orders: items, totalAmount, paymentStatus, status
-    const receipts = await getReceipt().find({ status: 'pending' })
+    // Fetch receipts with minimal payload for orders: items, totalAmount, payment, status
+    const receipts = await getReceipt().find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate({
         path: 'orderId',
-        select: 'items totalAmount paymentStatus status',
-        populate: {
-          path: 'items.product',
-          select: 'name price productImage'
-        }
+        select: 'items totalAmount payment status'
       })
       .select('customerInfo totalAmount receiptUrl orderId status createdAt cloudinaryId')
       .lean();
@@ -125,9 +151,9 @@ router.get('/pending', async (req, res) => {
 });
 
 // PATCH /api/receipts/:id/confirm
-router.patch('/:id/confirm', async (req, res) => {
+router.patch('/:id/confirm', authenticate, requireRole('seller'), requireOwnership(loadReceiptWithOrder, sellerOwnsReceipt), async (req, res) => {
   const startTime = Date.now();
-  const requestId = Math.random().toString(36).substring(7);
+  const requestId = req.requestId;
   
   try {
     const receiptId = req.params.id;
@@ -187,41 +213,60 @@ router.patch('/:id/confirm', async (req, res) => {
       });
     }
 
-    console.log(`💾 [${requestId}] Updating receipt status to confirmed...`);
-    // Update receipt status
-    const updatedReceipt = await getReceipt().findByIdAndUpdate(
-      receiptId, 
-      { status: 'confirmed', confirmedAt: new Date() },
-      { new: true }
-    );
-    console.log(`✅ [${requestId}] RECEIPT CONFIRMED SUCCESSFULLY: ${receiptId}`);
-
-    // Link to order and set paymentStatus (if order exists)
-    console.log(`🔗 [${requestId}] Attempting to update order payment status...`);
+    console.log(`💾 [${requestId}] Confirming receipt and verifying order payment...`);
+    // The order moves first, in the same transaction: if the state machine
+    // refuses, the receipt stays unconfirmed
+    let updatedReceipt;
+    let updatedOrder;
+    const session = await mongoose.startSession();
     try {
-      const updatedOrder = await getOrder().findByIdAndUpdate(receipt.orderId, { 
-        receiptId: receipt._id, 
-        paymentStatus: 'verified' 
-      }, { new: true });
-      
-      if (updatedOrder) {
-        console.log(`✅ [${requestId}] ORDER PAYMENT STATUS UPDATED: ${receipt.orderId} -> verified`);
-        console.log(`📦 [${requestId}] Order details:`, {
-          orderId: updatedOrder._id,
-          paymentStatus: updatedOrder.paymentStatus,
-          receiptId: updatedOrder.receiptId
+      await session.withTransaction(async () => {
+        const order = await getOrder().findById(receipt.orderId).session(session);
+        updatedOrder = order && await transitionOrder(order, 'payment_verified', {
+          actor: 'seller',
+          actorId: req.sellerId,
+          receiptId: receipt._id,
+          session
         });
-      } else {
-        console.log(`⚠️ [${requestId}] ORDER NOT FOUND: ${receipt.orderId}`);
-      }
-    } catch (orderErr) {
-      console.log(`❌ [${requestId}] ORDER UPDATE FAILED:`, {
-        orderId: receipt.orderId,
-        error: orderErr.message,
-        stack: orderErr.stack
+        updatedReceipt = await getReceipt().findByIdAndUpdate(
+          receiptId,
+          { status: 'confirmed', confirmedAt: new Date() },
+          { new: true, session }
+        );
+      });
+    } catch (txErr) {
+      if (txErr.name !== 'OrderTransitionError') throw txErr;
+      console.log(`⚠️ [${requestId}] ORDER REFUSED PAYMENT VERIFICATION: ${receipt.orderId} (${txErr.code})`);
+      return res.status(409).json({
+        success: false,
+        message: txErr.message,
+        code: txErr.code,
+        ...txErr.details,
+        requestId
       });
-      // Continue anyway since receipt was updated successfully
+    } finally {
+      await session.endSession();
     }
+    console.log(`✅ [${requestId}] RECEIPT CONFIRMED SUCCESSFULLY: ${receiptId}`);
+
+    if (updatedOrder) {
+      console.log(`✅ [${requestId}] ORDER PAYMENT STATUS UPDATED: ${receipt.orderId} -> verified`);
+      console.log(`📦 [${requestId}] Order details:`, {
+        orderId: updatedOrder._id,
+        paymentStatus: updatedOrder.payment?.status,
+        receiptId: updatedOrder.payment?.receiptId
+      });
+    } else {
+      console.log(`⚠️ [${requestId}] ORDER NOT FOUND: ${receipt.orderId}`);
+    }
+
+    await recordAudit(req, {
+      action: 'receipt.confirm',
+      target: { type: 'Receipt', id: receipt._id },
+      before: { status: receipt.status },
+      after: { status: updatedReceipt.status, confirmedAt: updatedReceipt.confirmedAt },
+      metadata: { orderId: receipt.orderId, totalAmount: receipt.totalAmount },
+    });
 
     const processingTime = Date.now() - startTime;
     const responsePayload = { 
@@ -257,9 +302,9 @@ router.patch('/:id/confirm', async (req, res) => {
 });
 
 // PATCH /api/receipts/:id/decline
-router.patch('/:id/decline', async (req, res) => {
+router.patch('/:id/decline', authenticate, requireRole('seller'), requireOwnership(loadReceiptWithOrder, sellerOwnsReceipt), async (req, res) => {
   const startTime = Date.now();
-  const requestId = Math.random().toString(36).substring(7);
+  const requestId = req.requestId;
   
   try {
     const receiptId = req.params.id;
@@ -340,18 +385,29 @@ router.patch('/:id/decline', async (req, res) => {
     );
     console.log(`✅ [${requestId}] RECEIPT DECLINED SUCCESSFULLY: ${receiptId}`);
 
-    // Optionally update order payment status back to pending/failed
-    console.log(`🔗 [${requestId}] Attempting to update order payment status to failed...`);
+    await recordAudit(req, {
+      action: 'receipt.decline',
+      target: { type: 'Receipt', id: receipt._id },
+      before: { status: receipt.status },
+      after: { status: updatedReceipt.status, declinedAt: updatedReceipt.declinedAt, declineReason: updatedReceipt.declineReason },
+      metadata: { orderId: receipt.orderId, totalAmount: receipt.totalAmount },
+    });
+
+    // Move the order to payment_rejected so the buyer can upload a new receipt
+    console.log(`🔗 [${requestId}] Attempting to update order payment status to rejected...`);
     try {
-      const updatedOrder = await getOrder().findByIdAndUpdate(receipt.orderId, { 
-        paymentStatus: 'failed' 
-      }, { new: true });
+      const order = await getOrder().findById(receipt.orderId);
+      const updatedOrder = order && await transitionOrder(order, 'payment_rejected', {
+        actor: 'seller',
+        actorId: req.sellerId,
+        reason
+      });
       
       if (updatedOrder) {
-        console.log(`✅ [${requestId}] ORDER PAYMENT STATUS UPDATED: ${receipt.orderId} -> failed`);
+        console.log(`✅ [${requestId}] ORDER PAYMENT STATUS UPDATED: ${receipt.orderId} -> rejected`);
         console.log(`📦 [${requestId}] Order details:`, {
           orderId: updatedOrder._id,
-          paymentStatus: updatedOrder.paymentStatus
+          paymentStatus: updatedOrder.payment?.status
         });
       } else {
         console.log(`⚠️ [${requestId}] ORDER NOT FOUND: ${receipt.orderId}`);
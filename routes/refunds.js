@@ -0,0 +1,124 @@
+import express from 'express';
+import Refund from '../models/Refund.js';
+import Order from '../models/Order.js';
+import { authenticate, requireRole, requireOwnership, sameId } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { notifyBuyerOfOrder } from '../services/orderNotificationService.js';
+import { closeReturnForRefund } from '../services/returnService.js';
+
+const router = express.Router();
+
+const REFUND_STATUSES = Refund.schema.path('status').enumValues;
+
+const loadRefund = (req) => Refund.findById(req.params.id);
+const sellerOwnsRefund = { seller: (refund, principal) => sameId(refund.sellerId, principal.sellerId) };
+
+// GET /api/refunds/mine — the buyer's refunds
+router.get('/mine', authenticate, requireRole('buyer'), async (req, res) => {
+  try {
+    const refunds = await Refund.find({ userId: req.userId })
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ success: true, refunds });
+  } catch (err) {
+    console.error('❌ Error fetching buyer refunds:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch refunds' });
+  }
+});
+
+// GET /api/refunds/seller?status=pending — refunds the seller has to pay out
+router.get('/seller', authenticate, requireRole('seller'), async (req, res) => {
+  try {
+    const filter = { sellerId: req.sellerId };
+    if (req.query.status) {
+      if (!REFUND_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: ${REFUND_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const refunds = await Refund.find(filter)
+      .populate('orderId', 'orderNumber buyerName summary')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ success: true, refunds });
+  } catch (err) {
+    console.error('❌ Error fetching seller refunds:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch refunds' });
+  }
+});
+
+// PUT /api/refunds/:id { status: 'completed' | 'rejected', reference, notes }
+// The seller records the payout (or why it was not made)
+router.put('/:id', authenticate, requireRole('seller'), requireOwnership(loadRefund, sellerOwnsRefund), async (req, res) => {
+  try {
+    const { status, reference, notes } = req.body || {};
+    let refund = req.resource;
+
+    if (!['completed', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: "status must be 'completed' or 'rejected'" });
+    }
+    if (status === 'completed' && !reference) {
+      return res.status(400).json({ success: false, message: 'A payout reference is required to complete a refund' });
+    }
+    if (status === 'rejected' && !notes) {
+      return res.status(400).json({ success: false, message: 'Notes are required to reject a refund' });
+    }
+    if (refund.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Refund is already ${refund.status}` });
+    }
+
+    // Only the request that moves the refund out of pending counts it on the order
+    const before = { status: refund.status };
+    const processed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      { $set: { status, reference, notes, processedAt: new Date(), processedBy: req.sellerId } },
+      { new: true, runValidators: true }
+    );
+    if (!processed) {
+      const current = await Refund.findById(refund._id).select('status').lean();
+      return res.status(409).json({ success: false, message: `Refund is already ${current?.status || 'processed'}` });
+    }
+    refund = processed;
+
+    let order;
+    if (status === 'completed') {
+      // Returns refund part of an order; payment only counts as refunded once the whole total is back
+      order = await Order.findByIdAndUpdate(refund.orderId, { $inc: { refundedAmount: refund.amount } }, { new: true });
+      if (order && order.refundedAmount >= (order.summary?.total ?? order.totalAmount ?? 0)) {
+        order.set('payment.status', 'refunded');
+        await order.save();
+      }
+      await closeReturnForRefund(refund);
+    } else {
+      order = await Order.findById(refund.orderId);
+    }
+
+    await recordAudit(req, {
+      action: status === 'completed' ? 'refund.complete' : 'refund.reject',
+      target: { type: 'Refund', id: refund._id },
+      before,
+      after: { status: refund.status },
+      metadata: { orderId: refund.orderId, returnRequestId: refund.returnRequestId, amount: refund.amount, reference, notes },
+    });
+
+    if (order) {
+      await notifyBuyerOfOrder(order, {
+        title: status === 'completed' ? 'Refund Sent' : 'Refund Update',
+        message: status === 'completed'
+          ? `Your refund of ₱${refund.amount} for order ${order.orderNumber} has been sent (ref ${reference}).`
+          : `Your refund for order ${order.orderNumber} was not processed: ${notes}`,
+        type: 'refund_update',
+        event: 'refundUpdate'
+      });
+    }
+
+    res.json({ success: true, message: `Refund ${status}`, refund });
+  } catch (err) {
+    console.error('❌ Error updating refund:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to update refund' });
+  }
+});
+
+export default router;
@@ -0,0 +1,199 @@
+import express from 'express';
+import multer from 'multer';
+import { CloudinaryStorage } from 'multer-storage-cloudinary';
+import { v2 as cloudinary } from 'cloudinary';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { authenticate, requireRole, requireOwnership, sameId } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  RETURN_REASONS,
+  RETURN_WINDOW_DAYS,
+  createReturnRequest,
+  moveReturn,
+  decideReturn,
+  receiveReturn,
+} from '../services/returnService.js';
+
+const router = express.Router();
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const returnPhotoStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'sooki/return_photos',
+    format: async (req, file) => 'webp',
+    public_id: (req, file) => {
+      const originalname = file.originalname.split('.')[0];
+      return `${originalname}-${Date.now()}`;
+    },
+  },
+});
+const uploadReturnPhotos = multer({ storage: returnPhotoStorage, limits: { files: 5 } });
+
+const RETURN_STATUSES = ReturnRequest.schema.path('status').enumValues;
+
+const loadOrder = (req) => Order.findById(req.params.orderId);
+const buyerOwnsOrder = { buyer: (order, principal) => sameId(order.userId, principal.userId) };
+const loadReturn = (req) => ReturnRequest.findById(req.params.id);
+const buyerOwnsReturn = { buyer: (ret, principal) => sameId(ret.userId, principal.userId) };
+const sellerOwnsReturn = { seller: (ret, principal) => sameId(ret.sellerId, principal.sellerId) };
+const partyToReturn = {
+  ...buyerOwnsReturn,
+  ...sellerOwnsReturn,
+  driver: (ret, principal) => sameId(ret.pickup?.driverId, principal.driverId),
+};
+
+const sendReturnError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details
+});
+
+// Multipart forms send lines as a JSON string
+const parseLines = (lines) => {
+  if (typeof lines !== 'string') return lines;
+  try {
+    return JSON.parse(lines);
+  } catch {
+    return null;
+  }
+};
+
+// GET /api/returns/reasons
+router.get('/reasons', (req, res) => {
+  res.json({ success: true, reasonCodes: RETURN_REASONS, windowDays: RETURN_WINDOW_DAYS });
+});
+
+// POST /api/returns/orders/:orderId (multipart: photos[], lines, reasonCode, description)
+router.post('/orders/:orderId', authenticate, requireRole('buyer'), requireOwnership(loadOrder, buyerOwnsOrder), uploadReturnPhotos.array('photos', 5), async (req, res) => {
+  const photos = (req.files || []).map(file => ({ url: file.path, publicId: file.filename }));
+  try {
+    const ret = await createReturnRequest(req.resource, {
+      lines: parseLines(req.body.lines),
+      reasonCode: req.body.reasonCode,
+      description: req.body.description,
+      photos
+    });
+    res.status(201).json({ success: true, message: 'Return requested', returnRequest: ret });
+  } catch (err) {
+    // Don't leave evidence photos behind for a return that was never filed
+    await Promise.all(photos.map(photo => cloudinary.uploader.destroy(photo.publicId).catch(() => null)));
+    if (err.name === 'ReturnError') {
+      return sendReturnError(res, err);
+    }
+    console.error('❌ Error creating return request:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to create return request' });
+  }
+});
+
+// GET /api/returns/mine
+router.get('/mine', authenticate, requireRole('buyer'), async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ userId: req.userId }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, returns });
+  } catch (err) {
+    console.error('❌ Error fetching buyer returns:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns' });
+  }
+});
+
+// GET /api/returns/seller?status=requested
+router.get('/seller', authenticate, requireRole('seller'), async (req, res) => {
+  try {
+    const filter = { sellerId: req.sellerId };
+    if (req.query.status) {
+      if (!RETURN_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: ${RETURN_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    const returns = await ReturnRequest.find(filter)
+      .populate('orderId', 'orderNumber buyerName')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ success: true, returns });
+  } catch (err) {
+    console.error('❌ Error fetching seller returns:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns' });
+  }
+});
+
+// GET /api/returns/:id
+router.get('/:id', authenticate, requireOwnership(loadReturn, partyToReturn), (req, res) => {
+  res.json({ success: true, returnRequest: req.resource });
+});
+
+// POST /api/returns/:id/cancel — buyer withdraws a return before the seller decides
+router.post('/:id/cancel', authenticate, requireRole('buyer'), requireOwnership(loadReturn, buyerOwnsReturn), async (req, res) => {
+  try {
+    const ret = await moveReturn(req.resource, 'cancelled', { actor: 'buyer', actorId: req.userId, notes: req.body?.reason });
+    res.json({ success: true, message: 'Return cancelled', returnRequest: ret });
+  } catch (err) {
+    if (err.name === 'ReturnError') {
+      return sendReturnError(res, err);
+    }
+    console.error('❌ Error cancelling return:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to cancel return' });
+  }
+});
+
+// PUT /api/returns/:id/decision { action: 'approve' | 'reject', reason }
+router.put('/:id/decision', authenticate, requireRole('seller'), requireOwnership(loadReturn, sellerOwnsReturn), async (req, res) => {
+  try {
+    const { action, reason } = req.body || {};
+    const ret = await decideReturn(req.resource, { action, reason, sellerId: req.sellerId });
+
+    await recordAudit(req, {
+      action: action === 'approve' ? 'return.approve' : 'return.reject',
+      target: { type: 'ReturnRequest', id: ret._id },
+      before: { status: req.resource.status },
+      after: { status: ret.status },
+      metadata: { orderId: ret.orderId, refundAmount: ret.refundAmount, reason },
+    });
+
+    res.json({ success: true, message: `Return ${ret.status}`, returnRequest: ret });
+  } catch (err) {
+    if (err.name === 'ReturnError') {
+      return sendReturnError(res, err);
+    }
+    console.error('❌ Error deciding return:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to update return' });
+  }
+});
+
+// PUT /api/returns/:id/received { notes } — goods are back; restock and open the refund
+router.put('/:id/received', authenticate, requireRole('seller'), requireOwnership(loadReturn, sellerOwnsReturn), async (req, res) => {
+  try {
+    const { ret, refund } = await receiveReturn(req.resource, { sellerId: req.sellerId, notes: req.body?.notes });
+
+    await recordAudit(req, {
+      action: 'return.receive',
+      target: { type: 'ReturnRequest', id: ret._id },
+      before: { status: req.resource.status },
+      after: { status: ret.status },
+      metadata: { orderId: ret.orderId, refundId: refund._id, amount: refund.amount },
+    });
+
+    res.json({
+      success: true,
+      message: 'Return received and refund opened',
+      returnRequest: ret,
+      refund: { _id: refund._id, amount: refund.amount, status: refund.status }
+    });
+  } catch (err) {
+    if (err.name === 'ReturnError') {
+      return sendReturnError(res, err);
+    }
+    console.error('❌ Error receiving return:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to receive return' });
+  }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Voucher from '../models/Voucher.js';
+import { authenticate, requireRole, requireSelf } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditService.js';
+import { toShippingAddress } from '../services/orderService.js';
+import { previewCartVouchers } from '../services/checkoutService.js';
+import { createVoucher, updateVoucher } from '../services/voucherService.js';
+
+const router = express.Router();
+
+const sendVoucherError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details
+});
+
+const isVoucherError = (err) => ['VoucherError', 'CheckoutError', 'OrderInputError', 'DeliveryFeeError'].includes(err.name);
+
+// POST /api/vouchers/validate
+// Check codes against the buyer's cart; body: { voucherCodes | voucherCode, deliveryAddress }
+router.post('/validate', authenticate, requireRole('buyer'), async (req, res) => {
+  try {
+    const result = await previewCartVouchers(req.user, {
+      voucherCodes: req.body.voucherCodes || req.body.voucherCode,
+      shippingAddress: toShippingAddress(req.body.deliveryAddress || req.body.shippingAddress)
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (isVoucherError(err)) {
+      return sendVoucherError(res, err);
+    }
+    console.error('❌ Error validating vouchers:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to validate vouchers' });
+  }
+});
+
+// GET /api/vouchers/seller/:sellerId
+// The seller's own vouchers, newest first
+router.get('/seller/:sellerId', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
+  try {
+    const vouchers = await Voucher.find({ fundedBy: 'seller', sellerId: req.params.sellerId }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, vouchers });
+  } catch (err) {
+    console.error('❌ Error listing seller vouchers:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to list vouchers' });
+  }
+});
+
+// POST /api/vouchers/seller/:sellerId
+// Create a seller-funded voucher for the seller's own products
+router.post('/seller/:sellerId', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
+  try {
+    const voucher = await createVoucher(req.body, {
+      fundedBy: 'seller',
+      sellerId: req.params.sellerId,
+      createdBy: { kind: 'seller', id: req.params.sellerId }
+    });
+
+    await recordAudit(req, {
+      action: 'voucher.create',
+      target: { type: 'Voucher', id: voucher._id },
+      after: voucher.toObject()
+    });
+
+    console.log(`🎟️ [VOUCHER] Seller ${req.params.sellerId} created ${voucher.code}`);
+    res.status(201).json({ success: true, message: 'Voucher created', voucher });
+  } catch (err) {
+    if (isVoucherError(err)) {
+      return sendVoucherError(res, err);
+    }
+    console.error('❌ Error creating seller voucher:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to create voucher' });
+  }
+});
+
+// PATCH /api/vouchers/seller/:sellerId/:voucherId
+// Edit or deactivate one of the seller's vouchers
+router.patch('/seller/:sellerId/:voucherId', authenticate, requireRole('seller'), requireSelf('sellerId'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.voucherId)) {
+      return res.status(400).json({ success: false, message: 'Invalid voucher id' });
+    }
+    const voucher = await Voucher.findOne({ _id: req.params.voucherId, fundedBy: 'seller', sellerId: req.params.sellerId });
+    if (!voucher) {
+      return res.status(404).json({ success: false, message: 'Voucher not found' });
+    }
+
+    const before = voucher.toObject();
+    const updated = await updateVoucher(voucher, req.body);
+
+    await recordAudit(req, {
+      action: 'voucher.update',
+      target: { type: 'Voucher', id: updated._id },
+      before,
+      after: updated.toObject()
+    });
+
+    res.json({ success: true, message: 'Voucher updated', voucher: updated });
+  } catch (err) {
+    if (isVoucherError(err)) {
+      return sendVoucherError(res, err);
+    }
+    console.error('❌ Error updating seller voucher:', err.message);
+    res.status(500).json({ success: false, message: 'Failed to update voucher' });
+  }
+});
+
+export default router;
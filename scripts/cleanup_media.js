@@ -0,0 +1,54 @@
+/**
+ * Remove expired ready photos and orphaned Cloudinary assets on demand (the
+ * server also runs this on a schedule).
+ *
+ * Usage:
+ *   node scripts/cleanup_media.js --dry-run
+ *   node scripts/cleanup_media.js
+ *   node scripts/cleanup_media.js --ready-photos-only
+ *
+ * --dry-run lists what would be removed without touching Cloudinary or the
+ * database. Orphans are only destroyed after MEDIA_ORPHAN_QUARANTINE_DAYS in
+ * quarantine, so a first real run just quarantines them.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+dotenv.config();
+
+// Imported after dotenv so config/cloudinary.js sees the credentials
+const { runMediaCleanup } = await import('../services/mediaCleanupService.js');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const orphans = !process.argv.includes('--ready-photos-only');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const report = await runMediaCleanup({ dryRun, orphans });
+
+  console.log(`${dryRun ? '🔍 [dry run] ' : '✅ '}Media cleanup:`);
+  console.log(`  Ready photos ${dryRun ? 'to remove' : 'removed'}: ${report.readyPhotos.length}`);
+  report.readyPhotos.forEach(photo => console.log(`    - ${photo.publicId} (${photo.orderNumber})`));
+
+  if (report.orphans?.skipped) {
+    console.log(`  Orphans: skipped (${report.orphans.skipped})`);
+  } else if (report.orphans) {
+    const { scanned, quarantined, released, deleted } = report.orphans;
+    console.log(`  Assets scanned: ${scanned}`);
+    console.log(`  Newly orphaned (${dryRun ? 'would be quarantined' : 'quarantined'}): ${quarantined.length}`);
+    quarantined.forEach(asset => console.log(`    - ${asset.publicId}`));
+    console.log(`  Released from quarantine: ${released.length}`);
+    console.log(`  ${dryRun ? 'To delete' : 'Deleted'} after quarantine: ${deleted.length}`);
+    deleted.forEach(asset => console.log(`    - ${asset.publicId}`));
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (err) => {
+  console.error('❌ cleanup_media failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+/**
+ * Hash legacy plain-text driver passwords.
+ *
+ * Usage:
+ *   node scripts/migrate_driver_passwords.js
+ *   node scripts/migrate_driver_passwords.js --dry-run
+ *
+ * Every driver that still has a plain-text `password` gets a bcrypt
+ * `passwordHash` and the plain-text field is removed. Emails are lowercased at
+ * the same time, since driver login now matches on the lowercased address.
+ * Safe to run more than once.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Driver from '../models/Driver.js';
+import { hashDriverPassword } from '../services/driverAuthService.js';
+
+dotenv.config();
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const stats = { scanned: 0, hashed: 0, emailsLowercased: 0, emailConflicts: 0 };
+  const cursor = Driver.collection.find(
+    { $or: [{ password: { $exists: true } }, { email: /[A-Z]/ }] },
+    { projection: { email: 1, password: 1, passwordHash: 1 } }
+  );
+
+  for await (const driver of cursor) {
+    stats.scanned += 1;
+    const $set = {};
+    const $unset = {};
+
+    if (driver.password !== undefined) {
+      // A driver who already logged in since the fix has a hash; just drop the plain text
+      if (!driver.passwordHash && driver.password) {
+        $set.passwordHash = await hashDriverPassword(String(driver.password));
+        $set.passwordSetAt = new Date();
+        stats.hashed += 1;
+      }
+      $unset.password = '';
+    }
+
+    const email = String(driver.email || '').trim().toLowerCase();
+    if (email && email !== driver.email) {
+      const conflict = await Driver.exists({ _id: { $ne: driver._id }, email });
+      if (conflict) {
+        console.warn(`⚠️ Driver ${driver._id}: ${driver.email} collides with an existing ${email}, left unchanged`);
+        stats.emailConflicts += 1;
+      } else {
+        $set.email = email;
+        stats.emailsLowercased += 1;
+      }
+    }
+
+    const update = {
+      ...(Object.keys($set).length && { $set }),
+      ...(Object.keys($unset).length && { $unset }),
+    };
+    if (!dryRun && Object.keys(update).length) {
+      await Driver.collection.updateOne({ _id: driver._id }, update);
+    }
+  }
+
+  console.log(`${dryRun ? '🔍 [dry run] ' : '✅ '}Driver password migration:`, stats);
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (err) => {
+  console.error('❌ migrate_driver_passwords failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
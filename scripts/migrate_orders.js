@@ -0,0 +1,215 @@
+/**
+ * Convert legacy product orders to the canonical Order schema.
+ *
+ * Usage:
+ *   node scripts/migrate_orders.js
+ *   node scripts/migrate_orders.js --dry-run
+ *
+ * Handles:
+ *   - orderId            -> orderNumber
+ *   - products[]         -> items[] ({ product: { _id, name, imageUrl }, quantity, unitPrice, totalPrice })
+ *   - missing summary    -> summary computed from items (total falls back to totalAmount)
+ *   - flat payment fields (paymentMethod, paymentStatus, paymentReceiptUrl, receiptId,
+ *     paymentVerified*, paymentRejected*, paymentDeclineReason, paymentDetails) -> payment
+ *   - deliveryAddress    -> shippingAddress
+ *   - customerName       -> buyerName
+ *   - status 'ready'     -> 'ready_to_ship'
+ * and drops the legacy unique index on orderId. Safe to run more than once.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { toShippingAddress } from '../services/orderService.js';
+
+dotenv.config();
+
+const LEGACY_FIELDS = [
+  'orderId',
+  'products',
+  'productName',
+  'productImageUrl',
+  'quantity',
+  'paymentMethod',
+  'paymentStatus',
+  'paymentReceiptUrl',
+  'receiptId',
+  'paymentVerifiedAt',
+  'paymentVerifiedBy',
+  'paymentRejectedAt',
+  'paymentRejectedBy',
+  'paymentDeclineReason',
+  'paymentDetails',
+  'deliveryAddress',
+  'customerName',
+  'orderDate',
+];
+
+// Legacy payment status values -> canonical payment.status
+const PAYMENT_STATUS_MAP = {
+  pending: 'pending_verification',
+  pending_verification: 'pending_verification',
+  verified: 'verified',
+  rejected: 'rejected',
+  failed: 'rejected',
+  refunded: 'refunded',
+};
+
+const STATUS_MAP = { ready: 'ready_to_ship' };
+
+const VALID_STATUSES = Order.schema.path('status').enumValues;
+
+const convertItems = (doc) => {
+  if (Array.isArray(doc.items) && doc.items.length > 0) {
+    return doc.items.map(item => {
+      const unitPrice = Number(item.unitPrice ?? item.price ?? 0);
+      const quantity = Number(item.quantity || 1);
+      return {
+        product: {
+          _id: item.product?._id || item.productId,
+          name: item.product?.name || item.name || 'Unknown Product',
+          imageUrl: item.product?.imageUrl || item.imageUrl,
+        },
+        quantity,
+        unitPrice,
+        totalPrice: Number(item.totalPrice ?? unitPrice * quantity),
+      };
+    });
+  }
+
+  if (Array.isArray(doc.products) && doc.products.length > 0) {
+    return doc.products.map(product => ({
+      product: {
+        _id: product.productId,
+        name: product.name || 'Unknown Product',
+        imageUrl: product.imageUrl,
+      },
+      quantity: Number(product.quantity || 1),
+      unitPrice: Number(product.price || 0),
+      totalPrice: Number(product.price || 0) * Number(product.quantity || 1),
+    }));
+  }
+
+  // Oldest single-product documents only carried productName/quantity/totalAmount
+  if (doc.productName) {
+    const quantity = Number(doc.quantity || 1);
+    const total = Number(doc.totalAmount || 0);
+    return [{
+      product: { _id: null, name: doc.productName, imageUrl: doc.productImageUrl },
+      quantity,
+      unitPrice: quantity ? total / quantity : total,
+      totalPrice: total,
+    }];
+  }
+
+  return [];
+};
+
+const convertPayment = (doc) => {
+  const legacyStatus = doc.paymentStatus || doc.paymentDetails?.status;
+  const payment = {
+    method: doc.payment?.method || doc.paymentMethod || doc.paymentDetails?.method,
+    status: doc.payment?.status || PAYMENT_STATUS_MAP[legacyStatus] || (doc.paymentReceiptUrl ? 'pending_verification' : 'unpaid'),
+    receiptUrl: doc.payment?.receiptUrl || doc.paymentReceiptUrl || doc.paymentDetails?.receiptUrl,
+    receiptId: doc.payment?.receiptId || doc.receiptId,
+    verifiedAt: doc.payment?.verifiedAt || doc.paymentVerifiedAt,
+    verifiedBy: doc.payment?.verifiedBy || doc.paymentVerifiedBy,
+    rejectedAt: doc.payment?.rejectedAt || doc.paymentRejectedAt,
+    rejectedBy: doc.payment?.rejectedBy || doc.paymentRejectedBy,
+    declineReason: doc.payment?.declineReason || doc.paymentDeclineReason,
+  };
+  Object.keys(payment).forEach(key => payment[key] === undefined && delete payment[key]);
+  return payment;
+};
+
+const convertOrder = (doc) => {
+  const $set = {};
+  const problems = [];
+
+  const items = convertItems(doc);
+  if (items.length === 0) problems.push('no line items');
+  if (items.some(item => !item.product._id)) problems.push('line item without a product id');
+  $set.items = items;
+
+  if (!doc.orderNumber) {
+    $set.orderNumber = doc.orderId || `#ORD${doc._id.toString().slice(-6).toUpperCase()}`;
+  }
+
+  if (!doc.summary || doc.summary.total == null) {
+    const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+    $set.summary = {
+      subtotal,
+      shippingFee: 0,
+      tax: 0,
+      discount: 0,
+      total: doc.totalAmount ?? subtotal,
+    };
+  }
+  $set.totalAmount = ($set.summary || doc.summary).total;
+
+  $set.payment = convertPayment(doc);
+
+  if (!doc.shippingAddress && doc.deliveryAddress) {
+    $set.shippingAddress = toShippingAddress(doc.deliveryAddress);
+  }
+  if (!doc.buyerName && doc.customerName) {
+    $set.buyerName = doc.customerName;
+  }
+
+  const status = STATUS_MAP[doc.status] || doc.status || 'pending';
+  if (!VALID_STATUSES.includes(status)) problems.push(`unknown status "${doc.status}"`);
+  $set.status = status;
+
+  const $unset = {};
+  LEGACY_FIELDS.filter(field => doc[field] !== undefined).forEach(field => { $unset[field] = ''; });
+
+  return { update: Object.keys($unset).length ? { $set, $unset } : { $set }, problems };
+};
+
+const dropLegacyIndex = async (dryRun) => {
+  const indexes = await Order.collection.indexes().catch(() => []);
+  if (!indexes.some(index => index.name === 'orderId_1')) return false;
+  if (!dryRun) await Order.collection.dropIndex('orderId_1');
+  return true;
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const stats = { scanned: 0, converted: 0, withProblems: 0, legacyIndexDropped: false };
+
+  // The legacy orderId index is unique and not sparse, so it has to go before
+  // documents without orderId are written
+  stats.legacyIndexDropped = await dropLegacyIndex(dryRun);
+
+  for await (const doc of Order.collection.find({})) {
+    stats.scanned += 1;
+    const { update, problems } = convertOrder(doc);
+
+    if (problems.length) {
+      stats.withProblems += 1;
+      console.warn(`⚠️ Order ${doc._id}: ${problems.join(', ')}`);
+    }
+
+    if (!dryRun) {
+      await Order.collection.updateOne({ _id: doc._id }, update);
+    }
+    stats.converted += 1;
+  }
+
+  if (!dryRun) {
+    await Order.createIndexes();
+  }
+
+  console.log(`${dryRun ? '🔍 [dry run] ' : '✅ '}Order migration:`, stats);
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (err) => {
+  console.error('❌ migrate_orders failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Grant or revoke back-office (admin) access for a user.
+ *
+ * Usage:
+ *   node scripts/promote_admin.js --email someone@example.com
+ *   node scripts/promote_admin.js --phone 09171234567
+ *   node scripts/promote_admin.js --email someone@example.com --revoke
+ *
+ * Admin access is carried as a token claim, so a newly promoted user has to
+ * sign in again. Revocation takes effect immediately.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+dotenv.config();
+
+const readArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const main = async () => {
+  const email = readArg('email');
+  const phone = readArg('phone');
+  const revoke = process.argv.includes('--revoke');
+
+  if (!email && !phone) {
+    console.error('Usage: node scripts/promote_admin.js (--email <email> | --phone <phone>) [--revoke]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const filter = email ? { email: email.toLowerCase() } : { phone: normalizePhoneNumber(phone) };
+  const user = await User.findOneAndUpdate(filter, { $set: { isAdmin: !revoke } }, { new: true });
+
+  if (!user) {
+    console.error('❌ No user found for', email || phone);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.email || user.phone} is ${revoke ? 'no longer an admin' : 'now an admin'}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (err) => {
+  console.error('❌ promote_admin failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
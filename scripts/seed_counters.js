@@ -0,0 +1,68 @@
+/**
+ * Seed the reference counters from numbers already in the database, so new
+ * numbers continue after existing ones instead of colliding with them.
+ *
+ * Usage:
+ *   node scripts/seed_counters.js
+ *   node scripts/seed_counters.js --dry-run
+ *
+ * Scans counter-style references (#ORD-2026-000042, #CHK-…, #RET-…, LND-2026-001,
+ * INV-2026-000001 per seller) and raises each counter to the highest number
+ * found. Legacy references (#ORD1A2B3C, LAUNDRY-<timestamp>) are ignored.
+ * Counters are only ever raised, so it is safe to run more than once. Run it
+ * once before deploying counter-based numbering.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Checkout from '../models/Checkout.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { LaundryOrder } from '../models/LaundryModels.js';
+import { referenceKey, raiseSequence } from '../services/counterService.js';
+
+dotenv.config();
+
+// Model, field holding the reference, prefix, and the owner field for per-owner sequences
+const SOURCES = [
+  { Model: Order, field: 'orderNumber', prefix: 'ORD', pattern: /^#ORD-(\d{4})-(\d+)$/ },
+  { Model: Checkout, field: 'checkoutNumber', prefix: 'CHK', pattern: /^#CHK-(\d{4})-(\d+)$/ },
+  { Model: ReturnRequest, field: 'returnNumber', prefix: 'RET', pattern: /^#RET-(\d{4})-(\d+)$/ },
+  { Model: LaundryOrder, field: 'orderNumber', prefix: 'LND', pattern: /^LND-(\d{4})-(\d+)$/ },
+  { Model: Order, field: 'invoice.number', prefix: 'INV', pattern: /^INV-(\d{4})-(\d+)$/, scopeField: 'sellerId' },
+];
+
+const readPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // counter key -> highest number in use
+  const highest = new Map();
+
+  for (const { Model, field, prefix, pattern, scopeField } of SOURCES) {
+    const projection = { [field]: 1, ...(scopeField && { [scopeField]: 1 }) };
+    for await (const doc of Model.collection.find({ [field]: { $regex: pattern } }, { projection })) {
+      const [, year, seq] = readPath(doc, field).match(pattern);
+      const key = referenceKey(prefix, year, scopeField && doc[scopeField]);
+      highest.set(key, Math.max(highest.get(key) || 0, Number(seq)));
+    }
+  }
+
+  for (const [key, value] of highest) {
+    console.log(`  ${key} -> ${value}`);
+    if (!dryRun) await raiseSequence(key, value);
+  }
+
+  console.log(`${dryRun ? '🔍 [dry run] ' : '✅ '}Counters seeded: ${highest.size}`);
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (err) => {
+  console.error('❌ seed_counters failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * Audit Service
+ * Records security and money-moving actions in the append-only AuditLog
+ * collection. Recording never throws: a failed audit write is logged and the
+ * calling action carries on.
+ */
+
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * Build the actor block from the authenticated principal on a request
+ * @param {Object} req - Express request (may lack a principal)
+ * @returns {Object} { kind, id, roles }
+ */
+const actorFromRequest = (req) => {
+  const principal = req?.principal;
+  if (!principal) {
+    return { kind: 'anonymous' };
+  }
+  return { kind: principal.kind, id: principal.id, roles: principal.roles };
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * Reduce two snapshots to the fields that differ
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object} { before, after } containing only changed keys
+ */
+const diffFields = (before = {}, after = {}) => {
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (comparable(before?.[key]) !== comparable(after?.[key])) {
+      changedBefore[key] = before?.[key];
+      changedAfter[key] = after?.[key];
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Record an audit entry
+ * @param {Object} req - Express request; supplies actor, IP, user agent and requestId
+ * @param {Object} entry
+ * @param {string} entry.action - Dotted verb, e.g. 'receipt.confirm'
+ * @param {Object} entry.target - { type, id }
+ * @param {Object} [entry.before] - Snapshot before the change
+ * @param {Object} [entry.after] - Snapshot after the change
+ * @param {Object} [entry.metadata] - Extra context (reason, amounts...)
+ * @param {Object} [entry.actor] - Override the actor, e.g. { kind: 'system' } for jobs
+ * @returns {Promise<Object|null>} The saved entry, or null if recording failed
+ */
+const recordAudit = async (req, { action, target, before, after, metadata, actor }) => {
+  try {
+    const diff = before || after ? diffFields(before, after) : {};
+    return await AuditLog.create({
+      actor: actor || actorFromRequest(req),
+      action,
+      target,
+      before: diff.before,
+      after: diff.after,
+      metadata,
+      ip: req?.ip,
+      userAgent: req?.headers?.['user-agent'],
+      requestId: req?.requestId,
+    });
+  } catch (err) {
+    console.error(`❌ [AUDIT] Failed to record ${action}:`, err.message);
+    return null;
+  }
+};
+
+export { recordAudit, diffFields };
@@ -0,0 +1,251 @@
+/**
+ * Checkout Service
+ * Turns the buyer's Cart into one child Order per seller under a parent
+ * Checkout. Everything (repricing, stock reservation, orders, checkout, cart
+ * clearing) happens in one transaction, so a shortage at any seller leaves
+ * nothing behind. Payment is shared: one receipt covers every child order.
+ * Each child order carries its own delivery fee from that seller's location.
+ */
+
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import Checkout from '../models/Checkout.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import {
+  OrderInputError,
+  readRequestedItems,
+  priceLineItems,
+  buildSummary,
+  createOrderInTransaction,
+  applyVouchersInTransaction,
+} from './orderService.js';
+import { initialStatusHistory, transitionOrder, allowedTransitions } from './orderStateMachine.js';
+import { quoteSellerDeliveries, quoteSnapshot } from './deliveryFeeService.js';
+import { readVoucherCodes, productVoucherTargets, evaluateVouchers, describeVoucherResults } from './voucherService.js';
+
+const SUMMARY_FIELDS = ['subtotal', 'shippingFee', 'tax', 'discount', 'total'];
+
+class CheckoutError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const sumSummaries = (orders) => Object.fromEntries(
+  SUMMARY_FIELDS.map(field => [field, orders.reduce((sum, order) => sum + (order.summary?.[field] || 0), 0)])
+);
+
+/**
+ * Group cart lines by the seller of each product
+ * @param {Array} cartItems - Cart.items
+ * @returns {Promise<Map>} sellerId -> requested items
+ */
+const groupCartBySeller = async (cartItems) => {
+  const requested = readRequestedItems(cartItems.map(item => ({ productId: item.product, quantity: item.quantity })));
+  const products = await Product.find({ _id: { $in: requested.map(item => item.productId) } }).select('sellerId isActive name');
+  const sellerByProduct = new Map(products.map(product => [String(product._id), product]));
+
+  const groups = new Map();
+  requested.forEach((item) => {
+    const product = sellerByProduct.get(item.productId);
+    if (!product || !product.isActive) {
+      throw new OrderInputError('A product in your cart is no longer available', 'PRODUCT_UNAVAILABLE', 409, {
+        productId: item.productId,
+      });
+    }
+    const sellerId = String(product.sellerId);
+    if (!groups.has(sellerId)) groups.set(sellerId, []);
+    groups.get(sellerId).push(item);
+  });
+  return groups;
+};
+
+/**
+ * Delivery fee per seller in the buyer's cart, for showing before checkout
+ * @param {Object} user - Buyer (User document)
+ * @param {Object} shippingAddress - Canonical shipping address
+ * @returns {Promise<Object>} { sellers: [{ sellerId, quote }], shippingFee }
+ */
+const quoteCartDelivery = async (user, shippingAddress) => {
+  const cart = await Cart.findOne({ user: user._id });
+  if (!cart || cart.items.length === 0) {
+    throw new CheckoutError('Your cart is empty', 'EMPTY_CART', 400);
+  }
+
+  const groups = await groupCartBySeller(cart.items);
+  const quotes = await quoteSellerDeliveries([...groups.keys()], shippingAddress);
+  const sellers = [...quotes].map(([sellerId, quote]) => ({ sellerId, quote }));
+  return {
+    sellers,
+    shippingFee: sellers.reduce((sum, { quote }) => sum + quote.fee, 0),
+  };
+};
+
+/**
+ * Check voucher codes against the buyer's cart as checkout would price it
+ * @param {Object} user - Buyer (User document)
+ * @param {Object} input
+ * @param {string|Array} input.voucherCodes
+ * @param {Object} [input.shippingAddress] - Canonical shipping address, for delivery fees
+ * @returns {Promise<Object>} { vouchers, discount, summary }
+ */
+const previewCartVouchers = async (user, { voucherCodes, shippingAddress }) => {
+  const codes = readVoucherCodes(voucherCodes);
+  if (!codes.length) {
+    throw new CheckoutError('voucherCodes is required', 'VOUCHER_CODE_REQUIRED', 400);
+  }
+  const cart = await Cart.findOne({ user: user._id });
+  if (!cart || cart.items.length === 0) {
+    throw new CheckoutError('Your cart is empty', 'EMPTY_CART', 400);
+  }
+
+  const groups = await groupCartBySeller(cart.items);
+  const deliveryQuotes = await quoteSellerDeliveries([...groups.keys()], shippingAddress);
+  const previews = [];
+  for (const [sellerId, requested] of groups) {
+    const items = await priceLineItems(requested, { sellerId });
+    previews.push({ sellerId, items, summary: buildSummary(items, { shippingFee: deliveryQuotes.get(sellerId).fee }) });
+  }
+
+  const results = await evaluateVouchers(codes, await productVoucherTargets(previews), { userId: user._id });
+  const described = describeVoucherResults(results);
+  const summary = sumSummaries(previews);
+  summary.discount = described.discount;
+  summary.total = Math.max(summary.subtotal + summary.shippingFee + summary.tax - summary.discount, 0);
+  return { ...described, summary };
+};
+
+/**
+ * Check out the buyer's cart
+ * @param {Object} user - Buyer (User document)
+ * @param {Object} input
+ * @param {Object} [input.shippingAddress] - Canonical shipping address
+ * @param {string} [input.buyerName]
+ * @param {string} [input.notes]
+ * @param {string} [input.paymentMethod]
+ * @param {string} [input.paymentReceiptUrl] - Receipt for the whole checkout, if already paid
+ * @param {string|Array} [input.voucherCodes] - Promo codes, spread over the seller orders they apply to
+ * @param {boolean} [input.allowPartial] - Accept reduced quantities when stock is short
+ * @returns {Promise<Object>} { checkout, orders }
+ */
+const checkoutCart = async (user, input) => {
+  const cart = await Cart.findOne({ user: user._id });
+  if (!cart || cart.items.length === 0) {
+    throw new CheckoutError('Your cart is empty', 'EMPTY_CART', 400);
+  }
+
+  const voucherCodes = readVoucherCodes(input.voucherCodes);
+  const groups = await groupCartBySeller(cart.items);
+  const deliveryQuotes = await quoteSellerDeliveries([...groups.keys()], input.shippingAddress);
+  const initialStatus = input.paymentReceiptUrl ? 'payment_uploaded' : 'pending';
+
+  const session = await mongoose.startSession();
+  try {
+    let checkout;
+    let orders;
+    await session.withTransaction(async () => {
+      checkout = new Checkout({
+        userId: user._id,
+        buyerName: input.buyerName,
+        shippingAddress: input.shippingAddress,
+        notes: input.notes,
+        payment: {
+          method: input.paymentMethod,
+          receiptUrl: input.paymentReceiptUrl,
+          uploadedAt: input.paymentReceiptUrl ? new Date() : undefined,
+        },
+      });
+
+      orders = [];
+      for (const [sellerId, requested] of groups) {
+        const delivery = deliveryQuotes.get(sellerId);
+        orders.push(await createOrderInTransaction({
+          userId: user._id,
+          sellerId,
+          checkoutId: checkout._id,
+          status: initialStatus,
+          statusHistory: initialStatusHistory(initialStatus, 'buyer', user._id),
+          buyerName: input.buyerName,
+          shippingAddress: input.shippingAddress,
+          deliveryQuote: quoteSnapshot(delivery),
+          notes: input.notes,
+          payment: {
+            method: input.paymentMethod,
+            receiptUrl: input.paymentReceiptUrl,
+            status: input.paymentReceiptUrl ? 'pending_verification' : 'unpaid',
+          },
+        }, requested, {
+          session,
+          charges: { shippingFee: delivery.fee },
+          allowPartial: input.allowPartial,
+        }));
+      }
+
+      orders = await applyVouchersInTransaction(orders, voucherCodes, { session, checkoutId: checkout._id });
+      checkout.orders = orders.map(order => order._id);
+      checkout.summary = sumSummaries(orders);
+      await checkout.save({ session });
+      await Cart.updateOne({ _id: cart._id }, { $set: { items: [] } }, { session });
+    });
+
+    console.log(`🛒 [CHECKOUT] ${checkout.checkoutNumber} created with ${orders.length} seller order(s), total ${checkout.summary.total}`);
+    return { checkout, orders };
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Attach one payment receipt to every child order still waiting for payment
+ * @param {Object} checkout - Checkout document
+ * @param {Object} input - { receiptUrl, paymentMethod }
+ * @returns {Promise<Array>} Child orders after the update
+ */
+const submitCheckoutPayment = async (checkout, { receiptUrl, paymentMethod }) => {
+  if (!receiptUrl) {
+    throw new CheckoutError('receiptUrl is required', 'RECEIPT_REQUIRED', 400);
+  }
+
+  const orders = await Order.find({ _id: { $in: checkout.orders } });
+  const payable = orders.filter(order => allowedTransitions(order, 'buyer').includes('payment_uploaded'));
+  if (payable.length === 0) {
+    throw new CheckoutError('No order in this checkout is waiting for payment', 'NOTHING_TO_PAY', 409);
+  }
+
+  checkout.set('payment.receiptUrl', receiptUrl);
+  checkout.set('payment.uploadedAt', new Date());
+  if (paymentMethod) checkout.set('payment.method', paymentMethod);
+  await checkout.save();
+
+  const updated = [];
+  for (const order of orders) {
+    if (!payable.includes(order)) {
+      updated.push(order);
+      continue;
+    }
+    if (paymentMethod) {
+      order.set('payment.method', paymentMethod);
+      await order.save();
+    }
+    updated.push(await transitionOrder(order, 'payment_uploaded', {
+      actor: 'buyer',
+      actorId: checkout.userId,
+      receiptUrl,
+      notes: `Checkout ${checkout.checkoutNumber}`,
+    }));
+  }
+  return updated;
+};
+
+export {
+  CheckoutError,
+  quoteCartDelivery,
+  previewCartVouchers,
+  checkoutCart,
+  submitCheckoutPayment,
+};
@@ -0,0 +1,69 @@
+/**
+ * Counter Service
+ * Sequences backed by the counters collection. Each call atomically increments
+ * one named sequence, so concurrent callers never get the same value. Document
+ * references (order, checkout, return, laundry and invoice numbers) are drawn
+ * from per-prefix sequences that restart every calendar year, optionally per
+ * seller.
+ */
+
+import Counter from '../models/Counter.js';
+
+// Years roll over at midnight Philippine time, not UTC
+const REFERENCE_TIME_ZONE = 'Asia/Manila';
+
+/**
+ * Next value of a named sequence (the first call returns 1)
+ * @param {string} key - Sequence name
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Mongo session, so an aborted transaction gives the number back
+ * @returns {Promise<number>}
+ */
+const nextSequence = async (key, { session } = {}) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const referenceYear = (date) =>
+  Number(new Intl.DateTimeFormat('en-US', { year: 'numeric', timeZone: REFERENCE_TIME_ZONE }).format(date));
+
+/**
+ * Counter key for a prefix, year and optional scope, e.g. 'ORD:2026' or 'INV:2026:<sellerId>'
+ */
+const referenceKey = (prefix, year, scope) => [prefix, year, scope].filter(Boolean).map(String).join(':');
+
+/**
+ * Next human-readable reference, e.g. nextReference('ORD', { lead: '#' }) -> '#ORD-2026-000042'
+ * @param {string} prefix - Document type: ORD, CHK, RET, LND, INV
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Separate sequence per owner (e.g. sellerId)
+ * @param {string} [options.lead=''] - Text before the prefix ('#' for order-style references)
+ * @param {number} [options.pad=6] - Minimum digits
+ * @param {Date} [options.date=now] - Date whose year the number belongs to
+ * @param {Object} [options.session] - Only pass for gap-free numbering (the counter is then locked until the transaction ends)
+ * @returns {Promise<string>}
+ */
+const nextReference = async (prefix, { scope, lead = '', pad = 6, date = new Date(), session } = {}) => {
+  const year = referenceYear(date);
+  const seq = await nextSequence(referenceKey(prefix, year, scope), { session });
+  return `${lead}${prefix}-${year}-${String(seq).padStart(pad, '0')}`;
+};
+
+/**
+ * Raise a sequence to at least `value` (used to seed counters from existing data)
+ * @param {string} key
+ * @param {number} value
+ */
+const raiseSequence = (key, value) =>
+  Counter.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+
+export {
+  nextSequence,
+  referenceKey,
+  nextReference,
+  raiseSequence,
+};
@@ -0,0 +1,250 @@
+/**
+ * Delivery Fee Service
+ * Prices delivery from the straight-line (haversine) distance between the
+ * seller or laundry shop and the buyer's address: a base fare plus a per-km
+ * rate, scaled by any surge multiplier in effect and floored at a minimum.
+ * When either end has no coordinates the flat fallback fee is charged and the
+ * quote is marked as estimated.
+ */
+
+import mongoose from 'mongoose';
+import Seller from '../models/Seller.js';
+
+const DELIVERY_BASE_FARE = parseFloat(process.env.DELIVERY_BASE_FARE || '40');
+const DELIVERY_PER_KM_RATE = parseFloat(process.env.DELIVERY_PER_KM_RATE || '10');
+const DELIVERY_MIN_FEE = parseFloat(process.env.DELIVERY_MIN_FEE || '50');
+// 0 disables the distance limit
+const DELIVERY_MAX_DISTANCE_KM = parseFloat(process.env.DELIVERY_MAX_DISTANCE_KM || '30');
+const DELIVERY_FALLBACK_FEE = parseFloat(process.env.DELIVERY_FALLBACK_FEE || '60');
+// Applies to every quote, e.g. raised by ops during heavy rain
+const DELIVERY_SURGE_MULTIPLIER = parseFloat(process.env.DELIVERY_SURGE_MULTIPLIER || '1');
+// Peak hours in Manila time, e.g. "11:00-13:00@1.2,17:00-20:00@1.3"
+const DELIVERY_SURGE_WINDOWS = process.env.DELIVERY_SURGE_WINDOWS || '';
+
+const SURGE_TIME_ZONE = 'Asia/Manila';
+const EARTH_RADIUS_KM = 6371;
+
+class DeliveryFeeError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'DeliveryFeeError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Malformed entries are dropped with a warning rather than failing startup
+const parseSurgeWindows = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const match = entry.match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})@(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      console.warn(`⚠️ [DELIVERY] Ignoring malformed surge window "${entry}"`);
+      return null;
+    }
+    return { start: toMinutes(match[1]), end: toMinutes(match[2]), multiplier: Number(match[3]), label: `${match[1]}-${match[2]}` };
+  })
+  .filter(Boolean);
+
+const SURGE_WINDOWS = parseSurgeWindows(DELIVERY_SURGE_WINDOWS);
+
+/**
+ * Read a point from any of the coordinate shapes stored in the app: GeoJSON
+ * ({ type: 'Point', coordinates: [lng, lat] }), { lat, lng } or
+ * { latitude, longitude }
+ * @param {Object} value
+ * @returns {Object|null} { lat, lng }
+ */
+const toLatLng = (value) => {
+  if (!value) return null;
+  const [lng, lat] = Array.isArray(value.coordinates)
+    ? value.coordinates
+    : [value.lng ?? value.longitude, value.lat ?? value.latitude];
+  if (lat == null || lng == null || lat === '' || lng === '') return null;
+  const point = { lat: Number(lat), lng: Number(lng) };
+  if (!Number.isFinite(point.lat) || !Number.isFinite(point.lng)) return null;
+  if (Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) return null;
+  return point;
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Kilometres
+ */
+const haversineKm = (from, to) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLng = rad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Surge multiplier at a moment: the highest of the global multiplier and any
+ * peak window it falls in
+ * @param {Date} [at]
+ * @returns {Object} { multiplier, window }
+ */
+const surgeAt = (at = new Date()) => {
+  const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: SURGE_TIME_ZONE,
+  }).format(at).split(':').map(Number);
+  const now = hours * 60 + minutes;
+
+  return SURGE_WINDOWS.reduce((best, window) => {
+    // Windows may wrap past midnight, e.g. 22:00-02:00
+    const inWindow = window.start <= window.end
+      ? now >= window.start && now < window.end
+      : now >= window.start || now < window.end;
+    return inWindow && window.multiplier > best.multiplier ? { multiplier: window.multiplier, window: window.label } : best;
+  }, { multiplier: Math.max(DELIVERY_SURGE_MULTIPLIER, 1), window: null });
+};
+
+/**
+ * Current rate card, for clients that show how fees are worked out
+ * @param {Date} [at]
+ * @returns {Object}
+ */
+const getRateCard = (at = new Date()) => ({
+  baseFare: DELIVERY_BASE_FARE,
+  perKmRate: DELIVERY_PER_KM_RATE,
+  minimumFee: DELIVERY_MIN_FEE,
+  fallbackFee: DELIVERY_FALLBACK_FEE,
+  maxDistanceKm: DELIVERY_MAX_DISTANCE_KM || null,
+  surge: surgeAt(at),
+  surgeWindows: SURGE_WINDOWS.map(({ label, multiplier }) => ({ window: label, multiplier })),
+});
+
+/**
+ * Price one delivery leg
+ * @param {Object} origin - Pickup point (any shape toLatLng reads)
+ * @param {Object} destination - Drop-off point (any shape toLatLng reads)
+ * @param {Object} [options]
+ * @param {Date} [options.at] - When the delivery is priced, for surge windows
+ * @param {number} [options.maxDistanceKm] - Override the distance limit (e.g. a shop's service radius)
+ * @returns {Object} { fee, distanceKm, baseFare, perKmRate, distanceCharge, surgeMultiplier, surgeWindow, minimumFee, estimated }
+ */
+const quoteDeliveryFee = (origin, destination, { at = new Date(), maxDistanceKm = DELIVERY_MAX_DISTANCE_KM } = {}) => {
+  const from = toLatLng(origin);
+  const to = toLatLng(destination);
+  const surge = surgeAt(at);
+
+  if (!from || !to) {
+    return {
+      fee: DELIVERY_FALLBACK_FEE,
+      distanceKm: null,
+      surgeMultiplier: 1,
+      surgeWindow: null,
+      estimated: true,
+      reason: from ? 'DESTINATION_COORDINATES_MISSING' : 'ORIGIN_COORDINATES_MISSING',
+    };
+  }
+
+  const distanceKm = Math.round(haversineKm(from, to) * 100) / 100;
+  if (maxDistanceKm && distanceKm > maxDistanceKm) {
+    throw new DeliveryFeeError(`The delivery address is ${distanceKm} km away, beyond the ${maxDistanceKm} km delivery range`, 'OUT_OF_DELIVERY_RANGE', 422, {
+      distanceKm,
+      maxDistanceKm,
+    });
+  }
+
+  const distanceCharge = DELIVERY_PER_KM_RATE * distanceKm;
+  // Whole pesos, rounded up
+  const fee = Math.max(Math.ceil((DELIVERY_BASE_FARE + distanceCharge) * surge.multiplier), DELIVERY_MIN_FEE);
+
+  return {
+    fee,
+    distanceKm,
+    baseFare: DELIVERY_BASE_FARE,
+    perKmRate: DELIVERY_PER_KM_RATE,
+    distanceCharge: Math.round(distanceCharge * 100) / 100,
+    surgeMultiplier: surge.multiplier,
+    surgeWindow: surge.window,
+    minimumFee: DELIVERY_MIN_FEE,
+    estimated: false,
+  };
+};
+
+/**
+ * Price delivery from several sellers to one address, loading the sellers in one query
+ * @param {Array<string>} sellerIds
+ * @param {Object} destination - Shipping address with lat/lng
+ * @param {Object} [options] - Passed to quoteDeliveryFee
+ * @returns {Promise<Map>} sellerId -> quote
+ */
+const quoteSellerDeliveries = async (sellerIds, destination, options = {}) => {
+  const ids = sellerIds.map(String).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const sellers = await Seller.find({ _id: { $in: ids } }).select('location').lean();
+  const locationBySeller = new Map(sellers.map(seller => [String(seller._id), seller.location]));
+  return new Map(ids.map(id => [id, quoteDeliveryFee(locationBySeller.get(id), destination, options)]));
+};
+
+/**
+ * Price delivery from one seller to an address
+ * @param {string} sellerId
+ * @param {Object} destination - Shipping address with lat/lng
+ * @param {Object} [options] - Passed to quoteDeliveryFee
+ * @returns {Promise<Object>} Quote
+ */
+const quoteSellerDelivery = async (sellerId, destination, options = {}) =>
+  (await quoteSellerDeliveries([sellerId], destination, options)).get(String(sellerId))
+    || quoteDeliveryFee(null, destination, options);
+
+/**
+ * Price a laundry order's pickup leg and optional return delivery. Both legs
+ * run between the shop and the customer and must fall within the shop's
+ * service radius.
+ * @param {Object} shop - LaundryShop document
+ * @param {Object} input
+ * @param {Object} input.pickup - { coordinates: { latitude, longitude } }
+ * @param {Object} [input.delivery] - Same shape; omitted when the customer collects
+ * @param {Date} [input.at]
+ * @returns {Object} { pickupFee, deliveryFee, pickup, delivery }
+ */
+const quoteLaundryFees = (shop, { pickup, delivery, at = new Date() }) => {
+  const origin = shop.location?.coordinates;
+  const options = { at, maxDistanceKm: shop.location?.serviceRadius || DELIVERY_MAX_DISTANCE_KM };
+  const pickupQuote = quoteDeliveryFee(origin, pickup?.coordinates, options);
+  const deliveryQuote = delivery ? quoteDeliveryFee(origin, delivery.coordinates || pickup?.coordinates, options) : null;
+  return {
+    pickupFee: pickupQuote.fee,
+    deliveryFee: deliveryQuote?.fee || 0,
+    pickup: pickupQuote,
+    delivery: deliveryQuote,
+  };
+};
+
+/**
+ * Fields of a quote kept on the order, so the fee can be explained later
+ * @param {Object} quote
+ * @returns {Object}
+ */
+const quoteSnapshot = (quote) => ({
+  distanceKm: quote.distanceKm,
+  surgeMultiplier: quote.surgeMultiplier,
+  estimated: quote.estimated,
+  quotedAt: new Date(),
+});
+
+export {
+  DeliveryFeeError,
+  toLatLng,
+  haversineKm,
+  surgeAt,
+  getRateCard,
+  quoteDeliveryFee,
+  quoteSellerDeliveries,
+  quoteSellerDelivery,
+  quoteLaundryFees,
+  quoteSnapshot,
+};
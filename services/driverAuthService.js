@@ -0,0 +1,149 @@
+/**
+ * Driver Auth Service
+ * Password hashing and verification for driver accounts, with failed-attempt
+ * lockout and on-the-fly migration of legacy plain-text passwords.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import Driver from '../models/Driver.js';
+import { recordAudit } from './auditService.js';
+
+const DRIVER_MAX_LOGIN_ATTEMPTS = parseInt(process.env.DRIVER_MAX_LOGIN_ATTEMPTS || '5', 10);
+const DRIVER_LOCK_MINUTES = parseInt(process.env.DRIVER_LOCK_MINUTES || '15', 10);
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
+
+class DriverAuthError extends Error {
+  constructor(message, code, status, details = {}) {
+    super(message);
+    this.name = 'DriverAuthError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isValidDriverPassword = (password) =>
+  typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH;
+
+const hashDriverPassword = (password) => bcrypt.hash(password, 10);
+
+// Constant-time comparison for legacy plain-text passwords
+const legacyPasswordMatches = (stored, entered) => {
+  const a = Buffer.from(String(stored));
+  const b = Buffer.from(String(entered));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Lock the account once the attempt count reaches the limit. Only the request
+// that takes the lock audits it; the others get the unlock time already set.
+const lockDriver = async (driver, req) => {
+  const unlockAt = new Date(Date.now() + DRIVER_LOCK_MINUTES * 60 * 1000);
+  const locked = await Driver.findOneAndUpdate(
+    { _id: driver._id, failedLoginAttempts: { $gte: DRIVER_MAX_LOGIN_ATTEMPTS } },
+    { $set: { lockedUntil: unlockAt, failedLoginAttempts: 0 } },
+    { projection: { _id: 1 } }
+  );
+  if (!locked) {
+    const current = await Driver.findById(driver._id).select('lockedUntil').lean();
+    return current?.lockedUntil;
+  }
+
+  await recordAudit(req, {
+    action: 'driver.login_lockout',
+    target: { type: 'Driver', id: driver._id },
+    metadata: { failedAttempts: DRIVER_MAX_LOGIN_ATTEMPTS, unlockAt },
+  });
+  return unlockAt;
+};
+
+/**
+ * Check a driver's password. Each attempt is counted atomically before the
+ * password is compared, so parallel guesses cannot get past
+ * DRIVER_MAX_LOGIN_ATTEMPTS; the attempt that reaches it locks the account
+ * (audited). A correct legacy plain-text password is hashed in place. On
+ * success the counters are reset. The driver must be loaded with `+password`.
+ * @param {Object} driver - Driver document
+ * @param {string} password - Entered password
+ * @param {Object} [req] - Request, for the audit entry
+ */
+const verifyDriverPassword = async (driver, password, req) => {
+  const attempt = await Driver.findOneAndUpdate(
+    {
+      _id: driver._id,
+      failedLoginAttempts: { $not: { $gte: DRIVER_MAX_LOGIN_ATTEMPTS } },
+      lockedUntil: { $not: { $gt: new Date() } },
+    },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  if (!attempt) {
+    throw new DriverAuthError('Account temporarily locked. Please try again later.', 'ACCOUNT_LOCKED', 423, {
+      unlockAt: await lockDriver(driver, req),
+    });
+  }
+
+  let isValid = false;
+  if (driver.passwordHash) {
+    isValid = await bcrypt.compare(String(password), driver.passwordHash);
+  } else if (driver.password) {
+    isValid = legacyPasswordMatches(driver.password, password);
+    if (isValid) {
+      driver.passwordHash = await hashDriverPassword(String(password));
+      driver.passwordSetAt = new Date();
+      driver.password = undefined;
+    }
+  }
+
+  if (!isValid) {
+    if (attempt.failedLoginAttempts >= DRIVER_MAX_LOGIN_ATTEMPTS) {
+      const unlockAt = await lockDriver(driver, req);
+      throw new DriverAuthError('Account locked due to too many failed attempts', 'ACCOUNT_LOCKED', 423, { unlockAt });
+    }
+    throw new DriverAuthError('Invalid email or password', 'INVALID_CREDENTIALS', 401);
+  }
+
+  await Driver.updateOne({ _id: driver._id }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+  driver.failedLoginAttempts = 0;
+  driver.lockedUntil = null;
+};
+
+/**
+ * Set a new password on the document (caller saves). Clears the lockout and
+ * any legacy plain-text password.
+ * @param {Object} driver - Driver document
+ * @param {string} newPassword - New password (already validated)
+ */
+const setDriverPassword = async (driver, newPassword) => {
+  driver.passwordHash = await hashDriverPassword(newPassword);
+  driver.passwordSetAt = new Date();
+  driver.password = undefined;
+  driver.failedLoginAttempts = 0;
+  driver.lockedUntil = null;
+};
+
+/**
+ * Public view of a driver (no credential or session data)
+ */
+const serializeDriver = (driver) => ({
+  _id: driver._id,
+  email: driver.email,
+  firstName: driver.firstName,
+  lastName: driver.lastName,
+  phone: driver.phone,
+  vehicleType: driver.vehicleType,
+  plateNumber: driver.plateNumber,
+  licenseNumber: driver.licenseNumber,
+  status: driver.status,
+  lastLoginAt: driver.lastLoginAt,
+});
+
+export {
+  DriverAuthError,
+  PASSWORD_MIN_LENGTH,
+  isValidDriverPassword,
+  hashDriverPassword,
+  verifyDriverPassword,
+  setDriverPassword,
+  serializeDriver,
+};
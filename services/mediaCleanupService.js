@@ -0,0 +1,305 @@
+/**
+ * Media Cleanup Service
+ * Keeps Cloudinary in step with the database. Ready photos are destroyed once
+ * their scheduledForDeletion date passes, and assets under the app's upload
+ * folders that no document references are quarantined, then destroyed if they
+ * are still unreferenced when the quarantine period ends. Every pass can run as
+ * a dry run that only reports what would be removed.
+ */
+
+import cloudinary from '../config/cloudinary.js';
+import Order from '../models/Order.js';
+import Checkout from '../models/Checkout.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import Message from '../models/Message.js';
+import Product from '../models/Product.js';
+import AddOn from '../models/AddOn.js';
+import Seller from '../models/Seller.js';
+import Store from '../models/Store.js';
+import Banner from '../models/Banner.js';
+import Receipt from '../models/Receipt.js';
+import ReceiptPhoto from '../models/ReceiptPhoto.js';
+import Photo from '../models/Photo.js';
+import Review from '../models/Review.js';
+import OrphanedAsset from '../models/OrphanedAsset.js';
+import { LaundryShop, LaundryOrder } from '../models/LaundryModels.js';
+import { recordAudit } from './auditService.js';
+
+const MEDIA_CLEANUP_SWEEP_MINUTES = parseInt(process.env.MEDIA_CLEANUP_SWEEP_MINUTES || '60', 10);
+const MEDIA_ORPHAN_SWEEP_HOURS = parseInt(process.env.MEDIA_ORPHAN_SWEEP_HOURS || '24', 10);
+const MEDIA_ORPHAN_QUARANTINE_DAYS = parseInt(process.env.MEDIA_ORPHAN_QUARANTINE_DAYS || '7', 10);
+// Only assets under these folders are ours to reconcile
+const MEDIA_MANAGED_PREFIXES = (process.env.MEDIA_MANAGED_PREFIXES || 'sooki/,payment_receipts/')
+  .split(',')
+  .map(prefix => prefix.trim())
+  .filter(Boolean);
+
+const BATCH_SIZE = 100;
+const LIST_PAGE_SIZE = 500;
+
+// Collections whose documents may point at Cloudinary assets. Whole documents are
+// scanned so a new image field is covered without touching this list.
+const REFERENCE_SOURCES = [
+  Order,
+  Checkout,
+  ReturnRequest,
+  Message,
+  Product,
+  AddOn,
+  Seller,
+  Store,
+  Banner,
+  Receipt,
+  ReceiptPhoto,
+  Photo,
+  Review,
+  LaundryShop,
+  LaundryOrder,
+];
+
+// Fields that hold a bare public ID rather than a URL
+const PUBLIC_ID_FIELDS = ['publicId', 'cloudinaryId'];
+
+const isCloudinaryConfigured = () =>
+  Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+
+/**
+ * Public ID of a Cloudinary delivery URL, e.g.
+ * https://res.cloudinary.com/demo/image/upload/v1712/sooki/products/shoe.webp -> sooki/products/shoe
+ * @param {string} url
+ * @returns {string|null}
+ */
+const publicIdFromUrl = (url) => {
+  if (!url.includes('res.cloudinary.com/')) return null;
+  const path = url.split(/[?#]/)[0].split('/upload/')[1];
+  if (!path) return null;
+
+  const segments = path.split('/');
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  const idSegments = versionIndex >= 0 ? segments.slice(versionIndex + 1) : segments;
+  try {
+    return decodeURIComponent(idSegments.join('/').replace(/\.[a-z0-9]+$/i, ''));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Collect public IDs referenced anywhere in a document
+ */
+const collectReferences = (value, ids, key = null) => {
+  if (typeof value === 'string') {
+    if (key && PUBLIC_ID_FIELDS.includes(key)) ids.add(value);
+    const fromUrl = publicIdFromUrl(value);
+    if (fromUrl) ids.add(fromUrl);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, ids));
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    Object.entries(value).forEach(([childKey, child]) => collectReferences(child, ids, childKey));
+  }
+  return ids;
+};
+
+/**
+ * Every public ID the database currently references
+ * @returns {Promise<Set<string>>}
+ */
+const findReferencedPublicIds = async () => {
+  const ids = new Set();
+  for (const Model of REFERENCE_SOURCES) {
+    for await (const doc of Model.find({}).lean().cursor()) {
+      collectReferences(doc, ids);
+    }
+  }
+  return ids;
+};
+
+/**
+ * Every image under the managed folders
+ * @returns {Promise<Object[]>} Cloudinary resources
+ */
+const listManagedAssets = async () => {
+  const assets = [];
+  for (const prefix of MEDIA_MANAGED_PREFIXES) {
+    let nextCursor;
+    do {
+      const page = await cloudinary.api.resources({
+        type: 'upload',
+        resource_type: 'image',
+        prefix,
+        max_results: LIST_PAGE_SIZE,
+        next_cursor: nextCursor,
+      });
+      assets.push(...page.resources);
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+  }
+  return assets;
+};
+
+/**
+ * Destroy ready photos whose scheduledForDeletion has passed and clear them from
+ * their orders
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report
+ * @returns {Promise<Object[]>} The photos removed (or that would be)
+ */
+const expireReadyPhotos = async ({ dryRun = false } = {}) => {
+  const orders = await Order.find({
+    'readyPhoto.publicId': { $exists: true, $ne: null },
+    'readyPhoto.scheduledForDeletion': { $lte: new Date() },
+  })
+    .select('orderNumber readyPhoto')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  const removed = [];
+  for (const order of orders) {
+    const entry = {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      publicId: order.readyPhoto.publicId,
+      scheduledForDeletion: order.readyPhoto.scheduledForDeletion,
+    };
+
+    if (!dryRun) {
+      try {
+        await cloudinary.uploader.destroy(order.readyPhoto.publicId);
+      } catch (err) {
+        console.error(`❌ [MEDIA] Could not destroy ready photo ${order.readyPhoto.publicId}:`, err.message);
+        continue;
+      }
+      // Leave the order alone if the seller uploaded a new photo in the meantime
+      await Order.updateOne(
+        { _id: order._id, 'readyPhoto.publicId': order.readyPhoto.publicId },
+        { $unset: { readyPhoto: '' } }
+      );
+    }
+    removed.push(entry);
+  }
+
+  if (removed.length && !dryRun) {
+    console.log(`🗑️ [MEDIA] Removed ${removed.length} expired ready photo${removed.length === 1 ? '' : 's'}`);
+  }
+  return removed;
+};
+
+/**
+ * Quarantine unreferenced assets, release ones referenced again, and destroy
+ * those that stayed unreferenced for MEDIA_ORPHAN_QUARANTINE_DAYS
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report
+ * @returns {Promise<Object>} { skipped?, scanned, quarantined, released, deleted }
+ */
+const reconcileOrphanedAssets = async ({ dryRun = false } = {}) => {
+  if (!isCloudinaryConfigured()) {
+    return { skipped: 'Cloudinary credentials are not configured', scanned: 0, quarantined: [], released: [], deleted: [] };
+  }
+
+  // List before scanning so an asset uploaded mid-pass is never seen without its document
+  const assets = await listManagedAssets();
+  const referenced = await findReferencedPublicIds();
+  const now = new Date();
+  const quarantineCutoff = new Date(now.getTime() - MEDIA_ORPHAN_QUARANTINE_DAYS * 24 * 60 * 60 * 1000);
+
+  const orphans = assets.filter(asset => !referenced.has(asset.public_id));
+  const orphanIds = new Set(orphans.map(asset => asset.public_id));
+  const held = await OrphanedAsset.find({}).lean();
+  const heldById = new Map(held.map(record => [record.publicId, record]));
+
+  const quarantined = orphans
+    .filter(asset => !heldById.has(asset.public_id))
+    .map(asset => ({ publicId: asset.public_id, url: asset.secure_url, bytes: asset.bytes, createdAt: asset.created_at }));
+  // Referenced again, or already gone from Cloudinary
+  const released = held.filter(record => !orphanIds.has(record.publicId)).map(record => record.publicId);
+  const due = held
+    .filter(record => orphanIds.has(record.publicId) && record.firstSeenAt <= quarantineCutoff)
+    .slice(0, BATCH_SIZE)
+    .map(record => ({ publicId: record.publicId, url: record.url, bytes: record.bytes, firstSeenAt: record.firstSeenAt }));
+
+  if (dryRun) {
+    return { scanned: assets.length, quarantined, released, deleted: due };
+  }
+
+  if (quarantined.length) {
+    await OrphanedAsset.insertMany(
+      quarantined.map(asset => ({
+        publicId: asset.publicId,
+        url: asset.url,
+        bytes: asset.bytes,
+        assetCreatedAt: asset.createdAt,
+        firstSeenAt: now,
+        lastSeenAt: now,
+      })),
+      { ordered: false }
+    );
+  }
+  await OrphanedAsset.updateMany(
+    { publicId: { $in: [...orphanIds].filter(id => heldById.has(id)) } },
+    { $set: { lastSeenAt: now } }
+  );
+  if (released.length) {
+    await OrphanedAsset.deleteMany({ publicId: { $in: released } });
+  }
+
+  const deleted = [];
+  if (due.length) {
+    const result = await cloudinary.api.delete_resources(due.map(asset => asset.publicId));
+    for (const asset of due) {
+      const outcome = result.deleted?.[asset.publicId];
+      if (outcome === 'deleted' || outcome === 'not_found') deleted.push(asset);
+    }
+    await OrphanedAsset.deleteMany({ publicId: { $in: deleted.map(asset => asset.publicId) } });
+
+    await recordAudit(null, {
+      action: 'media.orphans_deleted',
+      target: { type: 'Cloudinary' },
+      metadata: {
+        count: deleted.length,
+        bytes: deleted.reduce((sum, asset) => sum + (asset.bytes || 0), 0),
+        publicIds: deleted.map(asset => asset.publicId),
+      },
+      actor: { kind: 'system' },
+    });
+  }
+
+  console.log(`🧹 [MEDIA] Orphan pass: ${assets.length} scanned, ${quarantined.length} quarantined, ${released.length} released, ${deleted.length} deleted`);
+  return { scanned: assets.length, quarantined, released, deleted };
+};
+
+/**
+ * Run both passes
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would be removed
+ * @param {boolean} [options.orphans=true] - Include the Cloudinary orphan pass (uses the Admin API)
+ * @returns {Promise<Object>} Report
+ */
+const runMediaCleanup = async ({ dryRun = false, orphans = true } = {}) => ({
+  dryRun,
+  readyPhotos: await expireReadyPhotos({ dryRun }),
+  orphans: orphans ? await reconcileOrphanedAssets({ dryRun }) : null,
+});
+
+/**
+ * Expire ready photos every MEDIA_CLEANUP_SWEEP_MINUTES and reconcile orphans
+ * every MEDIA_ORPHAN_SWEEP_HOURS (the Cloudinary Admin API is rate limited)
+ * @returns {Object[]} Interval handles
+ */
+const startMediaCleanupScheduler = () => {
+  const photoSweep = () => expireReadyPhotos().catch(err => console.error('❌ Ready photo cleanup failed:', err));
+  const orphanSweep = () => reconcileOrphanedAssets().catch(err => console.error('❌ Orphaned media cleanup failed:', err));
+  photoSweep();
+  return [
+    setInterval(photoSweep, MEDIA_CLEANUP_SWEEP_MINUTES * 60 * 1000),
+    setInterval(orphanSweep, MEDIA_ORPHAN_SWEEP_HOURS * 60 * 60 * 1000),
+  ];
+};
+
+export {
+  MEDIA_ORPHAN_QUARANTINE_DAYS,
+  publicIdFromUrl,
+  expireReadyPhotos,
+  reconcileOrphanedAssets,
+  runMediaCleanup,
+  startMediaCleanupScheduler,
+};
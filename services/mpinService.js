@@ -0,0 +1,153 @@
+/**
+ * MPIN Service
+ * Shared MPIN verification (with failed-attempt lockout) and MPIN updates,
+ * including migration of legacy pinHash accounts, plus password-or-MPIN
+ * re-authentication for sensitive account changes.
+ */
+
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { recordAudit } from './auditService.js';
+
+const MPIN_MAX_ATTEMPTS = parseInt(process.env.MPIN_MAX_ATTEMPTS || '5', 10);
+const MPIN_LOCK_MINUTES = parseInt(process.env.MPIN_LOCK_MINUTES || '15', 10);
+
+const MPIN_PATTERN = /^\d{4}$/;
+
+class MpinError extends Error {
+  constructor(message, code, status, details = {}) {
+    super(message);
+    this.name = 'MpinError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isValidMpinFormat = (mpin) => MPIN_PATTERN.test(String(mpin || ''));
+
+// Lock the MPIN once its attempt count reaches the limit. Only the request that
+// takes the lock audits it; the others get the unlock time already set.
+const lockMpin = async (user, req) => {
+  const unlockAt = new Date(Date.now() + MPIN_LOCK_MINUTES * 60 * 1000);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, mpinFailedAttempts: { $gte: MPIN_MAX_ATTEMPTS } },
+    { $set: { mpinLockedUntil: unlockAt, mpinFailedAttempts: 0, lastFailedMpinAt: new Date() } },
+    { projection: { _id: 1 } }
+  );
+  if (!locked) {
+    const current = await User.findById(user._id).select('mpinLockedUntil').lean();
+    return current?.mpinLockedUntil;
+  }
+
+  await recordAudit(req, {
+    action: 'auth.mpin_lockout',
+    target: { type: 'User', id: user._id },
+    metadata: { failedAttempts: MPIN_MAX_ATTEMPTS, unlockAt },
+  });
+  return unlockAt;
+};
+
+/**
+ * Check an MPIN against the user's stored hash. Each attempt is counted
+ * atomically before the hash is compared, so parallel guesses cannot get past
+ * MPIN_MAX_ATTEMPTS; the attempt that reaches it locks the MPIN (audited). On
+ * success the counters are reset.
+ * @param {Object} user - User document
+ * @param {string} mpin - Entered MPIN
+ * @param {Object} [req] - Request, for the audit entry
+ */
+const verifyMpin = async (user, mpin, req) => {
+  const mpinHash = user.mpinHash || user.pinHash;
+  if (!mpinHash) {
+    throw new MpinError('MPIN not set for this account', 'MPIN_NOT_SET', 409);
+  }
+
+  const now = new Date();
+  const attempt = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      mpinFailedAttempts: { $not: { $gte: MPIN_MAX_ATTEMPTS } },
+      mpinLockedUntil: { $not: { $gt: now } },
+    },
+    { $inc: { mpinFailedAttempts: 1 } },
+    { new: true, projection: { mpinFailedAttempts: 1 } }
+  );
+  if (!attempt) {
+    throw new MpinError('MPIN temporarily locked. Please try again later.', 'MPIN_LOCKED', 423, {
+      unlockAt: await lockMpin(user, req),
+    });
+  }
+
+  const isValidMpin = await bcrypt.compare(String(mpin), mpinHash);
+  if (!isValidMpin) {
+    if (attempt.mpinFailedAttempts >= MPIN_MAX_ATTEMPTS) {
+      const unlockAt = await lockMpin(user, req);
+      throw new MpinError('MPIN locked due to too many failed attempts', 'MPIN_LOCKED', 423, { unlockAt });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { lastFailedMpinAt: now } });
+    throw new MpinError('Invalid MPIN', 'MPIN_INVALID', 401, {
+      remainingAttempts: MPIN_MAX_ATTEMPTS - attempt.mpinFailedAttempts,
+    });
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { mpinFailedAttempts: 0, mpinLockedUntil: null } });
+
+  // Promote legacy pinHash on first successful use
+  if (!user.mpinHash && user.pinHash) {
+    user.mpinHash = mpinHash;
+    user.mpinSetAt = new Date();
+  }
+
+  user.mpinFailedAttempts = 0;
+  user.mpinLockedUntil = null;
+};
+
+/**
+ * Set a new MPIN on the document (caller saves). Clears the lockout and
+ * drops the legacy pinHash so the account is fully on mpinHash.
+ * @param {Object} user - User document
+ * @param {string} newMpin - New 4-digit MPIN
+ */
+const setMpin = async (user, newMpin) => {
+  user.mpinHash = await bcrypt.hash(String(newMpin), 10);
+  user.mpinSetAt = new Date();
+  user.mpinFailedAttempts = 0;
+  user.mpinLockedUntil = null;
+  user.pinHash = undefined;
+  user.pinSetAt = undefined;
+  if (user.securityMethod !== 'biometric') {
+    user.securityMethod = 'mpin';
+  }
+};
+
+/**
+ * Re-authenticate a signed-in user with a credential they already have before a
+ * sensitive account change (sign-in methods, account deletion).
+ * @param {Object} req - Request, for the MPIN lockout audit entry
+ * @param {Object} user - User document
+ * @param {Object} credentials - { currentPassword, mpin }
+ * @returns {Promise<Object|null>} { status, body } error response, or null when confirmed
+ */
+const confirmCurrentCredential = async (req, user, { currentPassword, mpin }) => {
+  if (currentPassword && user.passwordHash) {
+    const valid = await bcrypt.compare(currentPassword, user.passwordHash);
+    return valid ? null : { status: 401, body: { success: false, message: 'Current password is incorrect' } };
+  }
+
+  if (mpin) {
+    try {
+      await verifyMpin(user, mpin, req);
+      await user.save();
+      return null;
+    } catch (err) {
+      if (err.name !== 'MpinError') throw err;
+      return { status: err.status, body: { success: false, message: err.message, code: err.code, ...err.details } };
+    }
+  }
+
+  return { status: 400, body: { success: false, message: 'Current password or MPIN is required' } };
+};
+
+export { MpinError, isValidMpinFormat, verifyMpin, setMpin, confirmCurrentCredential };
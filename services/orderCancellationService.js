@@ -0,0 +1,130 @@
+/**
+ * Order Cancellation Service
+ * Cancels a product order and undoes what checkout did: the status move,
+ * the stock reservation, voucher redemptions and (for paid orders) a refund
+ * record are written in one transaction. The other party is notified afterwards.
+ *
+ * Policy (enforced by the state machine): buyers may cancel until the order
+ * enters processing; sellers may cancel until it ships, with a reason code.
+ */
+
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Refund from '../models/Refund.js';
+import { transitionOrder } from './orderStateMachine.js';
+import { notifyBuyerOfOrder, notifySellerOfOrder } from './orderNotificationService.js';
+import { recordAudit } from './auditService.js';
+import { reverseVoucherRedemptions } from './voucherService.js';
+
+const BUYER_CANCELLATION_REASONS = ['changed_mind', 'ordered_by_mistake', 'found_better_price', 'delivery_too_slow', 'other'];
+const SELLER_CANCELLATION_REASONS = ['out_of_stock', 'unable_to_fulfill', 'buyer_request', 'suspected_fraud', 'payment_issue', 'other'];
+
+class CancellationError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'CancellationError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const validateReason = (actor, reasonCode, reason) => {
+  const codes = actor === 'buyer' ? BUYER_CANCELLATION_REASONS : actor === 'seller' ? SELLER_CANCELLATION_REASONS : null;
+  if (!codes) return;
+  if (actor === 'seller' && !reasonCode) {
+    throw new CancellationError('reasonCode is required', 'REASON_CODE_REQUIRED', 400, { reasonCodes: codes });
+  }
+  if (reasonCode && !codes.includes(reasonCode)) {
+    throw new CancellationError('Unknown cancellation reason code', 'INVALID_REASON_CODE', 400, { reasonCodes: codes });
+  }
+  if (reasonCode === 'other' && !reason) {
+    throw new CancellationError('Please describe the reason', 'REASON_REQUIRED', 400);
+  }
+};
+
+/**
+ * Cancel an order
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.actor - buyer, seller, admin or system
+ * @param {string} [options.actorId]
+ * @param {string} [options.reasonCode] - One of the actor's reason codes (required for sellers)
+ * @param {string} [options.reason] - Free-text reason
+ * @param {boolean} [options.force] - Admin override of the transition rules
+ * @param {Object} [options.req] - Request, for the audit entry
+ * @returns {Promise<Object>} { order, refund }
+ */
+const cancelOrder = async (order, { actor, actorId, reasonCode, reason, force = false, req = null }) => {
+  if (order.status === 'cancelled') {
+    throw new CancellationError('This order is already cancelled', 'ALREADY_CANCELLED', 409);
+  }
+  validateReason(actor, reasonCode, reason);
+
+  const session = await mongoose.startSession();
+  let cancelled;
+  let refund = null;
+  try {
+    await session.withTransaction(async () => {
+      cancelled = await transitionOrder(order, 'cancelled', { actor, actorId, reasonCode, reason, force, session });
+
+      // Return the stock reserved at checkout
+      for (const item of cancelled.items) {
+        if (!item.product?._id) continue;
+        await Product.updateOne({ _id: item.product._id }, { $inc: { stock: item.quantity } }, { session });
+      }
+
+      // Give the buyer their voucher uses back
+      if (cancelled.vouchers?.length) {
+        await reverseVoucherRedemptions(cancelled._id, { session });
+      }
+
+      refund = null;
+      if (cancelled.payment?.status === 'verified') {
+        [refund] = await Refund.create([{
+          orderId: cancelled._id,
+          checkoutId: cancelled.checkoutId,
+          userId: cancelled.userId,
+          sellerId: cancelled.sellerId,
+          amount: cancelled.summary?.total ?? cancelled.totalAmount ?? 0,
+          method: cancelled.payment.method,
+          reason: [reasonCode, reason].filter(Boolean).join(': ') || 'Order cancelled',
+          openedBy: actor,
+        }], { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await recordAudit(req, {
+    action: 'order.cancel',
+    target: { type: 'Order', id: cancelled._id },
+    before: { status: order.status },
+    after: { status: cancelled.status },
+    metadata: { actor, reasonCode, reason, refundId: refund?._id, forced: force || undefined },
+    actor: req ? undefined : { kind: 'system' },
+  });
+
+  const message = `Order ${cancelled.orderNumber} was cancelled${reason || reasonCode ? `: ${reason || reasonCode}` : ''}.`;
+  if (actor === 'buyer') {
+    await notifySellerOfOrder(cancelled, { title: 'Order Cancelled', message, type: 'order_cancelled', event: 'orderCancelled' });
+  } else {
+    await notifyBuyerOfOrder(cancelled, {
+      title: 'Order Cancelled',
+      message: refund ? `${message} A refund of ₱${refund.amount} has been opened.` : message,
+      type: 'order_cancelled',
+      event: 'orderCancelled',
+    });
+  }
+
+  console.log(`🚫 [ORDER] ${cancelled.orderNumber} cancelled by ${actor}${refund ? `, refund ${refund._id} opened` : ''}`);
+  return { order: cancelled, refund };
+};
+
+export {
+  CancellationError,
+  BUYER_CANCELLATION_REASONS,
+  SELLER_CANCELLATION_REASONS,
+  cancelOrder,
+};
@@ -0,0 +1,339 @@
+/**
+ * Order Chat Service
+ * Per-order buyer–seller conversations for product and laundry orders.
+ * Messages are stored in Mongo and delivered to the other side's socket room
+ * (user_<id>, seller_<id> or shop_<id>); when nobody from that side is
+ * connected they get an FCM push instead. Read receipts are per message.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Seller from '../models/Seller.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import { LaundryOrder, LaundryShop } from '../models/LaundryModels.js';
+import { sendPushNotification } from './fcmService.js';
+import { sameId } from '../middleware/auth.js';
+
+const CHAT_ORDER_TYPES = ['product', 'laundry'];
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_ATTACHMENTS = 4;
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+class ChatError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'ChatError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const otherSide = (side) => (side === 'buyer' ? 'seller' : 'buyer');
+
+const pageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * Load the order a conversation is about
+ * @param {string} orderType - product or laundry
+ * @param {string} orderId
+ * @returns {Promise<Object|null>}
+ */
+const loadChatOrder = (orderType, orderId) => {
+  if (orderType === 'product') return Order.findById(orderId);
+  if (orderType === 'laundry') return LaundryOrder.findById(orderId);
+  throw new ChatError(`orderType must be one of: ${CHAT_ORDER_TYPES.join(', ')}`, 'INVALID_ORDER_TYPE');
+};
+
+/**
+ * Which side of the order's conversation the principal is on. A seller token
+ * speaks for the seller even on an order they placed themselves.
+ * @param {string} orderType
+ * @param {Object} order
+ * @param {Object} principal
+ * @returns {string|null} buyer, seller or null if not a party to the order
+ */
+const chatSideFor = (orderType, order, principal) => {
+  if (orderType === 'product') {
+    if (principal.roles.includes('seller') && sameId(order.sellerId, principal.sellerId)) return 'seller';
+    if (sameId(order.userId, principal.userId)) return 'buyer';
+    return null;
+  }
+  if (principal.roles.includes('shop_owner') && (principal.shopIds || []).some(id => sameId(id, order.shopId))) return 'seller';
+  if (sameId(order.customerId, principal.userId)) return 'buyer';
+  return null;
+};
+
+/**
+ * Socket room for one side of a conversation
+ */
+const roomFor = (conversation, side) => {
+  if (side === 'buyer') return `user_${conversation.buyerId}`;
+  return conversation.orderType === 'laundry' ? `shop_${conversation.shopId}` : `seller_${conversation.sellerId}`;
+};
+
+const isOnline = (room) => Boolean(global.io?.sockets.adapter.rooms.get(room)?.size);
+
+const emitTo = (room, event, payload) => {
+  if (global.io) global.io.to(room).emit(event, payload);
+};
+
+/**
+ * The order's conversation, created on first use
+ * @param {string} orderType
+ * @param {Object} order
+ * @returns {Promise<Object>} Conversation document
+ */
+const getOrCreateConversation = async (orderType, order) => {
+  const parties = orderType === 'product'
+    ? { buyerId: order.userId, sellerId: order.sellerId }
+    : { buyerId: order.customerId, shopId: order.shopId };
+
+  return Conversation.findOneAndUpdate(
+    { orderType, orderId: order._id },
+    { $setOnInsert: { orderType, orderId: order._id, orderNumber: order.orderNumber, ...parties } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Conversation as seen by one side
+ */
+const serializeConversation = (conversation, side) => ({
+  _id: conversation._id,
+  orderType: conversation.orderType,
+  orderId: conversation.orderId,
+  orderNumber: conversation.orderNumber,
+  buyerId: conversation.buyerId,
+  sellerId: conversation.sellerId,
+  shopId: conversation.shopId,
+  side,
+  lastMessage: conversation.lastMessage,
+  lastMessageAt: conversation.lastMessageAt,
+  unreadCount: conversation.unreadCount?.[side] || 0,
+  // When the other side last read the thread, for "seen" markers
+  otherSideReadAt: conversation.lastReadAt?.[otherSide(side)],
+});
+
+const serializeMessage = (message) => ({
+  _id: message._id,
+  conversationId: message.conversationId,
+  senderRole: message.senderRole,
+  senderId: message.senderId,
+  text: message.text,
+  attachments: message.attachments || [],
+  readAt: message.readAt,
+  createdAt: message.createdAt,
+});
+
+/**
+ * FCM token for one side of a conversation
+ */
+const pushTokenFor = async (conversation, side) => {
+  if (side === 'buyer') {
+    return (await User.findById(conversation.buyerId).select('fcmToken').lean())?.fcmToken;
+  }
+  const owner = conversation.orderType === 'laundry'
+    ? await LaundryShop.findById(conversation.shopId).select('ownerId fcmToken').lean()
+    : await Seller.findById(conversation.sellerId).select('userId fcmToken').lean();
+  if (owner?.fcmToken) return owner.fcmToken;
+  const ownerUserId = owner?.ownerId || owner?.userId;
+  return ownerUserId ? (await User.findById(ownerUserId).select('fcmToken').lean())?.fcmToken : null;
+};
+
+/**
+ * Send a message and deliver it to the other side
+ * @param {Object} conversation - Conversation document
+ * @param {Object} input
+ * @param {string} input.side - buyer or seller
+ * @param {string} input.senderId - User ID of the sender
+ * @param {string} [input.text]
+ * @param {Object[]} [input.attachments] - [{ url, publicId }]
+ * @returns {Promise<Object>} Serialized message
+ */
+const sendChatMessage = async (conversation, { side, senderId, text, attachments = [] }) => {
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body && attachments.length === 0) {
+    throw new ChatError('A message needs text or at least one image', 'EMPTY_MESSAGE');
+  }
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    throw new ChatError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`, 'MESSAGE_TOO_LONG', 400, {
+      maxLength: MAX_MESSAGE_LENGTH,
+    });
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new ChatError(`At most ${MAX_ATTACHMENTS} images per message`, 'TOO_MANY_ATTACHMENTS', 400, {
+      maxAttachments: MAX_ATTACHMENTS,
+    });
+  }
+
+  const message = await Message.create({
+    conversationId: conversation._id,
+    senderRole: side,
+    senderId,
+    text: body || undefined,
+    attachments: attachments.length ? attachments : undefined,
+  });
+
+  const recipient = otherSide(side);
+  const updated = await Conversation.findByIdAndUpdate(
+    conversation._id,
+    {
+      $set: {
+        lastMessage: { text: body, senderRole: side, attachmentCount: attachments.length, sentAt: message.createdAt },
+        lastMessageAt: message.createdAt,
+      },
+      $inc: { [`unreadCount.${recipient}`]: 1 },
+    },
+    { new: true }
+  );
+
+  const payload = { conversation: serializeConversation(updated, recipient), message: serializeMessage(message) };
+  const recipientRoom = roomFor(updated, recipient);
+  emitTo(recipientRoom, 'chat_message', payload);
+  // The sender's other devices
+  emitTo(roomFor(updated, side), 'chat_message', { ...payload, conversation: serializeConversation(updated, side) });
+
+  if (!isOnline(recipientRoom)) {
+    try {
+      const token = await pushTokenFor(updated, recipient);
+      if (token) {
+        const preview = body ? body.slice(0, 120) : '📷 Photo';
+        await sendPushNotification(token, `Message about order ${updated.orderNumber || ''}`.trim(), preview, {
+          type: 'chat_message',
+          conversationId: String(updated._id),
+          orderType: updated.orderType,
+          orderId: String(updated.orderId),
+        });
+      }
+    } catch (err) {
+      console.error(`❌ [CHAT] Push fallback failed for conversation ${updated._id}:`, err.message);
+    }
+  }
+
+  console.log(`💬 [CHAT] ${side} → ${recipient} on ${updated.orderType} order ${updated.orderNumber || updated.orderId}`);
+  return serializeMessage(message);
+};
+
+/**
+ * Message history, newest first. Pass nextCursor as `before` to page back in time.
+ * @param {Object} conversation
+ * @param {Object} [options] - { before, limit }
+ * @returns {Promise<Object>} { messages, nextCursor, hasMore }
+ */
+const listChatMessages = async (conversation, { before, limit } = {}) => {
+  const size = pageSize(limit);
+  const filter = { conversationId: conversation._id };
+  if (before) {
+    if (!mongoose.Types.ObjectId.isValid(before)) {
+      throw new ChatError('Invalid cursor', 'INVALID_CURSOR');
+    }
+    filter._id = { $lt: new mongoose.Types.ObjectId(String(before)) };
+  }
+
+  const rows = await Message.find(filter).sort({ _id: -1 }).limit(size + 1).lean();
+  const hasMore = rows.length > size;
+  const messages = hasMore ? rows.slice(0, size) : rows;
+
+  return {
+    messages: messages.map(serializeMessage),
+    nextCursor: hasMore ? String(messages[messages.length - 1]._id) : null,
+    hasMore,
+  };
+};
+
+/**
+ * Mark the other side's messages as read (all, or up to and including `upTo`)
+ * and send the read receipt
+ * @param {Object} conversation
+ * @param {string} side - The reader's side
+ * @param {Object} [options] - { upTo: message ID }
+ * @returns {Promise<Object>} { readAt, marked }
+ */
+const markChatRead = async (conversation, side, { upTo } = {}) => {
+  const filter = { conversationId: conversation._id, senderRole: otherSide(side), readAt: null };
+  if (upTo) {
+    if (!mongoose.Types.ObjectId.isValid(upTo)) {
+      throw new ChatError('Invalid message id', 'INVALID_MESSAGE_ID');
+    }
+    filter._id = { $lte: new mongoose.Types.ObjectId(String(upTo)) };
+  }
+
+  const readAt = new Date();
+  const { modifiedCount } = await Message.updateMany(filter, { $set: { readAt } });
+  // Anything newer than upTo stays unread
+  const unread = upTo
+    ? await Message.countDocuments({ conversationId: conversation._id, senderRole: otherSide(side), readAt: null })
+    : 0;
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { [`unreadCount.${side}`]: unread, [`lastReadAt.${side}`]: readAt } }
+  );
+
+  if (modifiedCount > 0) {
+    emitTo(roomFor(conversation, otherSide(side)), 'chat_read', {
+      conversationId: conversation._id,
+      readBy: side,
+      readAt,
+      upTo: upTo || null,
+    });
+  }
+
+  return { readAt, marked: modifiedCount };
+};
+
+/**
+ * The principal's conversations, most recent first, on every side they can speak for
+ * @param {Object} principal
+ * @param {Object} [options] - { before: ISO date of the last row's lastMessageAt, limit, unreadOnly }
+ * @returns {Promise<Object>} { conversations, nextCursor, hasMore }
+ */
+const listConversations = async (principal, { before, limit, unreadOnly } = {}) => {
+  const size = pageSize(limit);
+  const sides = [{ buyerId: principal.userId }];
+  if (principal.roles.includes('seller') && principal.sellerId) sides.push({ sellerId: principal.sellerId });
+  if (principal.roles.includes('shop_owner') && principal.shopIds?.length) sides.push({ shopId: { $in: principal.shopIds } });
+
+  const filter = { $or: sides, lastMessageAt: { $ne: null } };
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) throw new ChatError('Invalid cursor', 'INVALID_CURSOR');
+    filter.lastMessageAt = { $lt: date };
+  }
+
+  const rows = await Conversation.find(filter).sort({ lastMessageAt: -1 }).limit(size + 1).lean();
+  const hasMore = rows.length > size;
+  const page = hasMore ? rows.slice(0, size) : rows;
+
+  let conversations = page.map(conversation => {
+    const asSeller = (conversation.sellerId && principal.roles.includes('seller') && sameId(conversation.sellerId, principal.sellerId))
+      || (conversation.shopId && (principal.shopIds || []).some(id => sameId(id, conversation.shopId)));
+    return serializeConversation(conversation, asSeller ? 'seller' : 'buyer');
+  });
+  if (unreadOnly) conversations = conversations.filter(conversation => conversation.unreadCount > 0);
+
+  return {
+    conversations,
+    nextCursor: hasMore ? page[page.length - 1].lastMessageAt.toISOString() : null,
+    hasMore,
+  };
+};
+
+export {
+  ChatError,
+  CHAT_ORDER_TYPES,
+  MAX_ATTACHMENTS,
+  loadChatOrder,
+  chatSideFor,
+  roomFor,
+  otherSide,
+  getOrCreateConversation,
+  serializeConversation,
+  sendChatMessage,
+  listChatMessages,
+  markChatRead,
+  listConversations,
+};
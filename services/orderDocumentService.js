@@ -0,0 +1,469 @@
+/**
+ * Order Document Service
+ * Invoices and packing slips for product orders, rendered as HTML or as PDF
+ * (pdfkit, generated in-process). Invoice numbers are issued the first time an
+ * invoice is requested, from a per-seller sequence, and never change after that.
+ */
+
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import Order from '../models/Order.js';
+import Seller from '../models/Seller.js';
+import { nextReference } from './counterService.js';
+import { formatShippingAddress } from './orderService.js';
+
+// An invoice is proof of a completed sale: paid, or delivered (cash on delivery)
+const INVOICE_PAYMENT_STATUSES = ['verified', 'refunded'];
+const PACKING_SLIP_STATUSES = ['payment_verified', 'processing', 'ready_to_ship', 'out_for_delivery', 'delivered'];
+
+const PAYMENT_METHOD_LABELS = {
+  cod: 'Cash on delivery',
+  cash_on_delivery: 'Cash on delivery',
+  gcash: 'GCash',
+  maya: 'Maya',
+  bank_transfer: 'Bank transfer',
+};
+
+class OrderDocumentError extends Error {
+  constructor(message, code, status = 409, details = {}) {
+    super(message);
+    this.name = 'OrderDocumentError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const paymentMethodLabel = (method) =>
+  PAYMENT_METHOD_LABELS[method] || (method ? method.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase()) : 'N/A');
+
+const formatAmount = (amount) =>
+  Number(amount || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) =>
+  (date ? new Date(date).toLocaleDateString('en-PH', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Manila' }) : '');
+
+const formatBusinessAddress = (address) =>
+  (address ? [address.street, address.barangay, address.city, address.province, address.zipCode].filter(Boolean).join(', ') : '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Whether an invoice can be issued for the order
+ * @param {Object} order
+ * @returns {boolean}
+ */
+const canInvoice = (order) =>
+  order.status !== 'cancelled'
+  && (INVOICE_PAYMENT_STATUSES.includes(order.payment?.status) || order.status === 'delivered');
+
+/**
+ * Give the order an invoice number if it has none yet. The number is drawn and
+ * saved in one transaction so an aborted attempt never leaves a gap.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { order, issued } - issued is true if the number was assigned now
+ */
+const ensureInvoiceNumber = async (order) => {
+  if (order.invoice?.number) return { order, issued: false };
+  if (!canInvoice(order)) {
+    throw new OrderDocumentError('An invoice is available once the order is paid or delivered', 'INVOICE_NOT_AVAILABLE', 409, {
+      status: order.status,
+      paymentStatus: order.payment?.status,
+    });
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      const current = await Order.findById(order._id).session(session);
+      if (current.invoice?.number) {
+        result = { order: current, issued: false };
+        return;
+      }
+      const number = await nextReference('INV', { scope: current.sellerId, session });
+      current.invoice = { number, issuedAt: new Date() };
+      result = { order: await current.save({ session }), issued: true };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (result.issued) {
+    console.log(`🧾 [INVOICE] ${result.order.invoice.number} issued for order ${result.order.orderNumber}`);
+  }
+  return result;
+};
+
+/**
+ * Check that a packing slip can be printed for the order
+ * @param {Object} order
+ */
+const assertPackingSlipAvailable = (order) => {
+  if (!PACKING_SLIP_STATUSES.includes(order.status)) {
+    throw new OrderDocumentError('A packing slip is available once payment is verified', 'PACKING_SLIP_NOT_AVAILABLE', 409, {
+      status: order.status,
+    });
+  }
+};
+
+/**
+ * Everything a document template needs, with the seller loaded and the QR code rendered
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>}
+ */
+const buildDocumentData = async (order) => {
+  const seller = await Seller.findById(order.sellerId)
+    .select('businessName shopName firstName lastName email phoneNumber businessAddress')
+    .lean();
+  const qrPng = await QRCode.toBuffer(String(order._id), { type: 'png', margin: 1, width: 160 });
+
+  return {
+    order,
+    seller: {
+      name: seller?.businessName || seller?.shopName || [seller?.firstName, seller?.lastName].filter(Boolean).join(' ') || 'Seller',
+      address: formatBusinessAddress(seller?.businessAddress),
+      email: seller?.email,
+      phone: seller?.phoneNumber,
+    },
+    buyer: {
+      name: order.buyerName || order.shippingAddress?.name || 'Customer',
+      phone: order.shippingAddress?.phone,
+      address: formatShippingAddress(order.shippingAddress),
+    },
+    paymentMethod: paymentMethodLabel(order.payment?.method),
+    qrPng,
+    qrDataUrl: `data:image/png;base64,${qrPng.toString('base64')}`,
+  };
+};
+
+// ==================== HTML ====================
+
+const HTML_STYLES = `
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 0; padding: 32px; font-size: 13px; }
+  .page { max-width: 760px; margin: 0 auto; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #222; padding-bottom: 16px; }
+  h1 { font-size: 26px; letter-spacing: 2px; margin: 0 0 8px; }
+  h2 { font-size: 16px; margin: 0 0 4px; }
+  .muted { color: #666; }
+  .meta td { padding: 2px 12px 2px 0; }
+  .parties { display: flex; justify-content: space-between; margin: 20px 0; }
+  table.lines { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  table.lines th { text-align: left; border-bottom: 1px solid #222; padding: 6px 4px; }
+  table.lines td { border-bottom: 1px solid #ddd; padding: 6px 4px; vertical-align: top; }
+  table.lines .num { text-align: right; white-space: nowrap; }
+  .addon td { color: #555; border-bottom: none; padding-top: 0; }
+  table.totals { margin-left: auto; margin-top: 12px; }
+  table.totals td { padding: 3px 4px; }
+  table.totals .grand td { font-weight: bold; border-top: 1px solid #222; font-size: 15px; }
+  .qr { text-align: center; font-size: 11px; }
+  .qr img { width: 110px; height: 110px; display: block; }
+  .check { width: 18px; height: 18px; border: 1px solid #222; display: inline-block; }
+  footer { margin-top: 32px; font-size: 11px; color: #666; text-align: center; }
+  @media print { body { padding: 0; } }
+`;
+
+const htmlPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body><div class="page">${body}</div></body>
+</html>`;
+
+const htmlSellerBlock = ({ seller }) => `
+  <div>
+    <h2>${escapeHtml(seller.name)}</h2>
+    ${seller.address ? `<div>${escapeHtml(seller.address)}</div>` : ''}
+    ${[seller.phone, seller.email].filter(Boolean).map(line => `<div class="muted">${escapeHtml(line)}</div>`).join('')}
+  </div>`;
+
+const htmlQr = ({ order, qrDataUrl }) => `
+  <div class="qr"><img src="${qrDataUrl}" alt="Order ${escapeHtml(order._id)}"><div class="muted">${escapeHtml(order._id)}</div></div>`;
+
+/**
+ * Invoice as a standalone HTML page
+ * @param {Object} data - From buildDocumentData
+ * @returns {string}
+ */
+const renderInvoiceHtml = (data) => {
+  const { order, buyer, paymentMethod } = data;
+  const summary = order.summary || {};
+
+  const lines = order.items.map(item => `
+    <tr>
+      <td>${escapeHtml(item.product.name)}</td>
+      <td class="num">${item.quantity}</td>
+      <td class="num">₱${formatAmount(item.unitPrice)}</td>
+      <td class="num">₱${formatAmount(item.unitPrice * item.quantity)}</td>
+    </tr>
+    ${(item.addOns || []).map(addOn => `
+    <tr class="addon">
+      <td>&nbsp;&nbsp;+ ${escapeHtml(addOn.name)}</td>
+      <td class="num">${addOn.quantity}</td>
+      <td class="num">₱${formatAmount(addOn.unitPrice)}</td>
+      <td class="num">₱${formatAmount(addOn.totalPrice)}</td>
+    </tr>`).join('')}`).join('');
+
+  const totals = [
+    ['Subtotal', summary.subtotal],
+    ['Shipping fee', summary.shippingFee],
+    summary.tax ? ['Tax', summary.tax] : null,
+    summary.discount ? ['Discount', -summary.discount] : null,
+  ].filter(Boolean);
+
+  return htmlPage(`Invoice ${order.invoice.number}`, `
+    <header>
+      ${htmlSellerBlock(data)}
+      <div>
+        <h1>INVOICE</h1>
+        <table class="meta">
+          <tr><td class="muted">Invoice no.</td><td><strong>${escapeHtml(order.invoice.number)}</strong></td></tr>
+          <tr><td class="muted">Date issued</td><td>${formatDate(order.invoice.issuedAt)}</td></tr>
+          <tr><td class="muted">Order no.</td><td>${escapeHtml(order.orderNumber)}</td></tr>
+          <tr><td class="muted">Order date</td><td>${formatDate(order.createdAt)}</td></tr>
+          <tr><td class="muted">Payment</td><td>${escapeHtml(paymentMethod)}</td></tr>
+        </table>
+      </div>
+    </header>
+    <div class="parties">
+      <div>
+        <div class="muted">Billed to</div>
+        <h2>${escapeHtml(buyer.name)}</h2>
+        <div>${escapeHtml(buyer.address)}</div>
+        ${buyer.phone ? `<div class="muted">${escapeHtml(buyer.phone)}</div>` : ''}
+      </div>
+      ${htmlQr(data)}
+    </div>
+    <table class="lines">
+      <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+      <tbody>${lines}</tbody>
+    </table>
+    <table class="totals">
+      ${totals.map(([label, amount]) => `<tr><td>${label}</td><td class="num">₱${formatAmount(amount)}</td></tr>`).join('')}
+      <tr class="grand"><td>Total</td><td class="num">₱${formatAmount(summary.total)}</td></tr>
+      ${order.refundedAmount ? `<tr><td>Refunded</td><td class="num">₱${formatAmount(-order.refundedAmount)}</td></tr>` : ''}
+    </table>
+    <footer>This is a system-generated invoice for order ${escapeHtml(order.orderNumber)}. Scan the QR code to look up the order.</footer>
+  `);
+};
+
+/**
+ * Packing slip as a standalone HTML page (no prices)
+ * @param {Object} data - From buildDocumentData
+ * @returns {string}
+ */
+const renderPackingSlipHtml = (data) => {
+  const { order, buyer } = data;
+
+  const lines = order.items.map(item => `
+    <tr>
+      <td><span class="check"></span></td>
+      <td>${escapeHtml(item.product.name)}${(item.addOns || []).map(addOn => `<div class="muted">+ ${escapeHtml(addOn.name)} × ${addOn.quantity}</div>`).join('')}</td>
+      <td class="num">${item.quantity}</td>
+    </tr>`).join('');
+
+  return htmlPage(`Packing slip ${order.orderNumber}`, `
+    <header>
+      ${htmlSellerBlock(data)}
+      <div>
+        <h1>PACKING SLIP</h1>
+        <table class="meta">
+          <tr><td class="muted">Order no.</td><td><strong>${escapeHtml(order.orderNumber)}</strong></td></tr>
+          <tr><td class="muted">Order date</td><td>${formatDate(order.createdAt)}</td></tr>
+          <tr><td class="muted">Payment</td><td>${escapeHtml(data.paymentMethod)}</td></tr>
+        </table>
+      </div>
+    </header>
+    <div class="parties">
+      <div>
+        <div class="muted">Ship to</div>
+        <h2>${escapeHtml(buyer.name)}</h2>
+        <div>${escapeHtml(buyer.address)}</div>
+        ${buyer.phone ? `<div>${escapeHtml(buyer.phone)}</div>` : ''}
+      </div>
+      ${htmlQr(data)}
+    </div>
+    <table class="lines">
+      <thead><tr><th></th><th>Item</th><th class="num">Qty</th></tr></thead>
+      <tbody>${lines}</tbody>
+    </table>
+    ${order.notes ? `<p><strong>Buyer notes:</strong> ${escapeHtml(order.notes)}</p>` : ''}
+    <footer>${order.items.reduce((sum, item) => sum + item.quantity, 0)} item(s) · Packed by: ____________________</footer>
+  `);
+};
+
+// ==================== PDF ====================
+
+// The built-in PDF fonts have no peso sign
+const pdfAmount = (amount) => `PHP ${formatAmount(amount)}`;
+
+/**
+ * Collect a pdfkit document into a Buffer
+ */
+const renderPdf = (title, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  try {
+    draw(doc);
+    doc.end();
+  } catch (err) {
+    reject(err);
+  }
+});
+
+const pdfHeader = (doc, data, title, meta) => {
+  const { seller, qrPng } = data;
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(seller.name, 50, top, { width: 280 });
+  doc.font('Helvetica').fontSize(9).fillColor('#555');
+  [seller.address, seller.phone, seller.email].filter(Boolean).forEach(line => doc.text(line, { width: 280 }));
+  doc.fillColor('#000');
+
+  doc.font('Helvetica-Bold').fontSize(20).text(title, 340, top, { width: 205, align: 'right' });
+  doc.moveDown(0.3).fontSize(9);
+  meta.forEach(([label, value]) => {
+    doc.font('Helvetica').text(`${label}: `, { width: 205, align: 'right', continued: true }).font('Helvetica-Bold').text(value);
+  });
+
+  doc.image(qrPng, 465, doc.y + 8, { width: 80 });
+  const afterHeader = Math.max(doc.y + 100, top + 120);
+  doc.moveTo(50, afterHeader - 10).lineTo(545, afterHeader - 10).stroke();
+  doc.y = afterHeader;
+};
+
+const pdfParty = (doc, label, buyer) => {
+  doc.font('Helvetica').fontSize(9).fillColor('#555').text(label, 50);
+  doc.fillColor('#000').font('Helvetica-Bold').fontSize(11).text(buyer.name);
+  doc.font('Helvetica').fontSize(9).text(buyer.address, { width: 380 });
+  if (buyer.phone) doc.text(buyer.phone);
+  doc.moveDown();
+};
+
+/**
+ * Draw a table row; columns are [{ text, x, width, align }]
+ */
+const pdfRow = (doc, columns, { bold = false, color = '#000' } = {}) => {
+  if (doc.y > 760) doc.addPage();
+  const y = doc.y;
+  let bottom = y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+  columns.forEach(({ text, x, width, align = 'left' }) => {
+    doc.text(String(text), x, y, { width, align });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.fillColor('#000');
+  doc.y = bottom + 4;
+};
+
+/**
+ * Invoice as a PDF
+ * @param {Object} data - From buildDocumentData
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (data) => renderPdf(`Invoice ${data.order.invoice.number}`, (doc) => {
+  const { order, buyer, paymentMethod } = data;
+  const summary = order.summary || {};
+  const cols = (name, qty, unit, amount) => [
+    { text: name, x: 50, width: 255 },
+    { text: qty, x: 310, width: 40, align: 'right' },
+    { text: unit, x: 355, width: 90, align: 'right' },
+    { text: amount, x: 450, width: 95, align: 'right' },
+  ];
+
+  pdfHeader(doc, data, 'INVOICE', [
+    ['Invoice no.', order.invoice.number],
+    ['Date issued', formatDate(order.invoice.issuedAt)],
+    ['Order no.', order.orderNumber],
+    ['Order date', formatDate(order.createdAt)],
+    ['Payment', paymentMethod],
+  ]);
+  pdfParty(doc, 'Billed to', buyer);
+
+  pdfRow(doc, cols('Item', 'Qty', 'Unit price', 'Amount'), { bold: true });
+  order.items.forEach(item => {
+    pdfRow(doc, cols(item.product.name, item.quantity, pdfAmount(item.unitPrice), pdfAmount(item.unitPrice * item.quantity)));
+    (item.addOns || []).forEach(addOn => {
+      pdfRow(doc, cols(`   + ${addOn.name}`, addOn.quantity, pdfAmount(addOn.unitPrice), pdfAmount(addOn.totalPrice)), { color: '#555' });
+    });
+  });
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  const totalCols = (label, amount) => [
+    { text: label, x: 330, width: 115, align: 'right' },
+    { text: amount, x: 450, width: 95, align: 'right' },
+  ];
+  pdfRow(doc, totalCols('Subtotal', pdfAmount(summary.subtotal)));
+  pdfRow(doc, totalCols('Shipping fee', pdfAmount(summary.shippingFee)));
+  if (summary.tax) pdfRow(doc, totalCols('Tax', pdfAmount(summary.tax)));
+  if (summary.discount) pdfRow(doc, totalCols('Discount', pdfAmount(-summary.discount)));
+  pdfRow(doc, totalCols('Total', pdfAmount(summary.total)), { bold: true });
+  if (order.refundedAmount) pdfRow(doc, totalCols('Refunded', pdfAmount(-order.refundedAmount)));
+
+  doc.moveDown(2).font('Helvetica').fontSize(8).fillColor('#555')
+    .text(`This is a system-generated invoice for order ${order.orderNumber}. Scan the QR code to look up the order.`, 50, doc.y, {
+      width: 495,
+      align: 'center',
+    });
+});
+
+/**
+ * Packing slip as a PDF (no prices)
+ * @param {Object} data - From buildDocumentData
+ * @returns {Promise<Buffer>}
+ */
+const renderPackingSlipPdf = (data) => renderPdf(`Packing slip ${data.order.orderNumber}`, (doc) => {
+  const { order, buyer, paymentMethod } = data;
+  const cols = (check, name, qty) => [
+    { text: check, x: 50, width: 25 },
+    { text: name, x: 80, width: 380 },
+    { text: qty, x: 465, width: 80, align: 'right' },
+  ];
+
+  pdfHeader(doc, data, 'PACKING SLIP', [
+    ['Order no.', order.orderNumber],
+    ['Order date', formatDate(order.createdAt)],
+    ['Payment', paymentMethod],
+  ]);
+  pdfParty(doc, 'Ship to', buyer);
+
+  pdfRow(doc, cols('', 'Item', 'Qty'), { bold: true });
+  order.items.forEach(item => {
+    const addOns = (item.addOns || []).map(addOn => `\n   + ${addOn.name} x ${addOn.quantity}`).join('');
+    pdfRow(doc, cols('[  ]', `${item.product.name}${addOns}`, item.quantity));
+  });
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown();
+
+  if (order.notes) {
+    doc.font('Helvetica-Bold').fontSize(9).text('Buyer notes: ', 50, doc.y, { continued: true }).font('Helvetica').text(order.notes);
+    doc.moveDown();
+  }
+  const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  doc.font('Helvetica').fontSize(9).text(`${itemCount} item(s)        Packed by: ____________________`, 50);
+});
+
+export {
+  OrderDocumentError,
+  canInvoice,
+  ensureInvoiceNumber,
+  assertPackingSlipAvailable,
+  buildDocumentData,
+  renderInvoiceHtml,
+  renderPackingSlipHtml,
+  renderInvoicePdf,
+  renderPackingSlipPdf,
+};
@@ -0,0 +1,91 @@
+/**
+ * Order Notification Service
+ * Tells the seller or the buyer about something that happened to a product
+ * order: socket event, FCM push and an in-app Notification record. Failures
+ * are logged and never fail the request that triggered them.
+ */
+
+import Seller from '../models/Seller.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { sendPushNotification } from './fcmService.js';
+
+/**
+ * Notify the order's seller
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.title - Push title
+ * @param {string} options.message - Push body and Notification text
+ * @param {string} options.type - Push data type (new_order, payment_verification, ...)
+ * @param {string} [options.event] - Socket event sent to the seller room
+ */
+export const notifySellerOfOrder = async (order, { title, message, type, event = 'newOrderNotification' }) => {
+  try {
+    const payload = {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      checkoutId: order.checkoutId?.toString(),
+      customerName: order.buyerName || 'Unknown Customer',
+      totalAmount: order.summary?.total,
+      itemCount: order.items.length,
+      items: order.items.map(item => ({
+        productName: item.product.name,
+        quantity: item.quantity,
+        price: item.totalPrice
+      }))
+    };
+
+    if (global.io) {
+      global.io.to(`seller_${order.sellerId}`).emit(event, { ...payload, type, message });
+    }
+
+    const seller = await Seller.findById(order.sellerId).select('userId fcmToken');
+    const sellerUser = seller ? await User.findById(seller.userId).select('fcmToken') : null;
+    const fcmToken = seller?.fcmToken || sellerUser?.fcmToken;
+    if (fcmToken) {
+      await sendPushNotification(fcmToken, title, message, { orderId: payload.orderId, type });
+    }
+    if (sellerUser) {
+      await Notification.create({ recipient: sellerUser._id, message });
+    }
+
+    console.log(`🔔 [SELLER NOTIFICATION] ${type} sent to seller ${order.sellerId} for order ${order.orderNumber}`);
+  } catch (err) {
+    console.error(`❌ [NOTIFICATION ERROR] Failed to notify seller ${order.sellerId}:`, err.message);
+  }
+};
+
+/**
+ * Notify the order's buyer
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.title - Push title
+ * @param {string} options.message - Push body and Notification text
+ * @param {string} options.type - Push data type (order_cancelled, ...)
+ * @param {string} [options.event] - Socket event sent to the buyer room
+ */
+export const notifyBuyerOfOrder = async (order, { title, message, type, event = 'orderStatusUpdate' }) => {
+  try {
+    if (global.io) {
+      global.io.to(`user_${order.userId}`).emit(event, {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        type,
+        message
+      });
+    }
+
+    const buyer = await User.findById(order.userId).select('fcmToken');
+    if (buyer?.fcmToken) {
+      await sendPushNotification(buyer.fcmToken, title, message, { orderId: order._id.toString(), type });
+    }
+    if (buyer) {
+      await Notification.create({ recipient: buyer._id, message });
+    }
+
+    console.log(`🔔 [BUYER NOTIFICATION] ${type} sent to user ${order.userId} for order ${order.orderNumber}`);
+  } catch (err) {
+    console.error(`❌ [NOTIFICATION ERROR] Failed to notify buyer ${order.userId}:`, err.message);
+  }
+};
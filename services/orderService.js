@@ -0,0 +1,365 @@
+/**
+ * Order Service
+ * Shapes checkout input into the canonical Order document (line items,
+ * money summary, shipping address) shared by every order-creating route.
+ * Prices always come from the database and stock is reserved in the same
+ * transaction that creates the order.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import AddOn from '../models/AddOn.js';
+import { toLatLng, quoteSellerDelivery, quoteSnapshot } from './deliveryFeeService.js';
+import { readVoucherCodes, productVoucherTargets, redeemVouchers } from './voucherService.js';
+
+class OrderInputError extends Error {
+  constructor(message, code = 'INVALID_ORDER', status = 400, details = {}) {
+    super(message);
+    this.name = 'OrderInputError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Validate request line items ({ productId | product, quantity, addOns: [{ addOnId | _id, quantity }] }).
+ * Client prices and names are ignored; they are always reloaded from the database.
+ * @param {Array} items - Items from the request body
+ * @returns {Array} { productId, quantity, addOns: [{ addOnId, quantity }] }
+ */
+const readRequestedItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new OrderInputError('items array is required and must not be empty');
+  }
+
+  return items.map((item, index) => {
+    const productId = item.productId || item.product?._id || item.product;
+    const quantity = Number(item.quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(String(productId))) {
+      throw new OrderInputError(`Item ${index + 1}: productId or product is required`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new OrderInputError(`Item ${index + 1}: quantity must be a positive whole number`);
+    }
+
+    const addOns = (Array.isArray(item.addOns) ? item.addOns : []).map((addOn) => {
+      const addOnId = addOn.addOnId || addOn._id || addOn;
+      const addOnQuantity = Number(addOn.quantity ?? 1);
+      if (!mongoose.Types.ObjectId.isValid(String(addOnId))) {
+        throw new OrderInputError(`Item ${index + 1}: invalid add-on id`);
+      }
+      if (!Number.isInteger(addOnQuantity) || addOnQuantity <= 0) {
+        throw new OrderInputError(`Item ${index + 1}: add-on quantity must be a positive whole number`);
+      }
+      return { addOnId: String(addOnId), quantity: addOnQuantity };
+    });
+
+    return { productId: String(productId), quantity, addOns };
+  });
+};
+
+const PARTIAL_RESERVE_ATTEMPTS = 3;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const lineTotal = (unitPrice, quantity, addOns = []) =>
+  unitPrice * quantity + addOns.reduce((sum, addOn) => sum + addOn.totalPrice, 0);
+
+/**
+ * Reprice requested items from the database. Every product must be active and
+ * sold by the order's seller; every add-on must be active, offered on that
+ * product and within its maxQuantity.
+ * @param {Array} requested - Output of readRequestedItems
+ * @param {Object} options
+ * @param {string} options.sellerId - Seller the order is placed with
+ * @param {Object} [options.session] - Mongo session
+ * @returns {Promise<Array>} Canonical order items
+ */
+const priceLineItems = async (requested, { sellerId, session } = {}) => {
+  const productIds = [...new Set(requested.map(item => item.productId))];
+  const addOnIds = [...new Set(requested.flatMap(item => item.addOns.map(addOn => addOn.addOnId)))];
+
+  const [products, addOns] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('sellerId name price images addOns isActive').session(session || null),
+    addOnIds.length
+      ? AddOn.find({ _id: { $in: addOnIds } }).select('name price maxQuantity isActive').session(session || null)
+      : [],
+  ]);
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+  const addOnsById = new Map(addOns.map(addOn => [String(addOn._id), addOn]));
+
+  return requested.map((item, index) => {
+    const product = productsById.get(item.productId);
+    if (!product || !product.isActive) {
+      throw new OrderInputError(`Item ${index + 1}: product is no longer available`, 'PRODUCT_UNAVAILABLE', 409, {
+        productId: item.productId,
+      });
+    }
+    if (sellerId && String(product.sellerId) !== String(sellerId)) {
+      throw new OrderInputError(`Item ${index + 1}: ${product.name} is not sold by this seller`, 'SELLER_MISMATCH', 400, {
+        productId: item.productId,
+      });
+    }
+
+    const offered = new Set((product.addOns || []).map(String));
+    const lineAddOns = item.addOns.map(({ addOnId, quantity }) => {
+      const addOn = addOnsById.get(addOnId);
+      if (!addOn || !addOn.isActive || !offered.has(addOnId)) {
+        throw new OrderInputError(`Item ${index + 1}: an add-on is no longer available for ${product.name}`, 'ADDON_UNAVAILABLE', 409, {
+          productId: item.productId,
+          addOnId,
+        });
+      }
+      if (addOn.maxQuantity != null && quantity > addOn.maxQuantity) {
+        throw new OrderInputError(`Item ${index + 1}: at most ${addOn.maxQuantity} × ${addOn.name}`, 'ADDON_LIMIT', 400, {
+          productId: item.productId,
+          addOnId,
+          maxQuantity: addOn.maxQuantity,
+        });
+      }
+      return {
+        addOnId: addOn._id,
+        name: addOn.name,
+        quantity,
+        unitPrice: addOn.price,
+        totalPrice: addOn.price * quantity,
+      };
+    });
+
+    return {
+      product: {
+        _id: product._id,
+        name: product.name,
+        imageUrl: product.images?.[0],
+      },
+      quantity: item.quantity,
+      unitPrice: product.price,
+      addOns: lineAddOns.length ? lineAddOns : undefined,
+      totalPrice: lineTotal(product.price, item.quantity, lineAddOns),
+    };
+  });
+};
+
+/**
+ * Reserve stock for each line with a conditional decrement, so stock can never
+ * go negative. Must run inside the order's transaction so a later failure
+ * releases the reservation.
+ *
+ * When stock is short the whole order is rejected, unless allowPartial is set:
+ * then short lines are reduced to what is left (lines with nothing left are
+ * dropped) and reported as shortages.
+ * @param {Array} lineItems - Output of priceLineItems
+ * @param {Object} options
+ * @param {Object} options.session - Mongo session
+ * @param {boolean} [options.allowPartial]
+ * @returns {Promise<Object>} { lineItems, shortages }
+ */
+const reserveStock = async (lineItems, { session, allowPartial = false }) => {
+  const reserved = [];
+  const shortages = [];
+
+  for (const item of lineItems) {
+    const productId = item.product._id;
+    const result = await Product.updateOne(
+      { _id: productId, isActive: true, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity } },
+      { session }
+    );
+    if (result.modifiedCount === 1) {
+      reserved.push(item);
+      continue;
+    }
+
+    // Take whatever is left. The decrement only applies if stock is unchanged
+    // since it was read; if another checkout got there first, read it again.
+    let available = 0;
+    let taken = false;
+    for (let attempt = 0; attempt < PARTIAL_RESERVE_ATTEMPTS && !taken; attempt += 1) {
+      const current = await Product.findById(productId).select('stock').session(session);
+      available = Math.max(current?.stock || 0, 0);
+      if (!allowPartial || available === 0) break;
+      const partial = await Product.updateOne({ _id: productId, stock: available }, { $inc: { stock: -available } }, { session });
+      taken = partial.modifiedCount === 1;
+    }
+    shortages.push({ productId, name: item.product.name, requested: item.quantity, available });
+
+    if (!taken) continue;
+
+    reserved.push({
+      ...item,
+      quantity: available,
+      requestedQuantity: item.quantity,
+      totalPrice: lineTotal(item.unitPrice, available, item.addOns),
+    });
+  }
+
+  if (shortages.length && (!allowPartial || reserved.length === 0)) {
+    throw new OrderInputError('Some items are out of stock', 'OUT_OF_STOCK', 409, { shortages });
+  }
+
+  return { lineItems: reserved, shortages };
+};
+
+/**
+ * Reprice, reserve stock and insert one order inside the caller's transaction
+ * @param {Object} orderFields - Order fields other than items/summary (userId, sellerId, status, payment, ...)
+ * @param {Array} requested - Output of readRequestedItems
+ * @param {Object} options
+ * @param {Object} options.session - Mongo session with an open transaction
+ * @param {Object} [options.charges] - { shippingFee, tax, discount }
+ * @param {boolean} [options.allowPartial] - Accept the order with reduced quantities when stock is short
+ * @returns {Promise<Object>} The saved order
+ */
+const createOrderInTransaction = async (orderFields, requested, { session, charges, allowPartial = false }) => {
+  const priced = await priceLineItems(requested, { sellerId: orderFields.sellerId, session });
+  const { lineItems, shortages } = await reserveStock(priced, { session, allowPartial });
+  const [order] = await Order.create([{
+    ...orderFields,
+    items: lineItems,
+    summary: buildSummary(lineItems, charges),
+    ...(shortages.length && { stockShortages: shortages }),
+  }], { session });
+  return order;
+};
+
+/**
+ * Redeem vouchers against orders created in the caller's transaction and
+ * write the discounts into their summaries
+ * @param {Array} orders - Order documents just created
+ * @param {string[]} voucherCodes - Output of readVoucherCodes
+ * @param {Object} options
+ * @param {Object} options.session - Mongo session with an open transaction
+ * @param {string} [options.checkoutId]
+ * @returns {Promise<Array>} The orders, discounted
+ */
+const applyVouchersInTransaction = async (orders, voucherCodes, { session, checkoutId }) => {
+  if (!voucherCodes.length) return orders;
+  const discounts = await redeemVouchers(voucherCodes, {
+    userId: orders[0].userId,
+    targets: await productVoucherTargets(orders, { session }),
+    checkoutId,
+    session,
+  });
+
+  for (const order of orders) {
+    const vouchers = discounts.get(String(order._id));
+    if (!vouchers) continue;
+    order.vouchers = vouchers.map(({ lines, ...voucher }) => voucher);
+    vouchers.flatMap(voucher => voucher.lines).forEach(({ index, amount }) => {
+      const item = order.items[index];
+      item.discount = roundMoney((item.discount || 0) + amount);
+    });
+    order.summary = buildSummary(order.items, {
+      shippingFee: order.summary.shippingFee,
+      tax: order.summary.tax,
+      discount: vouchers.reduce((sum, voucher) => sum + voucher.amount, 0),
+    });
+    await order.save({ session });
+  }
+  return orders;
+};
+
+/**
+ * Create an order from requested items: reprice from the database, reserve
+ * stock and insert the order in one transaction. The shipping fee is always
+ * priced here from the seller's location and the shipping address.
+ * @param {Object} orderFields - Order fields other than items/summary (userId, status, payment, ...)
+ * @param {Object} checkout
+ * @param {Array} checkout.items - Items from the request body
+ * @param {string|Array} [checkout.voucherCodes] - Promo codes to redeem
+ * @param {boolean} [checkout.allowPartial] - Accept the order with reduced quantities when stock is short
+ * @returns {Promise<Object>} The saved order
+ */
+const placeOrder = async (orderFields, { items, voucherCodes, allowPartial = false }) => {
+  if (!orderFields.sellerId || !mongoose.Types.ObjectId.isValid(String(orderFields.sellerId))) {
+    throw new OrderInputError('sellerId is required');
+  }
+  const requested = readRequestedItems(items);
+  const codes = readVoucherCodes(voucherCodes);
+  const delivery = await quoteSellerDelivery(orderFields.sellerId, orderFields.shippingAddress);
+  const pricedFields = { ...orderFields, deliveryQuote: quoteSnapshot(delivery) };
+  // Every charge is worked out here; discounts only ever come from vouchers
+  const pricedCharges = { shippingFee: delivery.fee };
+  const session = await mongoose.startSession();
+
+  try {
+    let order;
+    await session.withTransaction(async () => {
+      order = await createOrderInTransaction(pricedFields, requested, { session, charges: pricedCharges, allowPartial });
+      [order] = await applyVouchersInTransaction([order], codes, { session });
+    });
+    return order;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Money summary for a set of line items
+ * @param {Array} items - Canonical order items
+ * @param {Object} [charges] - { shippingFee, tax, discount }
+ * @returns {Object} { subtotal, shippingFee, tax, discount, total }
+ */
+const buildSummary = (items, { shippingFee = 0, tax = 0, discount = 0 } = {}) => {
+  const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+  return {
+    subtotal,
+    shippingFee,
+    tax,
+    discount,
+    total: Math.max(subtotal + shippingFee + tax - discount, 0),
+  };
+};
+
+/**
+ * Accept a delivery address either as free text or as an address object
+ * (the shape stored in User.addresses, with optional lat/lng or latitude/longitude)
+ * @param {string|Object} input - Delivery address from the request
+ * @returns {Object|undefined} Canonical shipping address
+ */
+const toShippingAddress = (input) => {
+  if (!input) return undefined;
+  if (typeof input === 'string') {
+    return { address: input.trim() };
+  }
+  const name = input.name || [input.firstName, input.lastName].filter(Boolean).join(' ');
+  const point = toLatLng(input);
+  return {
+    name: name || undefined,
+    phone: input.phone,
+    address: input.address || input.street,
+    city: input.city,
+    province: input.province,
+    postalCode: input.postalCode || input.zipCode,
+    country: input.country,
+    lat: point?.lat,
+    lng: point?.lng,
+  };
+};
+
+/**
+ * One-line shipping address for seller and driver views
+ * @param {Object} shippingAddress - Canonical shipping address
+ * @returns {string}
+ */
+const formatShippingAddress = (shippingAddress) => {
+  if (!shippingAddress) return 'N/A';
+  const line = [shippingAddress.address, shippingAddress.city, shippingAddress.province].filter(Boolean).join(', ');
+  return line || 'N/A';
+};
+
+export {
+  OrderInputError,
+  readRequestedItems,
+  priceLineItems,
+  reserveStock,
+  createOrderInTransaction,
+  applyVouchersInTransaction,
+  placeOrder,
+  buildSummary,
+  toShippingAddress,
+  formatShippingAddress,
+};
@@ -0,0 +1,317 @@
+/**
+ * Order SLA Service
+ * Processing-deadline enforcement for seller orders. The deadline is set by the
+ * state machine when an order enters processing (seller's processingHours, or
+ * ORDER_PROCESSING_HOURS). A periodic sweep warns the seller ahead of expiry
+ * and, once the deadline passes, either escalates the order for admin follow-up
+ * or cancels it, per the seller's overdueAction setting. Extensions are capped.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Seller from '../models/Seller.js';
+import { processingHoursFor } from './orderStateMachine.js';
+import { cancelOrder } from './orderCancellationService.js';
+import { notifySellerOfOrder, notifyBuyerOfOrder } from './orderNotificationService.js';
+import { recordAudit } from './auditService.js';
+
+const ORDER_SLA_WARNING_HOURS = parseInt(process.env.ORDER_SLA_WARNING_HOURS || '6', 10);
+const ORDER_SLA_SWEEP_MINUTES = parseInt(process.env.ORDER_SLA_SWEEP_MINUTES || '5', 10);
+const MAX_PROCESSING_EXTENSIONS = parseInt(process.env.MAX_PROCESSING_EXTENSIONS || '2', 10);
+const MAX_EXTENSION_HOURS = parseInt(process.env.MAX_EXTENSION_HOURS || '48', 10);
+
+const HOUR_MS = 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+class SlaError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'SlaError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Push the processing deadline back, within the per-order cap
+ * @param {Object} order - Order document in processing
+ * @param {Object} input - { additionalHours, reason }
+ * @returns {Promise<Object>} The saved order
+ */
+const extendProcessingDeadline = async (order, { additionalHours, reason }) => {
+  const hours = Number(additionalHours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new SlaError('Additional hours must be a positive number', 'INVALID_HOURS');
+  }
+  if (hours > MAX_EXTENSION_HOURS) {
+    throw new SlaError(`An extension can add at most ${MAX_EXTENSION_HOURS} hours`, 'EXTENSION_TOO_LONG', 400, {
+      maxHours: MAX_EXTENSION_HOURS,
+    });
+  }
+  if (order.status !== 'processing') {
+    throw new SlaError('Can only extend processing time for orders in processing status', 'NOT_PROCESSING', 400);
+  }
+  if (order.processingExtensions.length >= MAX_PROCESSING_EXTENSIONS) {
+    throw new SlaError(`This order already used its ${MAX_PROCESSING_EXTENSIONS} extensions`, 'EXTENSION_LIMIT', 409, {
+      maxExtensions: MAX_PROCESSING_EXTENSIONS,
+    });
+  }
+
+  // Orders that predate deadlines extend from now
+  const currentDeadline = order.processingDeadline || new Date();
+  // Conditional on the cap and on the deadline it extends, so concurrent
+  // requests can neither pass the cap nor extend from the same deadline
+  const extended = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: 'processing',
+      [`processingExtensions.${MAX_PROCESSING_EXTENSIONS - 1}`]: { $exists: false },
+      processingDeadline: order.processingDeadline || null,
+    },
+    {
+      $push: {
+        processingExtensions: {
+          requestedAt: new Date(),
+          additionalHours: hours,
+          reason: reason || 'Additional processing time needed',
+        },
+      },
+      $set: { processingDeadline: new Date(currentDeadline.getTime() + hours * HOUR_MS) },
+      // A new deadline starts the SLA over: new warning, and the sweep can breach it again
+      $unset: { 'sla.warnedAt': '', 'sla.breachedAt': '', 'sla.escalatedAt': '', 'sla.resolution': '' },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!extended) {
+    throw new SlaError('The order was updated by someone else. Reload and try again.', 'ORDER_CHANGED', 409);
+  }
+
+  await notifyBuyerOfOrder(extended, {
+    title: 'Order Update',
+    message: `The seller needs a little more time to prepare order ${extended.orderNumber}.`,
+    type: 'processing_extended',
+  });
+
+  return extended;
+};
+
+/**
+ * Give processing orders without a deadline (legacy data) one
+ * @returns {Promise<number>} Orders updated
+ */
+const backfillDeadlines = async () => {
+  const orders = await Order.find({ status: 'processing', processingDeadline: null })
+    .select('sellerId fulfillment.processingAt updatedAt')
+    .limit(SWEEP_BATCH_SIZE);
+  for (const order of orders) {
+    const start = order.fulfillment?.processingAt || order.updatedAt;
+    const hours = await processingHoursFor(order.sellerId);
+    await Order.updateOne(
+      { _id: order._id, processingDeadline: null },
+      { $set: { processingDeadline: new Date(start.getTime() + hours * HOUR_MS) } }
+    );
+  }
+  return orders.length;
+};
+
+/**
+ * Warn sellers whose deadline is within ORDER_SLA_WARNING_HOURS
+ * @returns {Promise<number>} Warnings sent
+ */
+const warnUpcomingDeadlines = async () => {
+  const now = new Date();
+  const orders = await Order.find({
+    status: 'processing',
+    processingDeadline: { $gt: now, $lte: new Date(now.getTime() + ORDER_SLA_WARNING_HOURS * HOUR_MS) },
+    'sla.warnedAt': null,
+  }).limit(SWEEP_BATCH_SIZE);
+
+  let warned = 0;
+  for (const order of orders) {
+    // Claim the warning so parallel sweeps don't both send it
+    const claimed = await Order.updateOne({ _id: order._id, 'sla.warnedAt': null }, { $set: { 'sla.warnedAt': now } });
+    if (claimed.modifiedCount === 0) continue;
+
+    const hoursLeft = Math.max(Math.round((order.processingDeadline - now) / HOUR_MS), 1);
+    await notifySellerOfOrder(order, {
+      title: 'Processing Deadline Approaching',
+      message: `Order ${order.orderNumber} must be ready to ship within ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'}.`,
+      type: 'processing_deadline_warning',
+      event: 'processingDeadlineWarning',
+    });
+    warned += 1;
+  }
+  return warned;
+};
+
+/**
+ * Escalate or cancel processing orders whose deadline has passed
+ * @returns {Promise<Object>} { escalated, cancelled }
+ */
+const handleOverdueOrders = async () => {
+  const now = new Date();
+  const orders = await Order.find({
+    status: 'processing',
+    processingDeadline: { $lte: now },
+    'sla.breachedAt': null,
+  }).limit(SWEEP_BATCH_SIZE);
+
+  const result = { escalated: 0, cancelled: 0 };
+  const sellerIds = [...new Set(orders.map(order => String(order.sellerId)))];
+  const sellers = await Seller.find({ _id: { $in: sellerIds } }).select('orderSettings.overdueAction').lean();
+  const actionBySeller = new Map(sellers.map(seller => [String(seller._id), seller.orderSettings?.overdueAction || 'escalate']));
+
+  for (const order of orders) {
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'processing', 'sla.breachedAt': null },
+      { $set: { 'sla.breachedAt': now } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const hoursLate = Math.round((now - claimed.processingDeadline) / HOUR_MS);
+
+    if (actionBySeller.get(String(claimed.sellerId)) === 'cancel') {
+      try {
+        await cancelOrder(claimed, {
+          actor: 'system',
+          reasonCode: 'processing_deadline_missed',
+          reason: 'The seller did not prepare the order in time',
+        });
+        await Order.updateOne({ _id: claimed._id }, { $set: { 'sla.resolution': 'cancelled' } });
+        await notifySellerOfOrder(claimed, {
+          title: 'Order Cancelled',
+          message: `Order ${claimed.orderNumber} was cancelled because it missed its processing deadline.`,
+          type: 'processing_deadline_missed',
+          event: 'processingDeadlineMissed',
+        });
+        result.cancelled += 1;
+        continue;
+      } catch (err) {
+        // Fall back to escalation so the order is not silently left overdue
+        console.error(`❌ [SLA] Auto-cancel failed for order ${claimed._id}:`, err.message);
+      }
+    }
+
+    await Order.updateOne({ _id: claimed._id }, { $set: { 'sla.escalatedAt': now, 'sla.resolution': 'escalated' } });
+    await recordAudit(null, {
+      action: 'order.sla_escalate',
+      target: { type: 'Order', id: claimed._id },
+      metadata: { sellerId: claimed.sellerId, processingDeadline: claimed.processingDeadline, hoursLate },
+      actor: { kind: 'system' },
+    });
+    await notifySellerOfOrder(claimed, {
+      title: 'Order Overdue',
+      message: `Order ${claimed.orderNumber} missed its processing deadline and was flagged for review.`,
+      type: 'processing_deadline_missed',
+      event: 'processingDeadlineMissed',
+    });
+    result.escalated += 1;
+  }
+  return result;
+};
+
+/**
+ * One SLA pass: backfill, warn, then act on overdue orders
+ * @returns {Promise<Object>} Counts
+ */
+const runSlaSweep = async () => {
+  const backfilled = await backfillDeadlines();
+  const warned = await warnUpcomingDeadlines();
+  const { escalated, cancelled } = await handleOverdueOrders();
+  if (backfilled || warned || escalated || cancelled) {
+    console.log(`⏱️ [SLA] Sweep: ${backfilled} backfilled, ${warned} warned, ${escalated} escalated, ${cancelled} cancelled`);
+  }
+  return { backfilled, warned, escalated, cancelled };
+};
+
+/**
+ * Run runSlaSweep every ORDER_SLA_SWEEP_MINUTES
+ * @returns {Object} Interval handle
+ */
+const startOrderSlaScheduler = () => {
+  const sweep = () => runSlaSweep().catch(err => console.error('❌ Order SLA sweep failed:', err));
+  sweep();
+  return setInterval(sweep, ORDER_SLA_SWEEP_MINUTES * 60 * 1000);
+};
+
+/**
+ * Processing-time SLA metrics for a seller over the last `days` days (orders
+ * that entered processing in the window)
+ * @param {string} sellerId
+ * @param {number} [days=30]
+ * @returns {Promise<Object>} Metrics
+ */
+const getSellerSlaMetrics = async (sellerId, days = 30) => {
+  const since = new Date(Date.now() - days * 24 * HOUR_MS);
+  const now = new Date();
+
+  const [stats] = await Order.aggregate([
+    { $match: { sellerId: new mongoose.Types.ObjectId(String(sellerId)), 'fulfillment.processingAt': { $gte: since } } },
+    {
+      $project: {
+        shipped: { $cond: [{ $ifNull: ['$fulfillment.readyToShipAt', false] }, 1, 0] },
+        onTime: {
+          $cond: [
+            { $and: [{ $ifNull: ['$fulfillment.readyToShipAt', false] }, { $lte: ['$fulfillment.readyToShipAt', '$processingDeadline'] }] },
+            1,
+            0,
+          ],
+        },
+        breached: { $cond: [{ $ifNull: ['$sla.breachedAt', false] }, 1, 0] },
+        autoCancelled: { $cond: [{ $eq: ['$sla.resolution', 'cancelled'] }, 1, 0] },
+        escalated: { $cond: [{ $eq: ['$sla.resolution', 'escalated'] }, 1, 0] },
+        overdueNow: {
+          $cond: [{ $and: [{ $eq: ['$status', 'processing'] }, { $lte: ['$processingDeadline', now] }] }, 1, 0],
+        },
+        extensions: { $size: { $ifNull: ['$processingExtensions', []] } },
+        processingHours: {
+          $cond: [
+            { $ifNull: ['$fulfillment.readyToShipAt', false] },
+            { $divide: [{ $subtract: ['$fulfillment.readyToShipAt', '$fulfillment.processingAt'] }, HOUR_MS] },
+            null,
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        ordersProcessed: { $sum: 1 },
+        shipped: { $sum: '$shipped' },
+        onTime: { $sum: '$onTime' },
+        breached: { $sum: '$breached' },
+        autoCancelled: { $sum: '$autoCancelled' },
+        escalated: { $sum: '$escalated' },
+        overdueNow: { $sum: '$overdueNow' },
+        extensionsUsed: { $sum: '$extensions' },
+        averageProcessingHours: { $avg: '$processingHours' },
+      },
+    },
+  ]);
+
+  const metrics = stats || {
+    ordersProcessed: 0, shipped: 0, onTime: 0, breached: 0, autoCancelled: 0, escalated: 0, overdueNow: 0, extensionsUsed: 0,
+    averageProcessingHours: null,
+  };
+  delete metrics._id;
+
+  return {
+    windowDays: days,
+    processingHours: await processingHoursFor(sellerId),
+    ...metrics,
+    averageProcessingHours: metrics.averageProcessingHours == null ? null : Math.round(metrics.averageProcessingHours * 10) / 10,
+    onTimeRate: metrics.shipped ? Math.round((metrics.onTime / metrics.shipped) * 1000) / 10 : null,
+  };
+};
+
+export {
+  SlaError,
+  MAX_PROCESSING_EXTENSIONS,
+  MAX_EXTENSION_HOURS,
+  extendProcessingDeadline,
+  runSlaSweep,
+  startOrderSlaScheduler,
+  getSellerSlaMetrics,
+};
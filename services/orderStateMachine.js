@@ -0,0 +1,253 @@
+/**
+ * Order State Machine
+ * The only way a product order changes status. Defines which actor may move an
+ * order between which statuses, the guards each move must pass, and the side
+ * effects of entering a status (payment fields, deadlines, fulfillment
+ * timestamps). Every move is applied atomically against the status it was
+ * validated from and appended to statusHistory.
+ */
+
+import Order from '../models/Order.js';
+import Seller from '../models/Seller.js';
+
+const ORDER_PROCESSING_HOURS = parseInt(process.env.ORDER_PROCESSING_HOURS || '48', 10);
+
+// Payment methods that are settled on delivery and so skip receipt verification
+const CASH_ON_DELIVERY_METHODS = ['cod', 'cash_on_delivery'];
+
+// from -> to -> actors allowed to make the move ('system' is used by jobs and internal flows)
+const TRANSITIONS = {
+  pending: {
+    payment_uploaded: ['buyer', 'system'],
+    processing: ['seller'],
+    cancelled: ['buyer', 'seller', 'system'],
+  },
+  payment_uploaded: {
+    payment_verified: ['seller'],
+    payment_rejected: ['seller'],
+    cancelled: ['buyer', 'seller', 'system'],
+  },
+  payment_rejected: {
+    payment_uploaded: ['buyer', 'system'],
+    cancelled: ['buyer', 'seller', 'system'],
+  },
+  payment_verified: {
+    processing: ['seller'],
+    cancelled: ['buyer', 'seller', 'system'],
+  },
+  processing: {
+    ready_to_ship: ['seller'],
+    cancelled: ['seller', 'system'],
+  },
+  ready_to_ship: {
+    out_for_delivery: ['seller', 'driver'],
+  },
+  out_for_delivery: {
+    delivered: ['seller', 'driver'],
+  },
+  delivered: {},
+  cancelled: {},
+};
+
+// Entering these statuses stamps the matching fulfillment timestamp
+const FULFILLMENT_TIMESTAMPS = {
+  payment_verified: 'paymentVerifiedAt',
+  processing: 'processingAt',
+  ready_to_ship: 'readyToShipAt',
+  out_for_delivery: 'outForDeliveryAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+};
+
+class OrderTransitionError extends Error {
+  constructor(message, code, status = 409, details = {}) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isPaid = (order) =>
+  order.payment?.status === 'verified' || CASH_ON_DELIVERY_METHODS.includes(order.payment?.method);
+
+// Guards return an error message when the move is not allowed
+const GUARDS = {
+  payment_uploaded: (order, { receiptUrl, receiptId }) =>
+    (order.payment?.receiptUrl || order.payment?.receiptId || receiptUrl || receiptId)
+      ? null
+      : 'A payment receipt is required',
+  processing: (order) => (isPaid(order) ? null : 'Payment must be verified before processing'),
+  cancelled: (order, { actor, reason, reasonCode }) =>
+    actor !== 'buyer' && !reason && !reasonCode ? 'A reason is required to cancel an order' : null,
+};
+
+/**
+ * Hours the seller has to prepare an order (their own setting, else the default)
+ * @param {string} sellerId
+ * @returns {Promise<number>}
+ */
+const processingHoursFor = async (sellerId) => {
+  const seller = await Seller.findById(sellerId).select('orderSettings.processingHours').lean();
+  return seller?.orderSettings?.processingHours || ORDER_PROCESSING_HOURS;
+};
+
+// Fields set when entering a status, on top of the fulfillment timestamp
+const SIDE_EFFECTS = {
+  payment_uploaded: (order, { receiptUrl, receiptId }) => ({
+    'payment.status': 'pending_verification',
+    ...(receiptUrl && { 'payment.receiptUrl': receiptUrl }),
+    ...(receiptId && { 'payment.receiptId': receiptId }),
+  }),
+  payment_verified: (order, { actorId, receiptId, now }) => ({
+    'payment.status': 'verified',
+    'payment.verifiedAt': now,
+    'payment.verifiedBy': actorId,
+    ...(receiptId && { 'payment.receiptId': receiptId }),
+  }),
+  payment_rejected: (order, { actorId, reason, now }) => ({
+    'payment.status': 'rejected',
+    'payment.rejectedAt': now,
+    'payment.rejectedBy': actorId,
+    'payment.declineReason': reason,
+  }),
+  processing: async (order, { now }) => (order.processingDeadline
+    ? {}
+    : { processingDeadline: new Date(now.getTime() + (await processingHoursFor(order.sellerId)) * 60 * 60 * 1000) }),
+  cancelled: (order, { actor, reasonCode, reason }) => ({
+    'cancellation.by': actor,
+    ...(reasonCode && { 'cancellation.reasonCode': reasonCode }),
+    ...(reason && { 'cancellation.reason': reason }),
+  }),
+};
+
+/**
+ * Statuses the actor may move the order to from its current status
+ * @param {Object} order - Order document
+ * @param {string} actor - buyer, seller, driver, admin or system
+ * @returns {string[]}
+ */
+const allowedTransitions = (order, actor) =>
+  Object.entries(TRANSITIONS[order.status] || {})
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([status]) => status);
+
+/**
+ * statusHistory label for an actor, e.g. 'seller:<sellerId>'
+ */
+const historyActor = (actor, actorId) => (actorId ? `${actor}:${actorId}` : actor);
+
+/**
+ * First statusHistory entry for a new order
+ * @param {string} status - Initial status
+ * @param {string} actor - Who placed the order
+ * @param {string} [actorId]
+ * @returns {Array} statusHistory
+ */
+const initialStatusHistory = (status, actor, actorId) => [{
+  status,
+  updatedBy: historyActor(actor, actorId),
+  notes: 'Order placed',
+  updatedAt: new Date(),
+}];
+
+/**
+ * Move an order to a new status. The move is validated against the transition
+ * table and guards, then applied only if the order is still in the status it
+ * was validated from.
+ * @param {Object} order - Order document (current state)
+ * @param {string} to - Target status
+ * @param {Object} options
+ * @param {string} options.actor - buyer, seller, driver, admin or system
+ * @param {string} [options.actorId] - ID of the acting user/seller/driver
+ * @param {string} [options.reason] - Cancellation or rejection reason
+ * @param {string} [options.reasonCode] - Cancellation reason code
+ * @param {string} [options.notes] - Extra statusHistory notes
+ * @param {boolean} [options.force] - Admin override: skip the transition table and guards
+ * @param {string} [options.receiptUrl] - Payment receipt, for payment_uploaded
+ * @param {string} [options.receiptId] - Receipt document, for payment_uploaded/payment_verified
+ * @param {Object} [options.session] - Mongo session, to make the move part of a larger transaction
+ * @returns {Promise<Object>} The updated order
+ */
+const transitionOrder = async (order, to, options) => {
+  const { actor, actorId, reason, reasonCode, notes, force = false, session } = options;
+  const from = order.status;
+
+  if (!TRANSITIONS[to]) {
+    throw new OrderTransitionError(`Unknown order status: ${to}`, 'INVALID_STATUS', 400);
+  }
+
+  if (force && actor !== 'admin') {
+    throw new OrderTransitionError('Only admins can force a status change', 'FORCE_NOT_ALLOWED', 403);
+  }
+
+  if (!force) {
+    const actors = TRANSITIONS[from]?.[to];
+    if (!actors) {
+      throw new OrderTransitionError(`Cannot move an order from ${from} to ${to}`, 'INVALID_TRANSITION', 409, {
+        from,
+        to,
+        allowed: Object.keys(TRANSITIONS[from] || {}),
+      });
+    }
+    if (!actors.includes(actor)) {
+      throw new OrderTransitionError(`A ${actor} cannot move an order from ${from} to ${to}`, 'TRANSITION_NOT_PERMITTED', 403, {
+        from,
+        to,
+        allowed: allowedTransitions(order, actor),
+      });
+    }
+    const failure = GUARDS[to]?.(order, options);
+    if (failure) {
+      throw new OrderTransitionError(failure, 'TRANSITION_GUARD_FAILED', 409, { from, to });
+    }
+  }
+
+  const now = new Date();
+  const $set = {
+    status: to,
+    ...(await SIDE_EFFECTS[to]?.(order, { ...options, now })),
+  };
+  const timestampField = FULFILLMENT_TIMESTAMPS[to];
+  if (timestampField && !order.fulfillment?.[timestampField]) {
+    $set[`fulfillment.${timestampField}`] = now;
+  }
+
+  const historyNotes = [force && `Forced from ${from}`, reasonCode, reason, notes].filter(Boolean).join(': ');
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set,
+      $push: {
+        statusHistory: {
+          status: to,
+          updatedBy: historyActor(actor, actorId),
+          notes: historyNotes || undefined,
+          updatedAt: now,
+        },
+      },
+    },
+    { new: true, runValidators: true, session }
+  );
+
+  if (!updated) {
+    throw new OrderTransitionError('The order was updated by someone else. Reload and try again.', 'ORDER_STATUS_CHANGED', 409, {
+      from,
+      to,
+    });
+  }
+
+  console.log(`🔄 [ORDER] ${updated._id} ${from} → ${to} by ${historyActor(actor, actorId)}${force ? ' (forced)' : ''}`);
+  return updated;
+};
+
+export {
+  OrderTransitionError,
+  TRANSITIONS,
+  processingHoursFor,
+  allowedTransitions,
+  initialStatusHistory,
+  transitionOrder,
+};
@@ -0,0 +1,187 @@
+/**
+ * OTP Service
+ * Issues and verifies 6-digit SMS one-time passcodes with resend throttling,
+ * expiry and a per-code attempt limit (mirrors the MPIN lockout policy).
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import OtpChallenge from '../models/OtpChallenge.js';
+import { sendSms } from './smsService.js';
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '5', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS || '60', 10);
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR || '5', 10);
+
+const messageTemplates = {
+  phone_verification: (code) => `Your Sooki verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share this code.`,
+  mpin_reset: (code) => `Your Sooki MPIN reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. If you did not request this, ignore this message.`,
+  driver_password_reset: (code) => `Your Sooki driver password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. If you did not request this, ignore this message.`,
+};
+
+class OtpError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'OtpError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// Resend cooldown and hourly cap per phone and purpose
+const assertCanSend = async (phone, purpose, now) => {
+  const latest = await OtpChallenge.findOne({ phone, purpose }).sort({ createdAt: -1 });
+  if (latest) {
+    const resendAvailableAt = new Date(latest.createdAt.getTime() + OTP_RESEND_SECONDS * 1000);
+    if (resendAvailableAt > now) {
+      throw new OtpError('Please wait before requesting another code', 'OTP_RESEND_TOO_SOON', 429, {
+        retryAfter: Math.ceil((resendAvailableAt - now) / 1000),
+      });
+    }
+  }
+
+  const sentLastHour = await OtpChallenge.countDocuments({
+    phone,
+    purpose,
+    createdAt: { $gte: new Date(now.getTime() - 60 * 60 * 1000) },
+  });
+  if (sentLastHour >= OTP_MAX_SENDS_PER_HOUR) {
+    throw new OtpError('Too many codes requested. Please try again later.', 'OTP_SEND_LIMIT', 429, {
+      retryAfter: 60 * 60,
+    });
+  }
+};
+
+/**
+ * Send a new OTP to a phone number
+ * @param {string} phone - Normalized phone number
+ * @param {string} purpose - Challenge purpose (see OtpChallenge.purpose)
+ * @param {Object} options - { userId }
+ * @returns {Promise<Object>} { expiresAt, resendAvailableAt }
+ */
+export const requestOtp = async (phone, purpose, { userId } = {}) => {
+  const now = new Date();
+  await assertCanSend(phone, purpose, now);
+
+  // Only the most recent code is ever valid
+  await OtpChallenge.updateMany({ phone, purpose, status: 'pending' }, { status: 'superseded' });
+
+  const code = generateCode();
+  const challenge = await OtpChallenge.create({
+    phone,
+    purpose,
+    userId,
+    codeHash: await bcrypt.hash(code, 10),
+    expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+  });
+
+  const result = await sendSms(phone, messageTemplates[purpose](code));
+  if (!result.success) {
+    challenge.status = 'superseded';
+    await challenge.save();
+    throw new OtpError('Failed to send verification code', 'OTP_SEND_FAILED', 502);
+  }
+
+  console.log(`📨 OTP (${purpose}) sent to ${phone}`);
+
+  return {
+    expiresAt: challenge.expiresAt,
+    resendAvailableAt: new Date(challenge.createdAt.getTime() + OTP_RESEND_SECONDS * 1000),
+  };
+};
+
+/**
+ * Send an account recovery code without revealing whether the account exists.
+ * Without an account a placeholder challenge that can never be verified is
+ * recorded instead, so the same throttling applies to the number either way.
+ * Nothing about the code is returned and send failures are only logged.
+ * @param {string} phone - Normalized phone number, or a stable key for the requested account when it has none
+ * @param {string} purpose - Challenge purpose
+ * @param {Object} options - { userId, exists }
+ * @returns {Promise<void>}
+ */
+export const requestRecoveryOtp = async (phone, purpose, { userId, exists }) => {
+  if (exists) {
+    try {
+      await requestOtp(phone, purpose, { userId });
+    } catch (err) {
+      if (err.code !== 'OTP_SEND_FAILED') throw err;
+      console.error(`❌ OTP (${purpose}) could not be sent to ${phone}`);
+    }
+    return;
+  }
+
+  const now = new Date();
+  await assertCanSend(phone, purpose, now);
+  await OtpChallenge.create({
+    phone,
+    purpose,
+    status: 'superseded',
+    codeHash: await bcrypt.hash(generateCode(), 10),
+    expiresAt: now,
+  });
+};
+
+/**
+ * Verify an OTP. A code can only be verified once.
+ * @param {string} phone - Normalized phone number
+ * @param {string} purpose - Challenge purpose
+ * @param {string} code - 6-digit code entered by the user
+ * @returns {Promise<Object>} Verified challenge document
+ */
+export const verifyOtp = async (phone, purpose, code) => {
+  if (!code || !/^\d{6}$/.test(String(code))) {
+    throw new OtpError('6-digit code is required', 'OTP_INVALID_FORMAT', 400);
+  }
+
+  const challenge = await OtpChallenge.findOne({ phone, purpose, status: { $in: ['pending', 'locked'] } })
+    .sort({ createdAt: -1 });
+
+  if (!challenge || challenge.expiresAt <= new Date()) {
+    throw new OtpError('Code expired or not found. Please request a new one.', 'OTP_EXPIRED', 400);
+  }
+
+  if (challenge.status === 'locked') {
+    throw new OtpError('Too many incorrect attempts. Please request a new code.', 'OTP_LOCKED', 423);
+  }
+
+  // Take the attempt before comparing so parallel guesses cannot share one
+  const attempt = await OtpChallenge.findOneAndUpdate(
+    { _id: challenge._id, status: 'pending', attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!attempt) {
+    await OtpChallenge.updateOne({ _id: challenge._id, status: 'pending' }, { status: 'locked' });
+    throw new OtpError('Too many incorrect attempts. Please request a new code.', 'OTP_LOCKED', 423);
+  }
+
+  const isValid = await bcrypt.compare(String(code), challenge.codeHash);
+  if (!isValid) {
+    if (attempt.attempts >= OTP_MAX_ATTEMPTS) {
+      await OtpChallenge.updateOne({ _id: challenge._id, status: 'pending' }, { status: 'locked' });
+      throw new OtpError('Too many incorrect attempts. Please request a new code.', 'OTP_LOCKED', 423);
+    }
+    throw new OtpError('Incorrect code', 'OTP_INCORRECT', 401, {
+      remainingAttempts: OTP_MAX_ATTEMPTS - attempt.attempts,
+    });
+  }
+
+  // Conditional update so two concurrent requests cannot both consume the same code
+  const verified = await OtpChallenge.findOneAndUpdate(
+    { _id: challenge._id, status: 'pending' },
+    { status: 'verified', verifiedAt: new Date() },
+    { new: true }
+  );
+  if (!verified) {
+    throw new OtpError('Code expired or not found. Please request a new one.', 'OTP_EXPIRED', 400);
+  }
+
+  return verified;
+};
+
+export { OtpError };
@@ -0,0 +1,338 @@
+/**
+ * Privacy Service
+ * Data Privacy Act self-service: personal-data export and account deletion.
+ * Deletion is scheduled after a grace period (cancellable until then); when it
+ * runs, order history is kept for the sellers' records but stripped of the
+ * buyer's personal data, and everything else tied to the account is erased.
+ */
+
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Checkout from '../models/Checkout.js';
+import Refund from '../models/Refund.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import VoucherRedemption from '../models/VoucherRedemption.js';
+import Receipt from '../models/Receipt.js';
+import ReceiptPhoto from '../models/ReceiptPhoto.js';
+import Photo from '../models/Photo.js';
+import Review from '../models/Review.js';
+import Notification from '../models/Notification.js';
+import Cart from '../models/Cart.js';
+import Seller from '../models/Seller.js';
+import Analytics from '../models/Analytics.js';
+import OtpChallenge from '../models/OtpChallenge.js';
+import { LaundryShop, LaundryOrder, LaundryNotification } from '../models/LaundryModels.js';
+import { recordAudit } from './auditService.js';
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10);
+const ACCOUNT_DELETION_SWEEP_MINUTES = parseInt(process.env.ACCOUNT_DELETION_SWEEP_MINUTES || '60', 10);
+
+const DELETED_USER_NAME = 'Deleted user';
+const REDACTED = '[redacted]';
+const CLOSED_ORDER_STATUSES = ['delivered', 'cancelled'];
+
+// Credential material never leaves the server, not even in the user's own export
+const USER_SECRET_FIELDS = ['passwordHash', 'mpinHash', 'pinHash', 'refreshTokens', 'evictedRefreshTokens', 'signedOutRefreshTokens', 'tokenVersion'];
+const SELLER_SECRET_FIELDS = ['sellerAuthCodeHash'];
+
+class PrivacyError extends Error {
+  constructor(message, code, status, details = {}) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const omit = (doc, fields) => {
+  if (!doc) return null;
+  const copy = { ...doc };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Collect everything stored about a user into one JSON-serializable bundle
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Export bundle
+ */
+const buildDataExport = async (user) => {
+  const userId = user._id;
+  const [
+    orders,
+    checkouts,
+    refunds,
+    returns,
+    messages,
+    voucherRedemptions,
+    laundryOrders,
+    receipts,
+    receiptPhotos,
+    photos,
+    reviews,
+    notifications,
+    laundryNotifications,
+    cart,
+    seller,
+  ] = await Promise.all([
+    Order.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Checkout.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Refund.find({ userId }).sort({ createdAt: -1 }).lean(),
+    ReturnRequest.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Message.find({ senderId: userId }).sort({ createdAt: -1 }).lean(),
+    VoucherRedemption.find({ userId }).sort({ createdAt: -1 }).lean(),
+    LaundryOrder.find({ customerId: userId }).sort({ createdAt: -1 }).lean(),
+    Receipt.find({ $or: [{ customerId: userId }, { uploadedBy: userId }] }).sort({ createdAt: -1 }).lean(),
+    ReceiptPhoto.find({ userId }).sort({ uploadedAt: -1 }).lean(),
+    Photo.find({ userId }).sort({ uploadedAt: -1 }).lean(),
+    Review.find({ userId: String(userId) }).sort({ createdAt: -1 }).lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+    LaundryNotification.find({ recipientId: userId }).sort({ createdAt: -1 }).lean(),
+    Cart.findOne({ user: userId }).lean(),
+    Seller.findOne({ userId }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: omit(user.toObject({ virtuals: false }), USER_SECRET_FIELDS),
+    sellerProfile: omit(seller, SELLER_SECRET_FIELDS),
+    orders,
+    checkouts,
+    refunds,
+    returns,
+    chatMessages: messages,
+    voucherRedemptions,
+    laundryOrders,
+    receipts,
+    receiptPhotos,
+    photos,
+    reviews,
+    notifications: [...notifications, ...laundryNotifications],
+    cart,
+  };
+};
+
+/**
+ * Schedule the account for deletion after the grace period. Sellers and shop
+ * owners must close their business accounts first, and open orders and refunds
+ * must finish.
+ * Requesting again while a deletion is pending returns the existing schedule.
+ * @param {Object} user - User document
+ * @param {Object} req - Request, for the audit entry
+ * @returns {Promise<Object>} { deletionRequestedAt, deletionScheduledFor }
+ */
+const requestAccountDeletion = async (user, req) => {
+  if (user.isPendingDeletion()) {
+    return { deletionRequestedAt: user.deletionRequestedAt, deletionScheduledFor: user.deletionScheduledFor };
+  }
+
+  const [seller, shop, openOrders, openLaundryOrders, pendingRefunds] = await Promise.all([
+    Seller.exists({ userId: user._id }),
+    LaundryShop.exists({ ownerId: user._id }),
+    Order.countDocuments({ userId: user._id, status: { $nin: CLOSED_ORDER_STATUSES } }),
+    LaundryOrder.countDocuments({ customerId: user._id, status: { $nin: CLOSED_ORDER_STATUSES } }),
+    Refund.countDocuments({ userId: user._id, status: 'pending' }),
+  ]);
+
+  if (seller || shop) {
+    throw new PrivacyError(
+      'Close your seller or shop account with support before deleting your personal account',
+      'BUSINESS_ACCOUNT_ACTIVE',
+      409
+    );
+  }
+
+  if (openOrders + openLaundryOrders > 0) {
+    throw new PrivacyError('You have orders in progress. Wait until they are delivered or cancelled.', 'OPEN_ORDERS', 409, {
+      openOrders,
+      openLaundryOrders,
+    });
+  }
+
+  if (pendingRefunds > 0) {
+    throw new PrivacyError('You have refunds that have not been paid out yet', 'PENDING_REFUNDS', 409, { pendingRefunds });
+  }
+
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await recordAudit(req, {
+    action: 'privacy.deletion_request',
+    target: { type: 'User', id: user._id },
+    after: { deletionScheduledFor: user.deletionScheduledFor },
+  });
+
+  console.log(`🗑️ Account deletion scheduled for user ${user._id} on ${user.deletionScheduledFor.toISOString()}`);
+
+  return { deletionRequestedAt: user.deletionRequestedAt, deletionScheduledFor: user.deletionScheduledFor };
+};
+
+/**
+ * Cancel a pending deletion during the grace period
+ * @param {Object} user - User document
+ * @param {Object} req - Request, for the audit entry
+ */
+const cancelAccountDeletion = async (user, req) => {
+  if (!user.isPendingDeletion()) {
+    throw new PrivacyError('No account deletion is pending', 'NO_DELETION_PENDING', 409);
+  }
+
+  const before = { deletionScheduledFor: user.deletionScheduledFor };
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+
+  await recordAudit(req, {
+    action: 'privacy.deletion_cancel',
+    target: { type: 'User', id: user._id },
+    before,
+  });
+
+  console.log(`↩️ Account deletion cancelled for user ${user._id}`);
+};
+
+/**
+ * Erase an account whose grace period has passed. Erased: the user document,
+ * notifications, cart, photos, analytics events, OTP challenges, and the
+ * personal details on orders, checkouts, returns, chat messages, laundry
+ * orders, receipts and reviews (those records stay, anonymized).
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the account was erased
+ */
+const eraseAccount = async (userId) => {
+  // Claim the account and end every session so nothing can be changed mid-erasure
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletionScheduledFor: { $lte: new Date() } },
+    { $set: { refreshTokens: [], evictedRefreshTokens: [], signedOutRefreshTokens: [] }, $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+  if (!user) return false;
+
+  const userIdString = String(user._id);
+
+  const anonymizeBuyer = {
+    $set: { buyerName: DELETED_USER_NAME },
+    $unset: {
+      'shippingAddress.name': '',
+      'shippingAddress.phone': '',
+      'shippingAddress.address': '',
+      'shippingAddress.postalCode': '',
+      'shippingAddress.lat': '',
+      'shippingAddress.lng': '',
+      notes: '',
+    },
+  };
+
+  const [orders, laundryOrders, receipts, reviews] = await Promise.all([
+    Order.updateMany(
+      { userId: user._id },
+      {
+        ...anonymizeBuyer,
+        $unset: { ...anonymizeBuyer.$unset, 'driverAssignment.lastKnownLocation': '' },
+      }
+    ),
+    LaundryOrder.updateMany(
+      { customerId: user._id },
+      {
+        $set: {
+          customerName: DELETED_USER_NAME,
+          customerPhone: REDACTED,
+          'pickup.address': REDACTED,
+          'delivery.address': REDACTED,
+        },
+        $unset: {
+          'pickup.notes': '',
+          'pickup.coordinates': '',
+          'delivery.notes': '',
+          'delivery.coordinates': '',
+          'delivery.receivedBy': '',
+          'specialRequirements.allergyNotes': '',
+          customerReview: '',
+        },
+      }
+    ),
+    Receipt.updateMany(
+      { $or: [{ customerId: user._id }, { uploadedBy: user._id }] },
+      { $unset: { customerInfo: '' } }
+    ),
+    Review.updateMany({ userId: userIdString }, { $set: { userName: DELETED_USER_NAME } }),
+    Checkout.updateMany({ userId: user._id }, anonymizeBuyer),
+    ReturnRequest.updateMany({ userId: user._id }, { $unset: { description: '' } }),
+    // The seller keeps the thread, without the buyer's words or photos
+    Message.updateMany({ senderId: user._id }, { $set: { text: REDACTED }, $unset: { attachments: '' } }),
+    Conversation.updateMany({ buyerId: user._id, 'lastMessage.senderRole': 'buyer' }, { $set: { 'lastMessage.text': REDACTED } }),
+  ]);
+
+  await Promise.all([
+    Notification.deleteMany({ recipient: user._id }),
+    LaundryNotification.deleteMany({ recipientId: user._id }),
+    Cart.deleteMany({ user: user._id }),
+    Photo.deleteMany({ userId: user._id }),
+    ReceiptPhoto.deleteMany({ userId: user._id }),
+    Analytics.deleteMany({ userId: userIdString }),
+    OtpChallenge.deleteMany({ $or: [{ userId: user._id }, { phone: user.phone }] }),
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+
+  await recordAudit(null, {
+    action: 'privacy.account_erased',
+    target: { type: 'User', id: user._id },
+    metadata: {
+      requestedAt: user.deletionRequestedAt,
+      anonymized: {
+        orders: orders.modifiedCount,
+        laundryOrders: laundryOrders.modifiedCount,
+        receipts: receipts.modifiedCount,
+        reviews: reviews.modifiedCount,
+      },
+    },
+    actor: { kind: 'system' },
+  });
+
+  console.log(`🗑️ Account erased: ${userIdString}`);
+  return true;
+};
+
+/**
+ * Erase every account whose grace period has passed
+ * @returns {Promise<number>} Number of accounts erased
+ */
+const processDueDeletions = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id').limit(100).lean();
+  let erased = 0;
+  for (const { _id } of due) {
+    try {
+      if (await eraseAccount(_id)) erased += 1;
+    } catch (err) {
+      console.error(`❌ Account erasure failed for user ${_id}:`, err);
+    }
+  }
+  return erased;
+};
+
+/**
+ * Run processDueDeletions every ACCOUNT_DELETION_SWEEP_MINUTES
+ * @returns {Object} Interval handle
+ */
+const startAccountDeletionScheduler = () => {
+  const sweep = () => processDueDeletions().catch(err => console.error('❌ Account deletion sweep failed:', err));
+  sweep();
+  return setInterval(sweep, ACCOUNT_DELETION_SWEEP_MINUTES * 60 * 1000);
+};
+
+export {
+  PrivacyError,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  eraseAccount,
+  processDueDeletions,
+  startAccountDeletionScheduler,
+};
@@ -0,0 +1,320 @@
+/**
+ * Return Service
+ * Return requests (RMA) for delivered product orders. A buyer returns some
+ * quantity of one or more lines; the seller approves or rejects; the goods come
+ * back by driver pickup or drop-off; receiving them restocks the products and
+ * opens a Refund for the lines' share of what was paid. Completing that refund
+ * closes the return.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Refund from '../models/Refund.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { notifyBuyerOfOrder, notifySellerOfOrder } from './orderNotificationService.js';
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || '7', 10);
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'missing_parts', 'not_as_described', 'other'];
+
+// Returns that still hold their lines; rejected and cancelled ones free them up again
+const INACTIVE_RETURN_STATUSES = ['rejected', 'cancelled'];
+
+// from -> to -> actors allowed to make the move
+const RETURN_TRANSITIONS = {
+  requested: { approved: ['seller'], rejected: ['seller'], cancelled: ['buyer'] },
+  approved: { pickup_assigned: ['driver'], received: ['seller'] },
+  pickup_assigned: { picked_up: ['driver'] },
+  picked_up: { received: ['seller'] },
+  received: { refunded: ['system'] },
+  rejected: {},
+  refunded: {},
+  cancelled: {},
+};
+
+class ReturnError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'ReturnError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Quantities of each product already held by open returns on the order
+ * @param {string} orderId
+ * @param {Object} [session]
+ * @returns {Promise<Map>} productId -> quantity
+ */
+const returnedQuantities = async (orderId, session) => {
+  const returns = await ReturnRequest.find({ orderId, status: { $nin: INACTIVE_RETURN_STATUSES } })
+    .select('lines')
+    .session(session || null)
+    .lean();
+  const quantities = new Map();
+  returns.flatMap(ret => ret.lines).forEach((line) => {
+    const key = String(line.productId);
+    quantities.set(key, (quantities.get(key) || 0) + line.quantity);
+  });
+  return quantities;
+};
+
+/**
+ * Turn requested lines ({ productId, quantity }) into priced return lines.
+ * The refund per unit is what the buyer paid for the line (add-ons included,
+ * its voucher discount taken off) divided by the quantity bought.
+ * @param {Object} order - Delivered order
+ * @param {Array} requested - Lines from the request
+ * @param {Object} [session]
+ * @returns {Promise<Array>} Return lines
+ */
+const buildReturnLines = async (order, requested, session) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new ReturnError('lines must list at least one item to return', 'LINES_REQUIRED');
+  }
+
+  const alreadyReturned = await returnedQuantities(order._id, session);
+  const claimed = new Map();
+
+  return requested.map((line, index) => {
+    const productId = String(line.productId || '');
+    const quantity = Number(line.quantity);
+    const item = order.items.find(orderItem => String(orderItem.product._id) === productId);
+
+    if (!item) {
+      throw new ReturnError(`Line ${index + 1}: product is not part of this order`, 'NOT_IN_ORDER', 400, { productId });
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new ReturnError(`Line ${index + 1}: quantity must be a positive whole number`, 'INVALID_QUANTITY');
+    }
+
+    const returnable = item.quantity - (alreadyReturned.get(productId) || 0) - (claimed.get(productId) || 0);
+    if (quantity > returnable) {
+      throw new ReturnError(`Line ${index + 1}: only ${Math.max(returnable, 0)} × ${item.product.name} can still be returned`, 'QUANTITY_EXCEEDED', 409, {
+        productId,
+        returnable: Math.max(returnable, 0),
+      });
+    }
+    claimed.set(productId, (claimed.get(productId) || 0) + quantity);
+
+    const unitPrice = roundMoney(Math.max(item.totalPrice - (item.discount || 0), 0) / item.quantity);
+    return {
+      productId: item.product._id,
+      name: item.product.name,
+      quantity,
+      unitPrice,
+      refundAmount: roundMoney(unitPrice * quantity),
+    };
+  });
+};
+
+/**
+ * File a return request for a delivered order. The lines are checked and the
+ * request inserted in a transaction that also writes the order, so concurrent
+ * requests on one order conflict and the retry sees the other's lines.
+ * @param {Object} order - Order document (owned by the buyer)
+ * @param {Object} input - { lines, reasonCode, description, photos: [{ url, publicId }] }
+ * @returns {Promise<Object>} The return request
+ */
+const createReturnRequest = async (order, { lines, reasonCode, description, photos = [] }) => {
+  if (order.status !== 'delivered') {
+    throw new ReturnError('Only delivered orders can be returned', 'ORDER_NOT_DELIVERED', 409);
+  }
+  const deliveredAt = order.fulfillment?.deliveredAt || order.updatedAt;
+  if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ReturnError(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`, 'RETURN_WINDOW_CLOSED', 409);
+  }
+  if (!RETURN_REASONS.includes(reasonCode)) {
+    throw new ReturnError('Unknown return reason code', 'INVALID_REASON_CODE', 400, { reasonCodes: RETURN_REASONS });
+  }
+  if (reasonCode === 'other' && !description) {
+    throw new ReturnError('Please describe the problem', 'DESCRIPTION_REQUIRED');
+  }
+  if (photos.length === 0) {
+    throw new ReturnError('At least one photo of the item is required', 'PHOTO_REQUIRED');
+  }
+
+  const session = await mongoose.startSession();
+  let ret;
+  try {
+    await session.withTransaction(async () => {
+      await Order.updateOne({ _id: order._id }, { $inc: { returnRequestCount: 1 } }, { session, timestamps: false });
+      const returnLines = await buildReturnLines(order, lines, session);
+      [ret] = await ReturnRequest.create([{
+        orderId: order._id,
+        userId: order.userId,
+        sellerId: order.sellerId,
+        lines: returnLines,
+        reasonCode,
+        description,
+        photos,
+        refundAmount: roundMoney(returnLines.reduce((sum, line) => sum + line.refundAmount, 0)),
+        statusHistory: [{ status: 'requested', updatedBy: `buyer:${order.userId}`, notes: reasonCode }],
+      }], { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await notifySellerOfOrder(order, {
+    title: 'Return Requested',
+    message: `Return ${ret.returnNumber} was requested for order ${order.orderNumber}.`,
+    type: 'return_requested',
+    event: 'returnUpdate',
+  });
+
+  console.log(`↩️ [RETURN] ${ret.returnNumber} requested for order ${order.orderNumber} (₱${ret.refundAmount})`);
+  return ret;
+};
+
+/**
+ * Move a return to a new status. Applied only if the return is still in the
+ * status it was validated from.
+ * @param {Object} ret - ReturnRequest document
+ * @param {string} to - Target status
+ * @param {Object} options - { actor, actorId, notes, set, session }
+ * @returns {Promise<Object>} The updated return
+ */
+const moveReturn = async (ret, to, { actor, actorId, notes, set = {}, session }) => {
+  const from = ret.status;
+  const actors = RETURN_TRANSITIONS[from]?.[to];
+  if (!actors) {
+    throw new ReturnError(`Cannot move a return from ${from} to ${to}`, 'INVALID_TRANSITION', 409, {
+      from,
+      to,
+      allowed: Object.keys(RETURN_TRANSITIONS[from] || {}),
+    });
+  }
+  if (!actors.includes(actor)) {
+    throw new ReturnError(`A ${actor} cannot move a return from ${from} to ${to}`, 'TRANSITION_NOT_PERMITTED', 403, { from, to });
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: ret._id, status: from },
+    {
+      $set: { status: to, ...set },
+      $push: { statusHistory: { status: to, updatedBy: actorId ? `${actor}:${actorId}` : actor, notes, updatedAt: new Date() } },
+    },
+    { new: true, runValidators: true, session }
+  );
+  if (!updated) {
+    throw new ReturnError('The return was updated by someone else. Reload and try again.', 'RETURN_STATUS_CHANGED', 409, { from, to });
+  }
+  return updated;
+};
+
+const notifyBuyerOfReturn = async (ret, title, message) => {
+  const order = await Order.findById(ret.orderId);
+  if (order) {
+    await notifyBuyerOfOrder(order, { title, message, type: 'return_update', event: 'returnUpdate' });
+  }
+};
+
+/**
+ * Seller decision on a requested return
+ * @param {Object} ret - ReturnRequest document
+ * @param {Object} input - { action: 'approve' | 'reject', reason, sellerId }
+ * @returns {Promise<Object>} The updated return
+ */
+const decideReturn = async (ret, { action, reason, sellerId }) => {
+  if (!['approve', 'reject'].includes(action)) {
+    throw new ReturnError("action must be 'approve' or 'reject'", 'INVALID_ACTION');
+  }
+  if (action === 'reject' && !reason) {
+    throw new ReturnError('A reason is required to reject a return', 'REASON_REQUIRED');
+  }
+
+  const updated = await moveReturn(ret, action === 'approve' ? 'approved' : 'rejected', {
+    actor: 'seller',
+    actorId: sellerId,
+    notes: reason,
+    set: action === 'reject' ? { rejectionReason: reason } : {},
+  });
+
+  await notifyBuyerOfReturn(
+    updated,
+    action === 'approve' ? 'Return Approved' : 'Return Rejected',
+    action === 'approve'
+      ? `Return ${updated.returnNumber} was approved. A driver will pick up the item, or you can drop it off with the seller.`
+      : `Return ${updated.returnNumber} was rejected: ${reason}`
+  );
+  return updated;
+};
+
+/**
+ * Seller confirms the returned goods arrived: restock the lines and open the
+ * refund, in one transaction
+ * @param {Object} ret - ReturnRequest document
+ * @param {Object} input - { sellerId, notes }
+ * @returns {Promise<Object>} { ret, refund }
+ */
+const receiveReturn = async (ret, { sellerId, notes }) => {
+  const order = await Order.findById(ret.orderId).select('checkoutId payment');
+  const session = await mongoose.startSession();
+  let received;
+  let refund;
+  try {
+    await session.withTransaction(async () => {
+      [refund] = await Refund.create([{
+        orderId: ret.orderId,
+        returnRequestId: ret._id,
+        checkoutId: order?.checkoutId,
+        userId: ret.userId,
+        sellerId: ret.sellerId,
+        amount: ret.refundAmount,
+        method: order?.payment?.method,
+        reason: `Return ${ret.returnNumber}: ${ret.reasonCode}`,
+        openedBy: 'seller',
+      }], { session });
+
+      received = await moveReturn(ret, 'received', {
+        actor: 'seller',
+        actorId: sellerId,
+        notes,
+        set: { refundId: refund._id },
+        session,
+      });
+
+      for (const line of received.lines) {
+        await Product.updateOne({ _id: line.productId }, { $inc: { stock: line.quantity } }, { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await notifyBuyerOfReturn(
+    received,
+    'Return Received',
+    `The seller received return ${received.returnNumber}. A refund of ₱${refund.amount} has been opened.`
+  );
+  return { ret: received, refund };
+};
+
+/**
+ * Close the return once its refund has been paid out
+ * @param {Object} refund - Completed Refund document
+ * @returns {Promise<Object|null>} The updated return, if any
+ */
+const closeReturnForRefund = async (refund) => {
+  if (!refund.returnRequestId) return null;
+  const ret = await ReturnRequest.findById(refund.returnRequestId);
+  if (!ret || ret.status !== 'received') return null;
+  return moveReturn(ret, 'refunded', { actor: 'system', notes: `Refund ${refund.reference}` });
+};
+
+export {
+  ReturnError,
+  RETURN_REASONS,
+  RETURN_WINDOW_DAYS,
+  createReturnRequest,
+  moveReturn,
+  decideReturn,
+  receiveReturn,
+  closeReturnForRefund,
+};
@@ -0,0 +1,217 @@
+/**
+ * Seller Auth Service
+ * Seller step-up: the seller auth code plus a bound device ID are exchanged for a
+ * short-lived seller-scoped token. Also manages the seller's bound devices and
+ * alerts the seller whenever a new device is bound.
+ */
+
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import Notification from '../models/Notification.js';
+import Seller from '../models/Seller.js';
+import { JWT_SECRET } from '../config/authConfig.js';
+import { sendPushNotification } from './fcmService.js';
+import { sendSms } from './smsService.js';
+import { recordAudit } from './auditService.js';
+
+const SELLER_TOKEN_TTL_SECONDS = parseInt(process.env.SELLER_TOKEN_TTL_SECONDS || String(4 * 3600), 10);
+const SELLER_MAX_DEVICES = parseInt(process.env.SELLER_MAX_DEVICES || '5', 10);
+const SELLER_AUTH_MAX_ATTEMPTS = parseInt(process.env.SELLER_AUTH_MAX_ATTEMPTS || '5', 10);
+const SELLER_AUTH_LOCK_MINUTES = parseInt(process.env.SELLER_AUTH_LOCK_MINUTES || '15', 10);
+
+const SELLER_AUTH_CODE_PATTERN = /^\d{6}$/;
+const DEVICE_ID_PATTERN = /^[\w.:-]{4,128}$/;
+
+class SellerAuthError extends Error {
+  constructor(message, code, status, details = {}) {
+    super(message);
+    this.name = 'SellerAuthError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isValidSellerAuthCode = (code) => SELLER_AUTH_CODE_PATTERN.test(String(code || ''));
+const isValidDeviceId = (deviceId) => DEVICE_ID_PATTERN.test(String(deviceId || ''));
+
+const findDevice = (seller, deviceId) =>
+  (seller.deviceBindings || []).find(binding => binding.deviceId === deviceId);
+
+// Lock step-up once the attempt count reaches the limit. Only the request that
+// takes the lock audits it; the others get the unlock time already set.
+const lockSellerAuthCode = async (seller, req) => {
+  const unlockAt = new Date(Date.now() + SELLER_AUTH_LOCK_MINUTES * 60 * 1000);
+  const locked = await Seller.findOneAndUpdate(
+    { _id: seller._id, authCodeFailedAttempts: { $gte: SELLER_AUTH_MAX_ATTEMPTS } },
+    { $set: { authCodeLockedUntil: unlockAt, authCodeFailedAttempts: 0 } },
+    { projection: { _id: 1 } }
+  );
+  if (!locked) {
+    const current = await Seller.findById(seller._id).select('authCodeLockedUntil').lean();
+    return current?.authCodeLockedUntil;
+  }
+
+  await recordAudit(req, {
+    action: 'seller.auth_code_lockout',
+    target: { type: 'Seller', id: seller._id },
+    metadata: { failedAttempts: SELLER_AUTH_MAX_ATTEMPTS, unlockAt },
+  });
+  return unlockAt;
+};
+
+/**
+ * Check the seller auth code. Each attempt is counted atomically before the
+ * hash is compared, so parallel guesses cannot get past SELLER_AUTH_MAX_ATTEMPTS;
+ * the attempt that reaches it locks step-up (audited).
+ * @param {Object} seller - Seller document
+ * @param {string} code - Entered auth code
+ * @param {Object} [req] - Request, for the audit entry
+ */
+const verifySellerAuthCode = async (seller, code, req) => {
+  if (!seller.sellerAuthCodeHash) {
+    throw new SellerAuthError('No seller auth code is set for this shop', 'SELLER_AUTH_CODE_NOT_SET', 409);
+  }
+
+  const attempt = await Seller.findOneAndUpdate(
+    {
+      _id: seller._id,
+      authCodeFailedAttempts: { $not: { $gte: SELLER_AUTH_MAX_ATTEMPTS } },
+      authCodeLockedUntil: { $not: { $gt: new Date() } },
+    },
+    { $inc: { authCodeFailedAttempts: 1 } },
+    { new: true, projection: { authCodeFailedAttempts: 1 } }
+  );
+  if (!attempt) {
+    throw new SellerAuthError('Seller verification temporarily locked. Please try again later.', 'SELLER_AUTH_LOCKED', 423, {
+      unlockAt: await lockSellerAuthCode(seller, req),
+    });
+  }
+
+  const isValid = await bcrypt.compare(String(code || ''), seller.sellerAuthCodeHash);
+  if (!isValid) {
+    if (attempt.authCodeFailedAttempts >= SELLER_AUTH_MAX_ATTEMPTS) {
+      const unlockAt = await lockSellerAuthCode(seller, req);
+      throw new SellerAuthError('Seller verification locked due to too many failed attempts', 'SELLER_AUTH_LOCKED', 423, { unlockAt });
+    }
+
+    throw new SellerAuthError('Invalid seller auth code', 'SELLER_AUTH_INVALID', 401, {
+      remainingAttempts: SELLER_AUTH_MAX_ATTEMPTS - attempt.authCodeFailedAttempts,
+    });
+  }
+
+  await Seller.updateOne({ _id: seller._id }, { $set: { authCodeFailedAttempts: 0, authCodeLockedUntil: null } });
+  seller.authCodeFailedAttempts = 0;
+  seller.authCodeLockedUntil = null;
+};
+
+/**
+ * Set a new seller auth code on the document (caller saves)
+ * @param {Object} seller - Seller document
+ * @param {string} code - New 6-digit code
+ */
+const setSellerAuthCode = async (seller, code) => {
+  seller.sellerAuthCodeHash = await bcrypt.hash(String(code), 10);
+  seller.authCodeFailedAttempts = 0;
+  seller.authCodeLockedUntil = null;
+};
+
+const alertNewDevice = async (seller, user, device) => {
+  const label = device.name || 'a new device';
+  const message = `Your Sooki seller account was accessed from ${label}. If this wasn't you, revoke the device and change your seller auth code.`;
+
+  const results = await Promise.allSettled([
+    Notification.create({ recipient: user._id, message }),
+    seller.fcmToken || user.fcmToken
+      ? sendPushNotification(seller.fcmToken || user.fcmToken, 'New device signed in', message, {
+        type: 'seller_device_bound',
+        deviceId: device.deviceId,
+      })
+      : null,
+    seller.phoneNumber ? sendSms(seller.phoneNumber, message) : null,
+  ]);
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('❌ [SELLER AUTH] New device alert failed:', result.reason?.message));
+};
+
+/**
+ * Bind the device if it is new (alerting the seller) and record the authentication.
+ * Caller saves.
+ * @returns {Promise<{ device: Object, isNew: boolean }>}
+ */
+const bindDevice = async (seller, user, { deviceId, deviceName }, req) => {
+  const now = new Date();
+  let device = findDevice(seller, deviceId);
+  const isNew = !device;
+
+  if (isNew) {
+    if ((seller.deviceBindings || []).length >= SELLER_MAX_DEVICES) {
+      throw new SellerAuthError(
+        `You can bind up to ${SELLER_MAX_DEVICES} devices. Revoke one before adding another.`,
+        'SELLER_DEVICE_LIMIT',
+        409
+      );
+    }
+    seller.deviceBindings.push({ deviceId, name: deviceName, boundAt: now });
+    device = findDevice(seller, deviceId);
+  }
+
+  device.lastAuthAt = now;
+  seller.lastDeviceAuthAt = now;
+
+  if (isNew) {
+    await recordAudit(req, {
+      action: 'seller.device_bind',
+      target: { type: 'Seller', id: seller._id },
+      after: { deviceId, name: deviceName },
+    });
+    alertNewDevice(seller, user, device).catch(() => {});
+  }
+
+  return { device, isNew };
+};
+
+/**
+ * Issue a seller-scoped access token, bound to one seller device
+ * @returns {Object} { sellerToken, expiresIn }
+ */
+const issueSellerToken = (user, seller, deviceId) => {
+  const sellerToken = jwt.sign(
+    {
+      userId: user._id,
+      sellerId: seller._id,
+      deviceId,
+      tokenType: 'seller',
+      tokenVersion: user.tokenVersion || 0,
+      ...(user.isAdmin && { isAdmin: true }),
+    },
+    JWT_SECRET,
+    { expiresIn: SELLER_TOKEN_TTL_SECONDS }
+  );
+  return { sellerToken, expiresIn: SELLER_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Public view of a bound device
+ */
+const serializeDevice = (binding, currentDeviceId) => ({
+  deviceId: binding.deviceId,
+  name: binding.name || null,
+  boundAt: binding.boundAt,
+  lastAuthAt: binding.lastAuthAt || null,
+  current: binding.deviceId === currentDeviceId,
+});
+
+export {
+  SellerAuthError,
+  isValidSellerAuthCode,
+  isValidDeviceId,
+  findDevice,
+  verifySellerAuthCode,
+  setSellerAuthCode,
+  bindDevice,
+  issueSellerToken,
+  serializeDevice,
+};
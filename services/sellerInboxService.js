@@ -0,0 +1,221 @@
+/**
+ * Seller Inbox Service
+ * Paged, filterable view of a seller's orders. Orders are read newest first
+ * with a keyset cursor on (createdAt, _id), products and buyers are loaded in
+ * one batch per page, and the per-status tab counts come from one aggregation
+ * over the same filters (minus the status filter itself).
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+const PAYMENT_STATUSES = Order.schema.path('payment.status').enumValues;
+
+class InboxQueryError extends Error {
+  constructor(message, code = 'INVALID_QUERY', status = 400, details = {}) {
+    super(message);
+    this.name = 'InboxQueryError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Opaque cursor for the last order on a page
+ */
+const encodeCursor = (order) =>
+  Buffer.from(JSON.stringify({ t: order.createdAt.getTime(), id: String(order._id) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) throw new Error('malformed');
+    return { createdAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new InboxQueryError('Invalid cursor', 'INVALID_CURSOR');
+  }
+};
+
+// Comma-separated query value -> array, each checked against the allowed values
+const readList = (value, allowed, field) => {
+  if (!value) return null;
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = values.filter(item => !allowed.includes(item));
+  if (invalid.length) {
+    throw new InboxQueryError(`Invalid ${field}: ${invalid.join(', ')}`, 'INVALID_FILTER', 400, { allowed });
+  }
+  return values;
+};
+
+const readDate = (value, field) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InboxQueryError(`Invalid ${field} date`, 'INVALID_FILTER');
+  }
+  return date;
+};
+
+/**
+ * Mongo filter for everything except status, so the tab counts can share it
+ * @param {string} sellerId
+ * @param {Object} query - { from, to, paymentStatus, paymentMethod, q }
+ * @returns {Object}
+ */
+const buildBaseFilter = (sellerId, { from, to, paymentStatus, paymentMethod, q }) => {
+  const filter = { sellerId: new mongoose.Types.ObjectId(String(sellerId)) };
+
+  const fromDate = readDate(from, 'from');
+  const toDate = readDate(to, 'to');
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  const paymentStatuses = readList(paymentStatus, PAYMENT_STATUSES, 'paymentStatus');
+  if (paymentStatuses) filter['payment.status'] = { $in: paymentStatuses };
+  if (paymentMethod) filter['payment.method'] = String(paymentMethod);
+
+  const search = String(q || '').trim();
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.replace(/^#/, '')), 'i');
+    filter.$or = [{ orderNumber: pattern }, { buyerName: pattern }, { 'shippingAddress.name': pattern }];
+  }
+
+  return filter;
+};
+
+/**
+ * Order count per status (every status is present, zero if empty) plus the total
+ * @param {Object} baseFilter
+ * @returns {Promise<Object>}
+ */
+const countByStatus = async (baseFilter) => {
+  const rows = await Order.aggregate([
+    { $match: baseFilter },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
+  rows.forEach(row => { counts[row._id] = row.count; });
+  counts.all = rows.reduce((sum, row) => sum + row.count, 0);
+  return counts;
+};
+
+/**
+ * Inbox row: the order with product images and buyer contact attached
+ */
+const toInboxEntry = (order, productsById, buyersById) => {
+  const buyer = buyersById.get(String(order.userId));
+  const buyerName = buyer ? `${buyer.firstName || ''} ${buyer.lastName || ''}`.trim() : '';
+
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    createdAt: order.createdAt,
+    buyer: {
+      _id: order.userId,
+      name: order.buyerName || buyerName || 'Unknown Customer',
+      phone: buyer?.phone || order.shippingAddress?.phone,
+    },
+    items: order.items.map(item => {
+      const product = productsById.get(String(item.product._id));
+      return {
+        productId: item.product._id,
+        name: item.product.name,
+        image: item.product.imageUrl || product?.images?.[0] || null,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+        ...(item.addOns && { addOns: item.addOns }),
+      };
+    }),
+    itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+    summary: order.summary,
+    payment: { method: order.payment?.method, status: order.payment?.status },
+    processingDeadline: order.processingDeadline,
+    sla: order.sla,
+    driverAssignment: order.driverAssignment?.driverId ? { driverId: order.driverAssignment.driverId } : undefined,
+  };
+};
+
+/**
+ * Load the products and buyers for a page of orders in one query each
+ * @param {Object[]} orders - Lean orders
+ * @returns {Promise<Object>} { productsById, buyersById }
+ */
+const loadOrderRelations = async (orders) => {
+  const productIds = [...new Set(orders.flatMap(order => order.items.map(item => String(item.product._id))))];
+  const userIds = [...new Set(orders.map(order => String(order.userId)))];
+
+  const [products, buyers] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('name images').lean(),
+    User.find({ _id: { $in: userIds } }).select('firstName lastName email phone').lean(),
+  ]);
+
+  return {
+    productsById: new Map(products.map(product => [String(product._id), product])),
+    buyersById: new Map(buyers.map(buyer => [String(buyer._id), buyer])),
+  };
+};
+
+/**
+ * One page of a seller's inbox
+ * @param {string} sellerId
+ * @param {Object} query - { status, paymentStatus, paymentMethod, from, to, q, cursor, limit, counts }
+ * @returns {Promise<Object>} { orders, nextCursor, hasMore, counts }
+ */
+const getSellerInbox = async (sellerId, query = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const baseFilter = buildBaseFilter(sellerId, query);
+
+  const filter = { ...baseFilter };
+  const statuses = readList(query.status, ORDER_STATUSES, 'status');
+  if (statuses) filter.status = { $in: statuses };
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor);
+    const page = { $or: [{ createdAt: { $lt: after.createdAt } }, { createdAt: after.createdAt, _id: { $lt: after._id } }] };
+    // The search filter already uses $or
+    if (filter.$or) {
+      filter.$and = [{ $or: filter.$or }, page];
+      delete filter.$or;
+    } else {
+      Object.assign(filter, page);
+    }
+  }
+
+  // Counts are skipped on later pages unless asked for; the tabs already have them
+  const wantCounts = query.counts === 'true' || query.counts === true || !query.cursor;
+
+  const [rows, counts] = await Promise.all([
+    Order.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean(),
+    wantCounts ? countByStatus(baseFilter) : null,
+  ]);
+
+  const hasMore = rows.length > limit;
+  const orders = hasMore ? rows.slice(0, limit) : rows;
+  const { productsById, buyersById } = await loadOrderRelations(orders);
+
+  return {
+    orders: orders.map(order => toInboxEntry(order, productsById, buyersById)),
+    nextCursor: hasMore ? encodeCursor(orders[orders.length - 1]) : null,
+    hasMore,
+    ...(counts && { counts }),
+  };
+};
+
+export {
+  InboxQueryError,
+  loadOrderRelations,
+  getSellerInbox,
+};
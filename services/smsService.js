@@ -0,0 +1,83 @@
+/**
+ * SMS Service
+ * Pluggable outbound SMS. The provider is chosen with SMS_PROVIDER:
+ *  - console (default): logs that a message was sent, with codes masked, for local development
+ *  - file: appends the message to SMS_OUTBOX_FILE, for QA devices without a SIM
+ *  - semaphore: Semaphore PH gateway (SEMAPHORE_API_KEY, SEMAPHORE_SENDER_NAME)
+ * The console and file providers are refused when NODE_ENV=production.
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+
+const providers = new Map();
+
+// Development-only providers: they never reach a phone and the file one stores codes in plain text
+const LOCAL_PROVIDERS = ['console', 'file'];
+
+// OTPs and auth codes must never end up in logs
+const maskCodes = (message) => message.replace(/\d{4,}/g, digits => '•'.repeat(digits.length));
+
+/**
+ * Register (or replace) an SMS provider
+ * @param {string} name - Provider name referenced by SMS_PROVIDER
+ * @param {Function} send - async (to, message) => { messageId }
+ */
+export const registerSmsProvider = (name, send) => {
+  providers.set(name, send);
+};
+
+registerSmsProvider('console', async (to, message) => {
+  console.log(`📱 [SMS → ${to}] ${maskCodes(message)}`);
+  return { messageId: `console-${Date.now()}` };
+});
+
+registerSmsProvider('file', async (to, message) => {
+  const outbox = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'sms-outbox.log');
+  const line = `${new Date().toISOString()}\t${to}\t${message}\n`;
+  await fs.promises.appendFile(outbox, line, 'utf8');
+  return { messageId: `file-${Date.now()}` };
+});
+
+registerSmsProvider('semaphore', async (to, message) => {
+  const apiKey = process.env.SEMAPHORE_API_KEY;
+  if (!apiKey) {
+    throw new Error('SEMAPHORE_API_KEY is not set');
+  }
+  const response = await axios.post('https://api.semaphore.co/api/v4/messages', {
+    apikey: apiKey,
+    number: to,
+    message,
+    sendername: process.env.SEMAPHORE_SENDER_NAME || undefined,
+  }, { timeout: 10000 });
+  return { messageId: response.data?.[0]?.message_id };
+});
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Normalized phone number
+ * @param {string} message - Message body
+ * @returns {Promise<Object>} { success, messageId, error }
+ */
+export const sendSms = async (to, message) => {
+  const providerName = process.env.SMS_PROVIDER || 'console';
+  if (process.env.NODE_ENV === 'production' && LOCAL_PROVIDERS.includes(providerName)) {
+    console.error(`❌ SMS provider "${providerName}" is for development only; set SMS_PROVIDER for production`);
+    return { success: false, error: `SMS provider ${providerName} is not allowed in production` };
+  }
+
+  const send = providers.get(providerName);
+  if (!send) {
+    console.error(`❌ Unknown SMS provider: ${providerName}`);
+    return { success: false, error: `Unknown SMS provider: ${providerName}` };
+  }
+
+  try {
+    const { messageId } = await send(to, message);
+    return { success: true, messageId };
+  } catch (error) {
+    console.error(`❌ SMS send failed via ${providerName}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
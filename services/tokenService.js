@@ -0,0 +1,284 @@
+/**
+ * Token Service
+ * Issues access/refresh token pairs and manages the hashed refresh token store
+ * on the account document (rotation, reuse detection and revocation).
+ * Users and drivers share the same session lifecycle; driver tokens carry
+ * driverId instead of userId.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Driver from '../models/Driver.js';
+import { JWT_SECRET } from '../config/authConfig.js';
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || String(8 * 3600), 10);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10);
+const MAX_ACTIVE_SESSIONS = parseInt(process.env.MAX_ACTIVE_SESSIONS || '10', 10);
+
+class TokenError extends Error {
+  constructor(message, code = 'INVALID_TOKEN', status = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Account kinds that hold sessions: the model, the id claim and the extra access claims
+const ACCOUNTS = {
+  user: {
+    Model: User,
+    idClaim: 'userId',
+    assertCanSignIn: (user) => {
+      if (user.suspendedAt) {
+        throw new TokenError('This account has been suspended', 'ACCOUNT_SUSPENDED', 403);
+      }
+    },
+    accessClaims: (user) => ({
+      email: user.email,
+      phone: user.phone,
+      userType: user.userType,
+      ...(user.isAdmin && { isAdmin: true }),
+    }),
+  },
+  driver: {
+    Model: Driver,
+    idClaim: 'driverId',
+    assertCanSignIn: (driver) => {
+      if (driver.status !== 'active') {
+        throw new TokenError('Driver account is inactive', 'ACCOUNT_INACTIVE', 403);
+      }
+    },
+    accessClaims: (driver) => ({ email: driver.email, role: 'driver' }),
+  },
+};
+
+/**
+ * Refresh tokens are never stored in plain text, only their SHA-256 digest
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const issueAccountTokens = async (kind, account) => {
+  const { Model, idClaim, assertCanSignIn, accessClaims } = ACCOUNTS[kind];
+  assertCanSignIn(account);
+
+  const accessToken = jwt.sign(
+    {
+      [idClaim]: account._id,
+      ...accessClaims(account),
+      tokenType: 'access',
+      tokenVersion: account.tokenVersion || 0,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+  const refreshToken = jwt.sign(
+    {
+      [idClaim]: account._id,
+      tokenType: 'refresh',
+      tokenVersion: account.tokenVersion || 0,
+    },
+    JWT_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`, jwtid: crypto.randomUUID() }
+  );
+
+  // Keep only the most recent sessions so the array cannot grow unbounded. The
+  // oldest ones are remembered as evicted so their next refresh is refused
+  // without being mistaken for token theft.
+  const sessions = { $ifNull: ['$refreshTokens', []] };
+  const kept = MAX_ACTIVE_SESSIONS > 1 ? { $slice: [sessions, -(MAX_ACTIVE_SESSIONS - 1)] } : { $literal: [] };
+  await Model.updateOne({ _id: account._id }, [{
+    $set: {
+      evictedRefreshTokens: {
+        $slice: [
+          { $concatArrays: [{ $ifNull: ['$evictedRefreshTokens', []] }, { $setDifference: [sessions, kept] }] },
+          -MAX_ACTIVE_SESSIONS,
+        ],
+      },
+      refreshTokens: { $concatArrays: [kept, [hashToken(refreshToken)]] },
+    },
+  }]);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshExpiresIn: REFRESH_TOKEN_TTL_DAYS * 24 * 3600,
+  };
+};
+
+/**
+ * Issue a new access/refresh pair and register the refresh token as an active session.
+ * Suspended accounts are refused with ACCOUNT_SUSPENDED.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, refreshExpiresIn }
+ */
+const issueTokens = (user) => issueAccountTokens('user', user);
+
+/**
+ * Driver equivalent of issueTokens. Inactive drivers are refused with ACCOUNT_INACTIVE.
+ * @param {Object} driver - Driver document
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, refreshExpiresIn }
+ */
+const issueDriverTokens = (driver) => issueAccountTokens('driver', driver);
+
+/**
+ * Verify an access token. Refresh tokens are rejected so they cannot be used as bearer tokens.
+ * @param {string} token - Raw JWT
+ * @returns {Object} Decoded payload
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.tokenType === 'refresh') {
+    throw new TokenError('Refresh token cannot be used for API access');
+  }
+  return decoded;
+};
+
+const decodeRefreshToken = (kind, refreshToken, options = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, JWT_SECRET, options);
+  } catch (err) {
+    throw new TokenError('Invalid or expired refresh token');
+  }
+  // A driver refresh token is never accepted on the user endpoint and vice versa
+  if (decoded.tokenType !== 'refresh' || !decoded[ACCOUNTS[kind].idClaim]) {
+    throw new TokenError('Invalid refresh token');
+  }
+  return decoded;
+};
+
+const revokeAllAccountSessions = async (kind, accountId) => {
+  const updated = await ACCOUNTS[kind].Model.findOneAndUpdate(
+    { _id: accountId },
+    { $set: { refreshTokens: [], evictedRefreshTokens: [], signedOutRefreshTokens: [] }, $inc: { tokenVersion: 1 } },
+    { new: true, projection: { tokenVersion: 1 } }
+  );
+  return updated?.tokenVersion;
+};
+
+const rotateAccountRefreshToken = async (kind, refreshToken) => {
+  const { Model, idClaim } = ACCOUNTS[kind];
+  const decoded = decodeRefreshToken(kind, refreshToken);
+  const accountId = decoded[idClaim];
+  const tokenHash = hashToken(refreshToken);
+
+  const account = await Model.findOneAndUpdate(
+    { _id: accountId, refreshTokens: tokenHash },
+    { $pull: { refreshTokens: tokenHash } },
+    { new: true }
+  );
+
+  if (!account) {
+    const owner = await Model.findById(accountId).select('tokenVersion').lean();
+    if (!owner) {
+      throw new TokenError('Invalid refresh token');
+    }
+    // Issued before a password/MPIN change or "log out all devices"
+    if ((decoded.tokenVersion || 0) !== (owner.tokenVersion || 0)) {
+      throw new TokenError('This session has been revoked. Please sign in again', 'SESSION_REVOKED');
+    }
+
+    // Signed out because newer sessions took its place: ask for a fresh login
+    const evicted = await Model.findOneAndUpdate(
+      { _id: accountId, evictedRefreshTokens: tokenHash },
+      { $pull: { evictedRefreshTokens: tokenHash } },
+      { projection: { _id: 1 } }
+    );
+    if (evicted) {
+      throw new TokenError('This session was signed out because too many devices are signed in', 'SESSION_EVICTED');
+    }
+
+    const signedOut = await Model.findOneAndUpdate(
+      { _id: accountId, signedOutRefreshTokens: tokenHash },
+      { $pull: { signedOutRefreshTokens: tokenHash } },
+      { projection: { _id: 1 } }
+    );
+    if (signedOut) {
+      throw new TokenError('This session has been revoked. Please sign in again', 'SESSION_REVOKED');
+    }
+
+    // A current session token that was already rotated away: someone else has it
+    await revokeAllAccountSessions(kind, accountId);
+    console.warn(`🚨 Refresh token reuse detected for ${kind} ${accountId} - all sessions revoked`);
+    throw new TokenError('Refresh token has already been used or revoked', 'REFRESH_TOKEN_REUSED');
+  }
+
+  const tokens = await issueAccountTokens(kind, account);
+  return { account, tokens };
+};
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is removed from the
+ * session store; presenting it again is treated as theft and revokes every session.
+ * A token evicted by MAX_ACTIVE_SESSIONS is refused with SESSION_EVICTED, and one
+ * ended by logout or a tokenVersion bump with SESSION_REVOKED, without revoking anything.
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<Object>} { user, tokens }
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const { account, tokens } = await rotateAccountRefreshToken('user', refreshToken);
+  return { user: account, tokens };
+};
+
+/**
+ * Driver equivalent of rotateRefreshToken
+ * @returns {Promise<Object>} { driver, tokens }
+ */
+const rotateDriverRefreshToken = async (refreshToken) => {
+  const { account, tokens } = await rotateAccountRefreshToken('driver', refreshToken);
+  return { driver: account, tokens };
+};
+
+const revokeAccountRefreshToken = async (kind, refreshToken) => {
+  // Expired tokens can still be logged out
+  const decoded = decodeRefreshToken(kind, refreshToken, { ignoreExpiration: true });
+  const tokenHash = hashToken(refreshToken);
+  // Remembered so a later refresh with it is refused rather than taken for reuse
+  const result = await ACCOUNTS[kind].Model.updateOne(
+    { _id: decoded[ACCOUNTS[kind].idClaim], refreshTokens: tokenHash },
+    {
+      $pull: { refreshTokens: tokenHash },
+      $push: { signedOutRefreshTokens: { $each: [tokenHash], $slice: -MAX_ACTIVE_SESSIONS } },
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke a single session (logout on this device)
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} True if a session was removed
+ */
+const revokeRefreshToken = (refreshToken) => revokeAccountRefreshToken('user', refreshToken);
+
+const revokeDriverRefreshToken = (refreshToken) => revokeAccountRefreshToken('driver', refreshToken);
+
+/**
+ * Revoke every session for a user. Bumping tokenVersion also invalidates
+ * access tokens that are still within their lifetime.
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} The new tokenVersion
+ */
+const revokeAllSessions = (userId) => revokeAllAccountSessions('user', userId);
+
+const revokeAllDriverSessions = (driverId) => revokeAllAccountSessions('driver', driverId);
+
+export {
+  TokenError,
+  hashToken,
+  issueTokens,
+  issueDriverTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  rotateDriverRefreshToken,
+  revokeRefreshToken,
+  revokeDriverRefreshToken,
+  revokeAllSessions,
+  revokeAllDriverSessions,
+};
@@ -0,0 +1,561 @@
+/**
+ * Voucher Service
+ * Validates promo codes against a set of orders and redeems them. A voucher's
+ * discount is worked out on the lines it is eligible for (order type, seller
+ * and category restrictions), checked against its minimum spend, and spread
+ * over the eligible orders and their lines. Redemption runs inside the
+ * caller's checkout transaction: usage is claimed with a conditional
+ * increment, so a global cap can never be exceeded, and every redemption
+ * writes the voucher document, so concurrent checkouts by the same buyer
+ * conflict and retry instead of both passing the per-user cap. Cancelling an
+ * order reverses its share.
+ */
+
+import mongoose from 'mongoose';
+import Voucher from '../models/Voucher.js';
+import VoucherRedemption from '../models/VoucherRedemption.js';
+import Product from '../models/Product.js';
+
+const MAX_VOUCHERS_PER_ORDER = parseInt(process.env.MAX_VOUCHERS_PER_ORDER || '2', 10);
+
+const VOUCHER_TYPES = ['percentage', 'fixed', 'free_delivery'];
+const VOUCHER_ORDER_TYPES = ['product', 'laundry'];
+const CODE_PATTERN = /^[A-Z0-9_-]{4,20}$/;
+
+// Fields that can change after a voucher is created; code, type and funding are fixed
+const EDITABLE_FIELDS = ['description', 'value', 'maxDiscount', 'minSpend', 'orderTypes', 'categories', 'sellerIds', 'usageLimit', 'perUserLimit', 'startsAt', 'endsAt', 'isActive'];
+
+const REJECTION_MESSAGES = {
+  VOUCHER_NOT_FOUND: 'This voucher code does not exist',
+  VOUCHER_INACTIVE: 'This voucher is no longer available',
+  VOUCHER_NOT_STARTED: 'This voucher is not valid yet',
+  VOUCHER_EXPIRED: 'This voucher has expired',
+  VOUCHER_FULLY_REDEEMED: 'This voucher has been fully redeemed',
+  VOUCHER_USER_LIMIT_REACHED: 'You have already used this voucher',
+  VOUCHER_NOT_COMBINABLE: 'Only one voucher per seller and one platform voucher can be used together',
+  VOUCHER_NOT_APPLICABLE: 'This voucher does not apply to the items in your order',
+  MIN_SPEND_NOT_MET: 'Your order does not meet the minimum spend for this voucher',
+};
+
+class VoucherError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'VoucherError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const categoryKeys = (category) =>
+  [category?._id, category?.slug, category?.name].filter(Boolean).map(value => String(value).toLowerCase());
+
+/**
+ * Read voucher codes from a request body value (one code or a list)
+ * @param {string|Array} input
+ * @returns {string[]} Distinct upper-case codes
+ */
+const readVoucherCodes = (input) => {
+  if (input == null || input === '') return [];
+  const codes = [...new Set((Array.isArray(input) ? input : [input]).map(normalizeCode).filter(Boolean))];
+  if (codes.length > MAX_VOUCHERS_PER_ORDER) {
+    throw new VoucherError(`At most ${MAX_VOUCHERS_PER_ORDER} vouchers can be used at once`, 'TOO_MANY_VOUCHERS', 400, {
+      maxVouchers: MAX_VOUCHERS_PER_ORDER,
+    });
+  }
+  return codes;
+};
+
+/**
+ * Describe product orders for voucher evaluation. Accepts saved orders or
+ * unsaved previews ({ sellerId, items, summary }).
+ * @param {Array} orders
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<Array>} Voucher targets
+ */
+const productVoucherTargets = async (orders, { session } = {}) => {
+  const productIds = [...new Set(orders.flatMap(order => order.items.map(item => String(item.product._id))))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('category').session(session || null).lean();
+  const categoriesById = new Map(products.map(product => [String(product._id), categoryKeys(product.category)]));
+
+  return orders.map(order => ({
+    orderType: 'product',
+    key: String(order._id || order.sellerId),
+    orderId: order._id,
+    sellerId: order.sellerId,
+    lines: order.items.map((item, index) => ({
+      index,
+      amount: item.totalPrice,
+      categories: categoriesById.get(String(item.product._id)) || [],
+    })),
+    subtotal: order.summary?.subtotal || 0,
+    deliveryFee: order.summary?.shippingFee || 0,
+  }));
+};
+
+/**
+ * Describe a laundry order for voucher evaluation. Laundry has no product
+ * categories, so category-restricted vouchers never apply to it.
+ * @param {Object} order - LaundryOrder document
+ * @returns {Object} Voucher target
+ */
+const laundryVoucherTarget = (order) => ({
+  orderType: 'laundry',
+  key: String(order._id),
+  orderId: order._id,
+  shopId: order.shopId?._id || order.shopId,
+  lines: [{ index: 0, amount: order.pricing.subtotal, categories: [] }],
+  subtotal: order.pricing.subtotal,
+  deliveryFee: (order.pricing.pickupFee || 0) + (order.pricing.deliveryFee || 0),
+});
+
+// Lines of a target the voucher may discount
+const eligibleLines = (voucher, target) => {
+  if (!(voucher.orderTypes || ['product']).includes(target.orderType)) return [];
+  if (voucher.fundedBy === 'seller' && (target.orderType !== 'product' || String(voucher.sellerId) !== String(target.sellerId))) return [];
+  if (voucher.sellerIds?.length && !voucher.sellerIds.some(id => String(id) === String(target.sellerId))) return [];
+
+  const categories = (voucher.categories || []).map(category => String(category).toLowerCase());
+  return target.lines.filter(line => !categories.length || line.categories.some(key => categories.includes(key)));
+};
+
+// Amount of a target's lines the voucher may discount
+const eligibleAmount = (voucher, target) =>
+  eligibleLines(voucher, target).reduce((sum, line) => sum + line.amount, 0);
+
+// Proportional split of an amount by weight; the last entry takes the rounding remainder
+const splitByWeight = (amount, entries) => {
+  const totalWeight = entries.reduce((sum, { weight }) => sum + weight, 0);
+  let allocated = 0;
+  return entries.map(({ weight, ...entry }, index) => {
+    const share = index === entries.length - 1
+      ? roundMoney(amount - allocated)
+      : roundMoney((amount * weight) / totalWeight);
+    allocated = roundMoney(allocated + share);
+    return { ...entry, amount: share };
+  });
+};
+
+// A share of an order's discount spread over the lines it was earned on, so a
+// return refunds what was actually paid for each line. Free delivery only
+// discounts shipping and has no line shares.
+const lineShares = (voucher, target, amount) => {
+  if (voucher.type === 'free_delivery') return [];
+  const lines = eligibleLines(voucher, target).filter(line => line.amount > 0);
+  return splitByWeight(amount, lines.map(line => ({ index: line.index, weight: line.amount })));
+};
+
+// Why the voucher cannot be used at all right now, regardless of the order
+const availabilityProblem = (voucher, { userUses, now }) => {
+  if (!voucher.isActive) return 'VOUCHER_INACTIVE';
+  if (voucher.startsAt && voucher.startsAt > now) return 'VOUCHER_NOT_STARTED';
+  if (voucher.endsAt && voucher.endsAt <= now) return 'VOUCHER_EXPIRED';
+  if (voucher.usageLimit && voucher.usedCount >= voucher.usageLimit) return 'VOUCHER_FULLY_REDEEMED';
+  if (userUses >= (voucher.perUserLimit || 1)) return 'VOUCHER_USER_LIMIT_REACHED';
+  return null;
+};
+
+/**
+ * Work out one voucher's discount and its split over the targets. Shares are
+ * capped by what is left to discount on each order.
+ * @returns {Object} { reason } or { amount, allocations: [{ target, amount }] }
+ */
+const computeDiscount = (voucher, targets, remaining) => {
+  const eligible = targets
+    .map(target => ({ target, base: eligibleAmount(voucher, target) }))
+    .filter(({ base }) => base > 0);
+  if (!eligible.length) return { reason: 'VOUCHER_NOT_APPLICABLE' };
+
+  const eligibleSubtotal = eligible.reduce((sum, { base }) => sum + base, 0);
+  if (eligibleSubtotal < (voucher.minSpend || 0)) {
+    return { reason: 'MIN_SPEND_NOT_MET', details: { minSpend: voucher.minSpend, eligibleSubtotal } };
+  }
+
+  const weighted = voucher.type === 'free_delivery'
+    ? eligible.map(({ target }) => ({ target, weight: target.deliveryFee })).filter(({ weight }) => weight > 0)
+    : eligible.map(({ target, base }) => ({ target, weight: base }));
+  const totalWeight = weighted.reduce((sum, { weight }) => sum + weight, 0);
+
+  let amount = voucher.type === 'percentage' ? (eligibleSubtotal * voucher.value) / 100
+    : voucher.type === 'fixed' ? Math.min(voucher.value, eligibleSubtotal)
+      : totalWeight;
+  if (voucher.maxDiscount && voucher.type !== 'fixed') amount = Math.min(amount, voucher.maxDiscount);
+  amount = roundMoney(amount);
+  if (amount <= 0 || totalWeight <= 0) return { reason: 'VOUCHER_NOT_APPLICABLE' };
+
+  // Proportional shares over the orders, then over each order's lines
+  const allocations = splitByWeight(amount, weighted)
+    .map(({ target, amount: share }) => ({ target, amount: Math.min(share, remaining.get(target.key)) }))
+    .filter(allocation => allocation.amount > 0)
+    .map(allocation => ({ ...allocation, lines: lineShares(voucher, allocation.target, allocation.amount) }));
+
+  const total = roundMoney(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  if (total <= 0) return { reason: 'VOUCHER_NOT_APPLICABLE' };
+  return { amount: total, allocations };
+};
+
+/**
+ * Check each code against the orders, in the order given. Valid vouchers
+ * reduce what is left for the ones after them.
+ * @param {string[]} codes - Output of readVoucherCodes
+ * @param {Array} targets - From productVoucherTargets / laundryVoucherTarget
+ * @param {Object} options
+ * @param {string} options.userId - Buyer
+ * @param {Object} [options.session]
+ * @returns {Promise<Array>} [{ code, voucher, valid, reason, amount, allocations }]
+ */
+const evaluateVouchers = async (codes, targets, { userId, session, now = new Date() }) => {
+  if (!codes.length) return [];
+
+  const vouchers = await Voucher.find({ code: { $in: codes } }).session(session || null);
+  const vouchersByCode = new Map(vouchers.map(voucher => [voucher.code, voucher]));
+  const uses = await VoucherRedemption.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), voucherId: { $in: vouchers.map(voucher => voucher._id) }, status: 'applied' } },
+    { $group: { _id: '$voucherId', count: { $sum: 1 } } },
+  ]).session(session || null);
+  const usesByVoucher = new Map(uses.map(use => [String(use._id), use.count]));
+
+  const remaining = new Map(targets.map(target => [target.key, target.subtotal + target.deliveryFee]));
+  const funders = new Set();
+
+  return codes.map((code) => {
+    const voucher = vouchersByCode.get(code);
+    const reject = (reason, details = {}) => ({ code, voucher, valid: false, reason, details, amount: 0, allocations: [] });
+
+    if (!voucher) return reject('VOUCHER_NOT_FOUND');
+    const problem = availabilityProblem(voucher, { userUses: usesByVoucher.get(String(voucher._id)) || 0, now });
+    if (problem) return reject(problem);
+    const funder = voucher.fundedBy === 'seller' ? `seller:${voucher.sellerId}` : 'platform';
+    if (funders.has(funder)) return reject('VOUCHER_NOT_COMBINABLE');
+
+    const result = computeDiscount(voucher, targets, remaining);
+    if (result.reason) return reject(result.reason, result.details);
+
+    funders.add(funder);
+    result.allocations.forEach(({ target, amount }) => remaining.set(target.key, roundMoney(remaining.get(target.key) - amount)));
+    return { code, voucher, valid: true, amount: result.amount, allocations: result.allocations };
+  });
+};
+
+/**
+ * Client-facing view of evaluateVouchers
+ * @returns {Object} { vouchers: [...], discount }
+ */
+const describeVoucherResults = (results) => ({
+  vouchers: results.map(result => ({
+    code: result.code,
+    valid: result.valid,
+    ...(result.valid
+      ? {
+        fundedBy: result.voucher.fundedBy,
+        type: result.voucher.type,
+        description: result.voucher.description,
+        amount: result.amount,
+        allocations: result.allocations.map(({ target, amount }) => ({
+          sellerId: target.sellerId,
+          shopId: target.shopId,
+          amount,
+        })),
+      }
+      : { reason: result.reason, message: REJECTION_MESSAGES[result.reason], ...result.details }),
+  })),
+  discount: roundMoney(results.reduce((sum, result) => sum + result.amount, 0)),
+});
+
+/**
+ * Redeem vouchers for orders that were just created, inside their transaction.
+ * Any code that does not apply fails the whole checkout.
+ * @param {string[]} codes - Output of readVoucherCodes
+ * @param {Object} options
+ * @param {string} options.userId - Buyer
+ * @param {Array} options.targets - Targets for the new orders (must carry orderId)
+ * @param {string} [options.checkoutId]
+ * @param {Object} options.session - Mongo session with an open transaction
+ * @returns {Promise<Map>} target key -> [{ voucherId, code, fundedBy, amount, lines: [{ index, amount }] }]
+ */
+const redeemVouchers = async (codes, { userId, targets, checkoutId, session }) => {
+  const discounts = new Map();
+  if (!codes.length) return discounts;
+
+  const results = await evaluateVouchers(codes, targets, { userId, session });
+  const rejected = results.find(result => !result.valid);
+  if (rejected) {
+    throw new VoucherError(`${rejected.code}: ${REJECTION_MESSAGES[rejected.reason]}`, rejected.reason, 422, {
+      voucherCode: rejected.code,
+      ...rejected.details,
+    });
+  }
+
+  for (const { code, voucher, amount, allocations } of results) {
+    const claimed = await Voucher.updateOne(
+      { _id: voucher._id, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+      { $inc: { usedCount: 1 } },
+      { session }
+    );
+    if (claimed.modifiedCount !== 1) {
+      throw new VoucherError(`${code}: ${REJECTION_MESSAGES.VOUCHER_FULLY_REDEEMED}`, 'VOUCHER_FULLY_REDEEMED', 422, { voucherCode: code });
+    }
+
+    await VoucherRedemption.create([{
+      voucherId: voucher._id,
+      code,
+      fundedBy: voucher.fundedBy,
+      userId,
+      orderType: allocations[0].target.orderType,
+      checkoutId,
+      allocations: allocations.map(({ target, amount: share }) => ({
+        orderId: target.orderId,
+        sellerId: target.sellerId,
+        shopId: target.shopId,
+        amount: share,
+      })),
+      amount,
+    }], { session });
+
+    allocations.forEach(({ target, amount: share, lines }) => {
+      if (!discounts.has(target.key)) discounts.set(target.key, []);
+      discounts.get(target.key).push({ voucherId: voucher._id, code, fundedBy: voucher.fundedBy, amount: share, lines });
+    });
+  }
+
+  console.log(`🎟️ [VOUCHER] Redeemed ${codes.join(', ')} for user ${userId}`);
+  return discounts;
+};
+
+/**
+ * Reverse the voucher shares of a cancelled order. A redemption whose shares
+ * are all reversed stops counting towards the voucher's usage caps.
+ * @param {string} orderId - Product or laundry order
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<number>} Redemptions touched
+ */
+const reverseVoucherRedemptions = async (orderId, { session } = {}) => {
+  const redemptions = await VoucherRedemption.find({ 'allocations.orderId': orderId, status: 'applied' }).session(session || null);
+  const now = new Date();
+
+  for (const redemption of redemptions) {
+    redemption.allocations
+      .filter(allocation => String(allocation.orderId) === String(orderId) && !allocation.reversedAt)
+      .forEach((allocation) => { allocation.reversedAt = now; });
+
+    if (redemption.allocations.every(allocation => allocation.reversedAt)) {
+      redemption.status = 'reversed';
+      redemption.reversedAt = now;
+      await Voucher.updateOne({ _id: redemption.voucherId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+    }
+    await redemption.save({ session });
+  }
+
+  if (redemptions.length) {
+    console.log(`🎟️ [VOUCHER] Reversed ${redemptions.length} redemption(s) for order ${orderId}`);
+  }
+  return redemptions.length;
+};
+
+/**
+ * Save a new laundry order with its vouchers redeemed, in one transaction
+ * @param {Object} order - Unsaved LaundryOrder document with pricing filled in
+ * @param {string|Array} voucherCodes - Promo codes from the request
+ * @returns {Promise<Object>} The saved order
+ */
+const saveLaundryOrderWithVouchers = async (order, voucherCodes) => {
+  const codes = readVoucherCodes(voucherCodes);
+  if (!codes.length) return order.save();
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const discounts = await redeemVouchers(codes, { userId: order.customerId, targets: [laundryVoucherTarget(order)], session });
+      const vouchers = discounts.get(String(order._id)) || [];
+      const { subtotal, pickupFee = 0, deliveryFee = 0 } = order.pricing;
+      order.vouchers = vouchers.map(({ lines, ...voucher }) => voucher);
+      order.pricing.discount = roundMoney(vouchers.reduce((sum, voucher) => sum + voucher.amount, 0));
+      order.pricing.total = Math.max(subtotal + pickupFee + deliveryFee - order.pricing.discount, 0);
+      order.totalAmount = order.pricing.total;
+      await order.save({ session });
+    });
+    return order;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Save a laundry order whose status was just changed. Cancelling it reverses
+ * its vouchers in the same transaction.
+ * @param {Object} order - LaundryOrder document with the new status set
+ * @param {string} previousStatus - Status before the change
+ * @returns {Promise<Object>} The saved order
+ */
+const saveLaundryOrderStatus = async (order, previousStatus) => {
+  const cancelling = order.status === 'cancelled' && previousStatus !== 'cancelled';
+  if (!cancelling || !order.vouchers?.length) return order.save();
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await order.save({ session });
+      await reverseVoucherRedemptions(order._id, { session });
+    });
+    return order;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const toDate = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new VoucherError(`${field} must be a date`, 'INVALID_VOUCHER', 400, { field });
+  }
+  return date;
+};
+
+const toAmount = (value, field, { integer = false, min = 0 } = {}) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw new VoucherError(`${field} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}`, 'INVALID_VOUCHER', 400, { field });
+  }
+  return number;
+};
+
+/**
+ * Validate voucher fields from a request body
+ * @param {Object} body
+ * @param {Object} options
+ * @param {string} options.fundedBy - platform or seller
+ * @param {Object} [options.current] - Existing voucher, when updating
+ * @returns {Object} Fields to set
+ */
+const readVoucherInput = (body, { fundedBy, current = null }) => {
+  const fields = {};
+  const given = (field) => body[field] !== undefined;
+
+  if (!current) {
+    fields.code = normalizeCode(body.code);
+    if (!CODE_PATTERN.test(fields.code)) {
+      throw new VoucherError('code must be 4–20 letters, digits, dashes or underscores', 'INVALID_VOUCHER', 400, { field: 'code' });
+    }
+    if (!VOUCHER_TYPES.includes(body.type)) {
+      throw new VoucherError(`type must be one of ${VOUCHER_TYPES.join(', ')}`, 'INVALID_VOUCHER', 400, { field: 'type' });
+    }
+    fields.type = body.type;
+  }
+  const type = current?.type || fields.type;
+
+  if (given('description')) fields.description = String(body.description || '').trim().slice(0, 200) || undefined;
+  if (given('value') || !current) {
+    fields.value = type === 'free_delivery' ? 0 : toAmount(body.value ?? NaN, 'value', { min: 0.01 });
+    if (type === 'percentage' && (fields.value < 1 || fields.value > 100)) {
+      throw new VoucherError('A percentage voucher takes a value between 1 and 100', 'INVALID_VOUCHER', 400, { field: 'value' });
+    }
+  }
+  if (given('maxDiscount')) fields.maxDiscount = toAmount(body.maxDiscount, 'maxDiscount', { min: 1 });
+  if (given('minSpend')) fields.minSpend = toAmount(body.minSpend, 'minSpend') || 0;
+  if (given('usageLimit')) fields.usageLimit = toAmount(body.usageLimit, 'usageLimit', { integer: true, min: 1 });
+  if (given('perUserLimit')) fields.perUserLimit = toAmount(body.perUserLimit, 'perUserLimit', { integer: true, min: 1 }) || 1;
+  if (given('startsAt')) fields.startsAt = toDate(body.startsAt, 'startsAt');
+  if (given('endsAt')) fields.endsAt = toDate(body.endsAt, 'endsAt');
+  if (given('isActive')) fields.isActive = body.isActive === true || body.isActive === 'true';
+
+  if (given('orderTypes')) {
+    const orderTypes = Array.isArray(body.orderTypes) ? body.orderTypes : [body.orderTypes];
+    if (!orderTypes.length || orderTypes.some(orderType => !VOUCHER_ORDER_TYPES.includes(orderType))) {
+      throw new VoucherError(`orderTypes must list ${VOUCHER_ORDER_TYPES.join(' and/or ')}`, 'INVALID_VOUCHER', 400, { field: 'orderTypes' });
+    }
+    if (fundedBy === 'seller' && orderTypes.some(orderType => orderType !== 'product')) {
+      throw new VoucherError('Seller vouchers apply to product orders only', 'INVALID_VOUCHER', 400, { field: 'orderTypes' });
+    }
+    fields.orderTypes = [...new Set(orderTypes)];
+  }
+  if (given('categories')) {
+    const categories = (Array.isArray(body.categories) ? body.categories : [body.categories])
+      .map(category => String(category || '').trim())
+      .filter(Boolean);
+    fields.categories = categories.length ? categories : undefined;
+  }
+  if (given('sellerIds')) {
+    if (fundedBy === 'seller') {
+      throw new VoucherError('Seller vouchers always apply to the seller\'s own products', 'INVALID_VOUCHER', 400, { field: 'sellerIds' });
+    }
+    const sellerIds = Array.isArray(body.sellerIds) ? body.sellerIds : [body.sellerIds];
+    if (sellerIds.some(id => !mongoose.Types.ObjectId.isValid(String(id)))) {
+      throw new VoucherError('sellerIds must be seller ids', 'INVALID_VOUCHER', 400, { field: 'sellerIds' });
+    }
+    fields.sellerIds = sellerIds.length ? sellerIds : undefined;
+  }
+
+  const startsAt = fields.startsAt !== undefined ? fields.startsAt : current?.startsAt;
+  const endsAt = fields.endsAt !== undefined ? fields.endsAt : current?.endsAt;
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw new VoucherError('endsAt must be after startsAt', 'INVALID_VOUCHER', 400, { field: 'endsAt' });
+  }
+  return fields;
+};
+
+/**
+ * Create a voucher
+ * @param {Object} body - Request body
+ * @param {Object} owner
+ * @param {string} owner.fundedBy - platform or seller
+ * @param {string} [owner.sellerId] - For seller vouchers
+ * @param {Object} owner.createdBy - { kind: 'admin'|'seller', id }
+ * @returns {Promise<Object>} The saved voucher
+ */
+const createVoucher = async (body, { fundedBy, sellerId, createdBy }) => {
+  const fields = readVoucherInput(body, { fundedBy });
+  try {
+    return await Voucher.create({
+      ...fields,
+      fundedBy,
+      sellerId: fundedBy === 'seller' ? sellerId : undefined,
+      createdBy,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new VoucherError('That voucher code is already taken', 'VOUCHER_CODE_TAKEN', 409, { voucherCode: fields.code });
+    }
+    throw err;
+  }
+};
+
+/**
+ * Update a voucher's editable fields
+ * @param {Object} voucher - Voucher document
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} The saved voucher
+ */
+const updateVoucher = async (voucher, body) => {
+  const fields = readVoucherInput(body, { fundedBy: voucher.fundedBy, current: voucher });
+  const changes = Object.entries(fields).filter(([field]) => EDITABLE_FIELDS.includes(field));
+  if (!changes.length) {
+    throw new VoucherError('Nothing to update', 'NOTHING_TO_UPDATE', 400);
+  }
+  changes.forEach(([field, value]) => voucher.set(field, value === null ? undefined : value));
+  return voucher.save();
+};
+
+export {
+  VoucherError,
+  MAX_VOUCHERS_PER_ORDER,
+  normalizeCode,
+  readVoucherCodes,
+  productVoucherTargets,
+  laundryVoucherTarget,
+  evaluateVouchers,
+  describeVoucherResults,
+  redeemVouchers,
+  saveLaundryOrderWithVouchers,
+  saveLaundryOrderStatus,
+  reverseVoucherRedemptions,
+  createVoucher,
+  updateVoucher,
+};
@@ -1,25 +1,38 @@
 import express from 'express';
 import User from './models/User.js';
-import { authenticateUser } from './middleware/authenticateUser.js';
+import { authenticate } from './middleware/auth.js';
+import { confirmCurrentCredential } from './services/mpinService.js';
+import { recordAudit } from './services/auditService.js';
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from './services/privacyService.js';
 
 const router = express.Router();
 
-// Get all users (consider adding authentication and authorization)
-router.get('/', async (req, res) => {
-  try {
-    const users = await User.find({});
-    res.json({ success: true, users });
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch users', error: error.message });
-  }
+const sendPrivacyError = (res, err) => res.status(err.status).json({
+  success: false,
+  message: err.message,
+  code: err.code,
+  ...err.details,
+});
+
+const deletionStatus = (user) => ({
+  pending: user.isPendingDeletion(),
+  deletionRequestedAt: user.deletionRequestedAt || null,
+  deletionScheduledFor: user.deletionScheduledFor || null,
+  graceDays: ACCOUNT_DELETION_GRACE_DAYS,
 });
 
+// User listing lives in the admin API (GET /api/admin/users)
+
 // Get current user details
-router.get('/me', authenticateUser, async (req, res) => {
+router.get('/me', authenticate, async (req, res) => {
   try {
-    // req.user is populated by authenticateUser middleware
-    const user = await User.findById(req.user.id).select('-password'); // Exclude password
+    // req.userId is populated by the authenticate middleware
+    const user = await User.findById(req.userId).select('-password'); // Exclude password
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
@@ -30,4 +43,69 @@ router.get('/me', authenticateUser, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Download everything stored about the current user (Data Privacy Act right of access)
+router.get('/me/export', authenticate, async (req, res) => {
+  try {
+    const bundle = await buildDataExport(req.user);
+
+    await recordAudit(req, {
+      action: 'privacy.data_export',
+      target: { type: 'User', id: req.user._id },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`sooki-data-export-${req.user._id}-${date}.json`);
+    res.json({ success: true, data: bundle });
+  } catch (error) {
+    console.error('❌ Data export error:', error);
+    res.status(500).json({ success: false, message: 'Failed to export data', error: error.message });
+  }
+});
+
+// Current deletion status
+router.get('/me/delete', authenticate, (req, res) => {
+  res.json({ success: true, data: deletionStatus(req.user) });
+});
+
+// Request account deletion (password or MPIN required); runs after the grace period
+router.post('/me/delete', authenticate, async (req, res) => {
+  try {
+    const user = req.user;
+    const { currentPassword, mpin } = req.body || {};
+
+    const failure = await confirmCurrentCredential(req, user, { currentPassword, mpin });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    await requestAccountDeletion(user, req);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toISOString().slice(0, 10)}. Sign in and cancel before then to keep it.`,
+      data: deletionStatus(user),
+    });
+  } catch (error) {
+    if (error.name === 'PrivacyError') {
+      return sendPrivacyError(res, error);
+    }
+    console.error('❌ Account deletion request error:', error);
+    res.status(500).json({ success: false, message: 'Failed to request account deletion', error: error.message });
+  }
+});
+
+// Cancel a pending deletion during the grace period
+router.post('/me/delete/cancel', authenticate, async (req, res) => {
+  try {
+    await cancelAccountDeletion(req.user, req);
+    res.json({ success: true, message: 'Account deletion cancelled', data: deletionStatus(req.user) });
+  } catch (error) {
+    if (error.name === 'PrivacyError') {
+      return sendPrivacyError(res, error);
+    }
+    console.error('❌ Account deletion cancel error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel account deletion', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+/**
+ * Normalize a Philippine mobile number to the local 09XXXXXXXXX format
+ * @param {string} input - Raw phone number (+63, 63, 9XX or 09XX forms)
+ * @returns {string} Normalized number, or the trimmed input if it is not a PH mobile number
+ */
+const normalizePhoneNumber = (input = '') => {
+  if (!input) return '';
+  // Strip non-digits, keep last 11 digits for PH format
+  const digitsOnly = input.replace(/\D/g, '');
+  if (!digitsOnly) return '';
+  if (digitsOnly.startsWith('63') && digitsOnly.length === 12) {
+    return `0${digitsOnly.slice(2)}`;
+  }
+  if (digitsOnly.startsWith('9') && digitsOnly.length === 10) {
+    return `0${digitsOnly}`;
+  }
+  return digitsOnly.length === 11 && digitsOnly.startsWith('0')
+    ? digitsOnly
+    : input.trim();
+};
+
+/**
+ * Check that a normalized number is a valid PH mobile number
+ * @param {string} phone - Normalized phone number
+ * @returns {boolean}
+ */
+const isValidPhMobile = (phone) => /^09\d{9}$/.test(phone || '');
+
+export { normalizePhoneNumber, isValidPhMobile };
@@ -4,10 +4,9 @@
  */
 
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
 import { LaundryOrder, LaundryShop } from '../models/LaundryModels.js';
-import User from '../models/User.js';
-import { JWT_SECRET } from '../config/authConfig.js';
+import { resolvePrincipal } from '../middleware/auth.js';
+import { saveLaundryOrderStatus } from '../services/voucherService.js';
 
 let io;
 const connectedUsers = new Map(); // userId -> socket.id
@@ -35,11 +34,12 @@ export const initializeLaundryWebSocket = (server) => {
         return next(new Error('Authentication token required'));
       }
 
-  const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('firstName lastName city province addresses userType');
+      // Same token checks as the HTTP API (revoked sessions, inactive accounts)
+      const principal = await resolvePrincipal(token);
+      const user = principal.user;
       
       if (!user) {
-        return next(new Error('User not found'));
+        return next(new Error('User account required'));
       }
 
       // Verify user is from Compostela
@@ -52,6 +52,7 @@ export const initializeLaundryWebSocket = (server) => {
 
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.principal = principal;
       next();
     } catch (error) {
       console.error('❌ WebSocket authentication error:', error);
@@ -278,6 +279,7 @@ const handleOrderStatusUpdate = async (socket, data) => {
     }
 
     // Update order status
+    const previousStatus = order.status;
     order.status = newStatus;
     if (notes) order.notes = notes;
     if (estimatedCompletion) order.estimatedCompletion = new Date(estimatedCompletion);
@@ -288,7 +290,7 @@ const handleOrderStatusUpdate = async (socket, data) => {
       notes
     });
 
-    await order.save();
+    await saveLaundryOrderStatus(order, previousStatus);
 
     // Broadcast to all tracking this order
     const trackingSockets = activeOrders.get(orderId);
@@ -0,0 +1,118 @@
+/**
+ * WebSocket server for product orders and order chat
+ * Every authenticated client joins the rooms the HTTP services emit to:
+ *   user_<userId>     buyer-side order updates and chat
+ *   seller_<sellerId> seller order notifications and chat (seller tokens only)
+ *   shop_<shopId>     laundry shop chat (shop owners)
+ *   driver_<driverId> driver assignments
+ * The server is exposed as global.io for those services.
+ */
+
+import { Server } from 'socket.io';
+import { resolvePrincipal, sameId } from '../middleware/auth.js';
+import Conversation from '../models/Conversation.js';
+import { roomFor, otherSide, markChatRead } from '../services/orderChatService.js';
+
+let io;
+
+/**
+ * Rooms a principal belongs to
+ * @param {Object} principal
+ * @returns {string[]}
+ */
+const roomsFor = (principal) => {
+  if (principal.kind === 'driver') return [`driver_${principal.driverId}`];
+  const rooms = [`user_${principal.userId}`];
+  if (principal.roles.includes('seller') && principal.sellerId) rooms.push(`seller_${principal.sellerId}`);
+  (principal.shopIds || []).forEach(shopId => rooms.push(`shop_${shopId}`));
+  return rooms;
+};
+
+/**
+ * The socket's side in a conversation, or null if it is not a party
+ */
+const sideInConversation = (conversation, principal) => {
+  if (principal.kind === 'driver') return null;
+  if (conversation.sellerId && principal.roles.includes('seller') && sameId(conversation.sellerId, principal.sellerId)) return 'seller';
+  if (conversation.shopId && (principal.shopIds || []).some(id => sameId(id, conversation.shopId))) return 'seller';
+  if (sameId(conversation.buyerId, principal.userId)) return 'buyer';
+  return null;
+};
+
+const loadConversationFor = async (socket, conversationId) => {
+  const conversation = await Conversation.findById(conversationId);
+  const side = conversation && sideInConversation(conversation, socket.principal);
+  return side ? { conversation, side } : {};
+};
+
+/**
+ * Initialize the order WebSocket server
+ * @param {Object} server - HTTP server instance
+ * @returns {Object} socket.io server
+ */
+export const initializeOrderWebSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: "*", // Configure based on your frontend domain
+      methods: ["GET", "POST"]
+    }
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+      if (!token) {
+        return next(new Error('Authentication token required'));
+      }
+
+      // Same token checks as the HTTP API (revoked sessions, inactive accounts)
+      socket.principal = await resolvePrincipal(token);
+      next();
+    } catch (error) {
+      console.error('❌ Order WebSocket authentication error:', error.message);
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const rooms = roomsFor(socket.principal);
+    rooms.forEach(room => socket.join(room));
+    console.log(`✅ ${socket.principal.kind} ${socket.principal.id} connected to order WebSocket (${rooms.join(', ')})`);
+
+    // { conversationId, isTyping } -> relayed to the other side
+    socket.on('chat_typing', async (data = {}) => {
+      try {
+        const { conversation, side } = await loadConversationFor(socket, data.conversationId);
+        if (!conversation) return;
+        socket.to(roomFor(conversation, otherSide(side))).emit('chat_typing', {
+          conversationId: conversation._id,
+          side,
+          isTyping: data.isTyping !== false
+        });
+      } catch (error) {
+        console.error('❌ Error relaying typing indicator:', error.message);
+      }
+    });
+
+    // { conversationId, upTo } -> same as POST /api/chat/orders/:orderType/:orderId/read
+    socket.on('chat_read', async (data = {}, ack) => {
+      try {
+        const { conversation, side } = await loadConversationFor(socket, data.conversationId);
+        if (!conversation) {
+          return typeof ack === 'function' && ack({ success: false, error: 'Conversation not found' });
+        }
+        const result = await markChatRead(conversation, side, { upTo: data.upTo });
+        if (typeof ack === 'function') ack({ success: true, ...result });
+      } catch (error) {
+        console.error('❌ Error marking chat read:', error.message);
+        if (typeof ack === 'function') ack({ success: false, error: error.message });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`❌ ${socket.principal.kind} ${socket.principal.id} disconnected from order WebSocket`);
+    });
+  });
+
+  return io;
+};